@@ -0,0 +1,426 @@
+import * as THREE from 'three';
+import {
+    createBattery, createBatteryBox, batteryBoxWires, createBulb, createSpdtSwitch, setSpdtContact, spdtLeverAngle
+} from '../shared/components.js';
+import { createLab } from '../shared/lab.js';
+import { solveCircuit, bulbBrightness } from '../shared/circuit-solver.js';
+import {
+    attachConnectionPoints, updateWireMesh, wireEndKey, isSameEnd, pulseHalos,
+    POINT_COLOR, POINT_HOVER_COLOR, POINT_OCCUPIED_COLOR
+} from '../shared/wiring.js';
+import { createShortCircuitWarning } from '../shared/short-circuit.js';
+import { bulbParameters, setBulbGlow } from '../shared/bulb-glow.js';
+import { createCircuitDocument, createCircuitStorage, placementOf } from '../shared/circuit-file.js';
+
+// --- Scene Setup ---
+const lab = createLab({
+    camera: { position: [0, 12, 14] },
+    controls: { maxPolarAngle: Math.PI / 2.2, minDistance: 5, maxDistance: 30 },
+    floor: { width: 34, depth: 26 }
+});
+const { scene, controls, floor, input } = lab;
+
+const CONTACTS = ['a', 'b'];
+const CONTACT_NAMES = { a: '扳到 a', b: '扳到 b' };
+
+// --- Global State ---
+const connectionPoints = [];
+let wires = []; // { start, end, mesh }
+let trials = {}; // 'ab' (downstairs a, upstairs b) -> lit, for the current wiring
+
+// Pointer State
+let isDrawing = false;
+let currentLine = null;
+let startPoint = null;
+
+// --- Components ---
+
+// 1. Battery box with two cells already in it (3 V)
+const { group: batteryBox, terminals: boxTerminals } = createBatteryBox({ type: 'double' });
+connectionPoints.push(...attachConnectionPoints(batteryBox, boxTerminals, 'batteryBox', {
+    pos: { text: '+', color: '#ff0000' },
+    neg: { text: '-', color: '#000000' }
+}));
+batteryBox.position.set(-9, 0, -3);
+scene.add(batteryBox);
+
+const cells = batteryBox.userData.slots.map(slot => {
+    const { group } = createBattery({ pose: 'lying', name: 'cell' + slot.id });
+    group.position.copy(slot.pos);
+    group.rotation.y = slot.expectedDir.x > 0 ? 0 : Math.PI;
+    slot.occupied = true;
+    batteryBox.add(group);
+    return group;
+});
+
+// 2. The hallway light
+const { group: bulb, terminals: bulbTerminals } = createBulb({ mount: 'posts' });
+connectionPoints.push(...attachConnectionPoints(bulb, bulbTerminals, 'bulb'));
+bulb.position.set(1, 0, -5);
+scene.add(bulb);
+
+// 3. A two-way switch at the bottom of the stairs and one at the top
+const switches = [['downstairs', -4], ['upstairs', 6]].map(([name, x]) => {
+    const { group, terminals } = createSpdtSwitch({ mount: 'posts', name });
+    connectionPoints.push(...attachConnectionPoints(group, terminals, name));
+    group.position.set(x, 0, 3);
+    scene.add(group);
+    return group;
+});
+const [downstairs, upstairs] = switches;
+
+// --- Interaction ---
+const raycaster = new THREE.Raycaster();
+
+function getIntersects(event, objects, recursive = false) {
+    input.aim(raycaster, event);
+    return raycaster.intersectObjects(objects, recursive);
+}
+
+function isPointOccupied(userData) {
+    return wires.some(w => isSameEnd(w.start, userData) || isSameEnd(w.end, userData));
+}
+
+// The two-way switch whose lever is under the pointer, or null
+function switchAt(event) {
+    for (const hit of getIntersects(event, switches, true)) {
+        let obj = hit.object;
+        while (obj && obj.name !== 'lever') obj = obj.parent;
+        if (obj) return obj.parent;
+    }
+    return null;
+}
+
+input.onDown((e) => {
+    const point = getIntersects(e, connectionPoints)[0];
+    if (point && !isPointOccupied(point.object.userData)) startWire(point.object);
+});
+
+input.onTap((e) => {
+    if (getIntersects(e, connectionPoints).length > 0) return;
+    const spdt = switchAt(e);
+    if (spdt) throwSwitch(spdt);
+});
+
+input.onMove((e) => {
+    if (isDrawing) {
+        drawWire(e);
+        return;
+    }
+    updateHover(e);
+});
+
+input.onUp((e) => {
+    if (isDrawing) finishWire(e);
+});
+
+// A second finger came down to zoom or turn the view: give up the wire
+input.onCancel(() => {
+    if (!isDrawing) return;
+    isDrawing = false;
+    discardWire();
+});
+
+function updateHover(e) {
+    connectionPoints.forEach(p => p.material.color.set(POINT_COLOR));
+    document.body.style.cursor = 'default';
+    controls.enabled = true;
+
+    const point = getIntersects(e, connectionPoints)[0];
+    if (point) {
+        if (!isPointOccupied(point.object.userData)) {
+            point.object.material.color.set(POINT_HOVER_COLOR);
+            document.body.style.cursor = 'crosshair';
+            controls.enabled = false;
+        } else {
+            point.object.material.color.set(POINT_OCCUPIED_COLOR);
+            document.body.style.cursor = 'not-allowed';
+        }
+        return;
+    }
+    if (switchAt(e)) document.body.style.cursor = 'pointer';
+}
+
+// --- Wires ---
+
+function startWire(point) {
+    isDrawing = true;
+    startPoint = point;
+    controls.enabled = false;
+
+    const startPos = startPoint.getWorldPosition(new THREE.Vector3());
+    const bendFactor = (wires.length % 2 === 0) ? 1 : -1;
+    currentLine = updateWireMesh(null, startPos, startPos, bendFactor);
+    currentLine.userData.bendFactor = bendFactor;
+    scene.add(currentLine);
+}
+
+function drawWire(e) {
+    const targetPos = new THREE.Vector3();
+    const hit = getIntersects(e, connectionPoints)[0];
+    const point = hit ? hit.object : null;
+
+    connectionPoints.forEach(p => {
+        if (p !== startPoint) p.material.color.set(POINT_COLOR);
+    });
+    if (point && point !== startPoint && !isPointOccupied(point.userData)) {
+        // Snap to a free connection point
+        point.getWorldPosition(targetPos);
+        point.material.color.set(POINT_HOVER_COLOR);
+    } else {
+        const floorHit = raycaster.intersectObject(floor)[0];
+        if (floorHit) targetPos.copy(floorHit.point);
+        else raycaster.ray.at(5, targetPos);
+    }
+
+    const startPos = startPoint.getWorldPosition(new THREE.Vector3());
+    updateWireMesh(currentLine, startPos, targetPos, currentLine.userData.bendFactor);
+}
+
+function finishWire(e) {
+    isDrawing = false;
+    controls.enabled = true;
+
+    const hit = getIntersects(e, connectionPoints)[0];
+    let endPoint = hit ? hit.object : null;
+    if (endPoint && isPointOccupied(endPoint.userData)) endPoint = null;
+
+    if (endPoint && endPoint !== startPoint) {
+        addWire(startPoint, endPoint, currentLine);
+        clearTrials();
+        checkCircuit();
+        currentLine = null;
+    }
+    discardWire();
+}
+
+// Drop the line being drawn, if it never became a wire
+function discardWire() {
+    if (currentLine) {
+        currentLine.geometry.dispose();
+        scene.remove(currentLine);
+    }
+    connectionPoints.forEach(p => p.material.color.set(POINT_COLOR));
+    currentLine = null;
+    startPoint = null;
+}
+
+// mesh: the line drawn so far, or null to lay a new one
+function addWire(from, to, mesh = null) {
+    const bendFactor = mesh ? mesh.userData.bendFactor : (wires.length % 2 === 0) ? 1 : -1;
+    const startPos = from.getWorldPosition(new THREE.Vector3());
+    const endPos = to.getWorldPosition(new THREE.Vector3());
+    mesh = updateWireMesh(mesh, startPos, endPos, bendFactor);
+    mesh.userData.bendFactor = bendFactor;
+    if (!mesh.parent) scene.add(mesh);
+    wires.push({ start: from.userData, end: to.userData, mesh });
+}
+
+// Double click (or long press) to remove wire
+input.onDelete((e) => {
+    const hit = getIntersects(e, wires.map(w => w.mesh))[0];
+    if (!hit) return;
+    const wire = wires.find(w => w.mesh === hit.object);
+    scene.remove(wire.mesh);
+    wire.mesh.geometry.dispose();
+    wires = wires.filter(w => w !== wire);
+    clearTrials();
+    checkCircuit();
+});
+
+// --- Switches ---
+
+// Throw the blade over to the other clip; on its way it touches neither
+function throwSwitch(spdt) {
+    if (spdt.userData.moving) return;
+    const target = spdt.userData.contact === 'a' ? 'b' : 'a';
+    const lever = spdt.getObjectByName('lever');
+    const startRot = lever.rotation.x;
+    const targetRot = spdtLeverAngle(target);
+    const duration = 300;
+    const startTime = Date.now();
+
+    spdt.userData.moving = true;
+    setSpdtContact(spdt, null);
+    lever.rotation.x = startRot;
+    checkCircuit();
+
+    function animateThrow() {
+        const progress = Math.min((Date.now() - startTime) / duration, 1);
+        lever.rotation.x = startRot + (targetRot - startRot) * progress;
+
+        if (progress < 1) {
+            requestAnimationFrame(animateThrow);
+        } else {
+            spdt.userData.moving = false;
+            setSpdtContact(spdt, target);
+            checkCircuit();
+        }
+    }
+    animateThrow();
+}
+
+// --- Circuit Logic ---
+const shortWarning = createShortCircuitWarning(scene);
+
+// contacts: { downstairs, upstairs } to try other positions than the real ones
+function buildNetlist(contacts = {}) {
+    return {
+        components: [
+            ...cells.map(cell => ({ id: cell.name, type: 'battery' })),
+            { id: 'bulb', type: 'bulb', ...bulbParameters(bulb) },
+            ...switches.map(s => ({ id: s.name, type: 'spdt', contact: contacts[s.name] ?? s.userData.contact }))
+        ],
+        // Student wires first so result.wires lines up with the wire meshes
+        wires: [
+            ...wires.map(w => ({ from: wireEndKey(w.start), to: wireEndKey(w.end) })),
+            ...batteryBoxWires(batteryBox, 'batteryBox', slot => ({ id: 'cell' + slot.id, reversed: false }))
+        ]
+    };
+}
+
+function trialKey(down, up) {
+    return down + up;
+}
+
+function checkCircuit() {
+    const result = solveCircuit(buildNetlist());
+
+    shortWarning.update(result, {
+        wireMeshes: wires.map(w => w.mesh),
+        batteries: Object.fromEntries(cells.map(cell => [cell.name, cell]))
+    });
+
+    const lit = setBulbGlow(bulb, result.components.bulb) > 0;
+    const { contact: down } = downstairs.userData;
+    const { contact: up } = upstairs.userData;
+    if (down && up && !result.shorts.length) trials[trialKey(down, up)] = lit;
+
+    renderTrials();
+    storage.changed();
+}
+
+// --- Truth Table ---
+
+function clearTrials() {
+    trials = {};
+}
+
+// Would the bulb light with the switches thrown this way? Solved without touching the scene.
+function wouldLight(down, up) {
+    const netlist = buildNetlist({ downstairs: down, upstairs: up });
+    const result = solveCircuit(netlist);
+    const comp = netlist.components.find(c => c.id === 'bulb');
+    return !result.shorts.length && bulbBrightness(result.components.bulb, comp) > 0;
+}
+
+// A staircase circuit: throwing either switch, from any position, turns the light over
+function isStaircase() {
+    return CONTACTS.every(down => CONTACTS.every(up =>
+        wouldLight(down, up) !== wouldLight(down === 'a' ? 'b' : 'a', up) &&
+        wouldLight(down, up) !== wouldLight(down, up === 'a' ? 'b' : 'a')
+    ));
+}
+
+function renderTrials() {
+    const body = document.querySelector('#truth-table tbody');
+    while (body.firstChild) body.removeChild(body.firstChild);
+
+    CONTACTS.forEach(down => CONTACTS.forEach(up => {
+        const row = document.createElement('tr');
+        const key = trialKey(down, up);
+        const lit = trials[key];
+        [CONTACT_NAMES[down], CONTACT_NAMES[up], lit === undefined ? '？' : lit ? '💡 亮' : '⚫ 灭'].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        row.classList.toggle('current', downstairs.userData.contact === down && upstairs.userData.contact === up);
+        body.appendChild(row);
+    }));
+    updateConclusion();
+}
+
+function updateConclusion() {
+    const msg = document.getElementById('success-msg');
+    const note = document.getElementById('truth-note');
+    const tried = Object.keys(trials).length;
+    const litCount = Object.values(trials).filter(Boolean).length;
+
+    if (tried < 4) {
+        msg.style.display = 'none';
+        note.textContent = tried ? `还有 ${4 - tried} 种扳法没试过。` : '';
+        return;
+    }
+    if (isStaircase()) {
+        note.textContent = '';
+        msg.innerHTML = '🎉 成功！楼下、楼上随便扳哪个开关，灯都会改变亮灭。<br>两个开关的 a 连 a、b 连 b，只有两把刀扳到同一边时，电流才有路可走。';
+        msg.style.display = 'block';
+        return;
+    }
+
+    msg.style.display = 'none';
+    if (litCount === 0) {
+        note.textContent = '灯一次也没亮：顺着导线找一找，电流能不能从电池正极经过灯泡回到负极？';
+    } else if (litCount === 1) {
+        note.textContent = '只有一种扳法灯才亮，就像两个普通开关串联。试试把两个开关的 a 和 a、b 和 b 连起来。';
+    } else if (litCount === 4) {
+        note.textContent = '灯一直亮着，开关没起作用。电流要经过两个开关的刀才能到灯泡。';
+    } else {
+        note.textContent = '现在只有一个开关能控制灯。两个开关的公共端要分别接电池和灯泡。';
+    }
+}
+
+function resetCircuit() {
+    wires.forEach(w => {
+        scene.remove(w.mesh);
+        w.mesh.geometry.dispose();
+    });
+    wires = [];
+    switches.forEach(s => setSpdtContact(s, 'a'));
+    clearTrials();
+    checkCircuit();
+}
+
+document.getElementById('reset-btn').addEventListener('click', resetCircuit);
+
+// --- Save / Load ---
+function serializeCircuit() {
+    return createCircuitDocument('lesson10', [
+        { id: 'batteryBox', type: 'batteryBox', ...placementOf(batteryBox) },
+        { id: 'bulb', type: 'bulb', ...placementOf(bulb) },
+        ...switches.map(s => ({ id: s.name, type: 'spdt', ...placementOf(s), contact: s.userData.contact }))
+    ], wires.map(w => ({ from: wireEndKey(w.start), to: wireEndKey(w.end) })));
+}
+
+// The components stay where the lesson puts them; the switch positions and the wires come back
+function restoreCircuit(doc) {
+    resetCircuit();
+    const saved = id => doc.components.find(c => c.id === id) || {};
+
+    switches.forEach(s => setSpdtContact(s, saved(s.name).contact === 'b' ? 'b' : 'a'));
+    doc.wires.forEach(w => {
+        const from = connectionPoints.find(p => wireEndKey(p.userData) === w.from);
+        const to = connectionPoints.find(p => wireEndKey(p.userData) === w.to);
+        if (!from || !to || from === to || isPointOccupied(from.userData) || isPointOccupied(to.userData)) return;
+        addWire(from, to);
+    });
+    checkCircuit();
+}
+
+const storage = createCircuitStorage({
+    lesson: 'lesson10',
+    serialize: serializeCircuit,
+    restore: restoreCircuit,
+    saveButton: document.getElementById('save-btn'),
+    loadButton: document.getElementById('load-btn'),
+    shareButton: document.getElementById('share-btn')
+});
+if (!storage.restoreAutosave()) checkCircuit();
+storage.restoreShared();
+
+// Animation Loop
+lab.onFrame((time) => {
+    pulseHalos(connectionPoints, time);
+    shortWarning.animate(time);
+});
@@ -0,0 +1,394 @@
+import * as THREE from 'three';
+import {
+    createBattery, createBatteryBox, batteryBoxWires, createSwitch, createBulb, createMotor, createFuse
+} from '../shared/components.js';
+import { createLab } from '../shared/lab.js';
+import { solveCircuit } from '../shared/circuit-solver.js';
+import { createParallelBranches } from '../shared/parallel-branches.js';
+import { bulbParameters, setBulbGlow } from '../shared/bulb-glow.js';
+import { setMotorSpin, animateMotor } from '../shared/motor-spin.js';
+import { fuseParameters, heatFuse, animateFuse, replaceFuse, setBlown, isBlown, isReplacing } from '../shared/fuse-melt.js';
+import { createCircuitDocument, createCircuitStorage, placementOf } from '../shared/circuit-file.js';
+
+// --- Scene Setup ---
+const lab = createLab({
+    camera: { position: [0, 16, 16] },
+    controls: { maxPolarAngle: Math.PI / 2.2, minDistance: 5, maxDistance: 35 },
+    floor: { width: 34, depth: 30 }
+});
+const { scene, controls, input } = lab;
+
+const SWITCH_OPEN_ANGLE = Math.PI / 4;
+const MAX_LOADS = 6;
+const LOAD_NAMES = { lamp: '💡 小灯泡', fan: '🌀 风扇' };
+
+// Fuse ratings on offer; copper wire never melts, whatever flows through it
+const RATINGS = { 1: 1, 1.5: 1.5, copper: Infinity };
+const FUSE_WIRE_COLOR = 0x999999;
+const COPPER_COLOR = 0xb87333;
+
+// The supply wires warm up with the total current
+const WARM_CURRENT = 0.5; // A, starts to glow
+const HOT_CURRENT = 2; // A, glowing red
+const HOT_COLOR = new THREE.Color(0xff2200);
+
+// --- Global State ---
+let loads = []; // { type: 'lamp' | 'fan', group }
+let isSwitchClosed = false;
+let rating = '1';
+let hasBlown = false; // Blown at least once, for the conclusion
+
+// Materials
+const wireMat = new THREE.MeshStandardMaterial({
+    color: 0x2c3e50,
+    roughness: 0.5,
+    metalness: 0.1
+});
+// The supply (trunk) wires carry every branch's current, so they get their own
+const trunkMat = wireMat.clone();
+
+// --- Helper Functions ---
+
+function fixedWire(points) {
+    const curve = new THREE.CatmullRomCurve3(points);
+    curve.curveType = 'catmullrom';
+    curve.tension = 0.5;
+
+    const mesh = new THREE.Mesh(new THREE.TubeGeometry(curve, 64, 0.08, 8, false), trunkMat);
+    mesh.castShadow = true;
+    scene.add(mesh);
+    return mesh;
+}
+
+function terminalPos(obj, id) {
+    return obj.userData.terminals[id].position.clone().applyQuaternion(obj.quaternion).add(obj.position);
+}
+
+// --- Components ---
+
+// 1. Battery box with two cells already in it (3 V)
+const { group: batteryBox } = createBatteryBox({ type: 'double' });
+batteryBox.position.set(-9, 0, 0);
+scene.add(batteryBox);
+
+const cells = batteryBox.userData.slots.map(slot => {
+    const { group } = createBattery({ pose: 'lying', name: 'cell' + slot.id });
+    group.position.copy(slot.pos);
+    group.rotation.y = slot.expectedDir.x > 0 ? 0 : Math.PI;
+    slot.occupied = true;
+    batteryBox.add(group);
+    return group;
+});
+
+// 2. Fuse, then the switch, on the supply line
+const { group: fuse } = createFuse();
+fuse.position.set(-6, 0, 3);
+scene.add(fuse);
+const cartridge = fuse.getObjectByName('cartridge');
+
+const { group: switchObj } = createSwitch({ mount: 'posts', openAngle: SWITCH_OPEN_ANGLE });
+switchObj.position.set(-2.5, 0, 3);
+switchObj.rotation.y = Math.PI / 2;
+scene.add(switchObj);
+const switchLever = switchObj.getObjectByName('lever');
+switchLever.rotation.x = SWITCH_OPEN_ANGLE;
+
+// 3. The branches: one load on each, side by side
+const branches = createParallelBranches({ splitX: 0.5, loadX: 3, mergeX: 5.5, zCenter: 3, spacing: 2.4, material: wireMat });
+scene.add(branches.group);
+
+// --- Supply Wiring ---
+// Box(+) -> fuse -> switch -> split bus; merge bus -> behind the branches -> Box(-)
+fixedWire([
+    terminalPos(batteryBox, 'pos'),
+    terminalPos(batteryBox, 'pos').add(new THREE.Vector3(0, 0, 0.6)),
+    terminalPos(fuse, 2).add(new THREE.Vector3(0, 0, -0.6)),
+    terminalPos(fuse, 2)
+]);
+fixedWire([
+    terminalPos(fuse, 1),
+    terminalPos(fuse, 1).add(new THREE.Vector3(0.4, 0, 0)),
+    terminalPos(switchObj, 'front').add(new THREE.Vector3(-0.4, 0, 0)),
+    terminalPos(switchObj, 'front')
+]);
+fixedWire([terminalPos(switchObj, 'rear'), branches.splitPoint]);
+
+// Follows the back of the branches, so it is laid again whenever they change
+let returnWire = null;
+
+function layReturnWire() {
+    if (returnWire) {
+        scene.remove(returnWire);
+        returnWire.geometry.dispose();
+    }
+    const behind = Math.min(branches.extent().back, 0) - 1.5;
+    const neg = terminalPos(batteryBox, 'neg');
+    returnWire = fixedWire([
+        branches.mergePoint,
+        new THREE.Vector3(branches.mergePoint.x, 0.1, behind),
+        new THREE.Vector3(neg.x + 1, 0.1, behind),
+        neg.clone().add(new THREE.Vector3(1, 0, -0.5)),
+        neg
+    ]);
+}
+
+// --- Loads ---
+
+function createLoad(type, name) {
+    const { group } = type === 'fan'
+        ? createMotor({ mount: 'posts', name })
+        : createBulb({ mount: 'posts', name });
+    return { type, group };
+}
+
+// Loads already in place stay put (and keep glowing or spinning); the rest are made new
+function setLoads(types) {
+    loads = types.slice(0, MAX_LOADS).map((type, i) => (
+        loads[i] && loads[i].type === type ? loads[i] : createLoad(type, 'load' + (i + 1))
+    ));
+    branches.setLoads(loads.map(l => l.group));
+    layReturnWire();
+}
+
+function addLoad(type) {
+    if (loads.length >= MAX_LOADS) return;
+    setLoads([...loads.map(l => l.type), type]);
+    checkCircuit();
+}
+
+function removeLoad() {
+    if (loads.length === 0) return;
+    setLoads(loads.slice(0, -1).map(l => l.type));
+    checkCircuit();
+}
+
+document.getElementById('add-lamp-btn').addEventListener('click', () => addLoad('lamp'));
+document.getElementById('add-fan-btn').addEventListener('click', () => addLoad('fan'));
+document.getElementById('remove-btn').addEventListener('click', removeLoad);
+
+// --- Fuse and Switch ---
+
+function setRating(value) {
+    rating = value in RATINGS ? value : '1';
+    fuse.userData.rating = { ratedCurrent: RATINGS[rating] };
+    fuse.userData.materials.wire.color.set(rating === 'copper' ? COPPER_COLOR : FUSE_WIRE_COLOR);
+    document.getElementById('rating-select').value = rating;
+}
+
+// A different rating means a different cartridge: swap it in
+document.getElementById('rating-select').addEventListener('change', (e) => {
+    setRating(e.target.value);
+    replaceFuse(fuse);
+});
+
+document.getElementById('replace-btn').addEventListener('click', () => replaceFuse(fuse));
+
+function setSwitch(closed) {
+    isSwitchClosed = closed;
+    switchLever.rotation.x = closed ? 0 : SWITCH_OPEN_ANGLE;
+}
+
+function toggleSwitch() {
+    isSwitchClosed = !isSwitchClosed;
+    const targetRot = isSwitchClosed ? 0 : SWITCH_OPEN_ANGLE;
+    const startRot = switchLever.rotation.x;
+    const duration = 200;
+    const startTime = Date.now();
+
+    function animateSwitch() {
+        const progress = Math.min((Date.now() - startTime) / duration, 1);
+        switchLever.rotation.x = startRot + (targetRot - startRot) * progress;
+
+        if (progress < 1) {
+            requestAnimationFrame(animateSwitch);
+        } else {
+            checkCircuit();
+        }
+    }
+    animateSwitch();
+}
+
+// --- Interaction ---
+const raycaster = new THREE.Raycaster();
+
+function getIntersects(event, objects, recursive = false) {
+    input.aim(raycaster, event);
+    return raycaster.intersectObjects(objects, recursive);
+}
+
+input.onTap((e) => {
+    if (getIntersects(e, [switchLever], true).length > 0) {
+        toggleSwitch();
+        return;
+    }
+    if (getIntersects(e, [cartridge], true).length > 0) replaceFuse(fuse);
+});
+
+input.onMove((e) => {
+    const hovering = getIntersects(e, [switchLever, cartridge], true).length > 0;
+    document.body.style.cursor = hovering ? 'pointer' : 'default';
+    controls.enabled = !hovering;
+});
+
+// --- Circuit Logic ---
+
+// The lesson's own wires; the box adds its internal ones for the solver
+function circuitWires() {
+    return [
+        { from: 'batteryBox.pos', to: 'fuse.2' },
+        { from: 'fuse.1', to: 'switch.front' },
+        { from: 'switch.rear', to: 'split' },
+        ...branches.netWires(),
+        { from: 'merge', to: 'batteryBox.neg' }
+    ];
+}
+
+function buildNetlist() {
+    return {
+        components: [
+            ...cells.map(cell => ({ id: cell.name, type: 'battery' })),
+            { id: 'fuse', type: 'fuse', ...fuseParameters(fuse) },
+            { id: 'switch', type: 'switch', closed: isSwitchClosed },
+            ...loads.map(l => l.type === 'fan'
+                ? { id: l.group.name, type: 'motor' }
+                : { id: l.group.name, type: 'bulb', ...bulbParameters(l.group) })
+        ],
+        wires: [
+            ...circuitWires(),
+            ...batteryBoxWires(batteryBox, 'batteryBox', slot => ({ id: 'cell' + slot.id }))
+        ]
+    };
+}
+
+const amps = current => Math.abs(current).toFixed(2) + ' A';
+
+function checkCircuit() {
+    const result = solveCircuit(buildNetlist());
+
+    loads.forEach(l => {
+        const state = result.components[l.group.name];
+        if (l.type === 'fan') setMotorSpin(l.group, state);
+        else setBulbGlow(l.group, state);
+    });
+
+    const total = Math.abs(result.components.fuse.current);
+    const load = heatFuse(fuse, result.components.fuse);
+    const warmth = THREE.MathUtils.clamp((total - WARM_CURRENT) / (HOT_CURRENT - WARM_CURRENT), 0, 1);
+    trunkMat.emissive.copy(HOT_COLOR).multiplyScalar(warmth);
+
+    updateTable(result, total, load > 1);
+    updateMessage(total);
+    storage.changed();
+}
+
+function updateTable(result, total, over) {
+    const rows = document.getElementById('load-rows');
+    rows.innerHTML = '';
+    loads.forEach((l, i) => {
+        const row = document.createElement('tr');
+        [String(i + 1), LOAD_NAMES[l.type], amps(result.components[l.group.name].current)].forEach((text, col) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (col === 2) cell.className = 'amps';
+            row.appendChild(cell);
+        });
+        rows.appendChild(row);
+    });
+
+    const totalCell = document.getElementById('total-current');
+    totalCell.textContent = amps(total);
+    totalCell.classList.toggle('over', over);
+}
+
+function updateMessage(total) {
+    const note = document.getElementById('fuse-note');
+    const msg = document.getElementById('success-msg');
+    const ratedCurrent = RATINGS[rating];
+
+    note.classList.toggle('blown', isBlown(fuse) && !isReplacing(fuse));
+    if (isReplacing(fuse)) {
+        note.textContent = '🔧 正在换上一根新的保险丝……';
+    } else if (isBlown(fuse)) {
+        note.textContent = `💥 保险丝熔断了！同时工作的用电器太多，干路电流超过了 ${ratedCurrent} A。先拿掉几个用电器，再换一根新的保险丝。`;
+    } else if (rating === 'copper') {
+        note.textContent = total > HOT_CURRENT / 2
+            ? '🔥 铜丝不会熔断，电流再大电路也不会断开，导线越来越烫，真实的家里就会着火！'
+            : '⚠️ 铜丝的熔点很高，电流过大时它不会熔断，保护不了电路。';
+    } else if (total > ratedCurrent) {
+        note.textContent = `🔥 干路电流超过了保险丝的额定电流 ${ratedCurrent} A，保险丝正在发热……`;
+    } else {
+        note.textContent = `保险丝的额定电流是 ${ratedCurrent} A。`;
+    }
+
+    if (!hasBlown) {
+        msg.style.display = 'none';
+        return;
+    }
+    msg.innerHTML = '🎉 并联的用电器越多，干路电流就越大。一个插线板上插太多电器，电线会过热甚至起火；'
+        + '保险丝在电流过大时自己熔断，切断电路，保护了电线和电器。<br>'
+        + '所以不要在一个插座上接太多大功率电器，保险丝熔断后也<strong>千万不能用铜丝代替</strong>！';
+    msg.style.display = 'block';
+}
+
+function resetCircuit() {
+    setSwitch(false);
+    setRating('1');
+    setBlown(fuse, false);
+    setLoads([]);
+    hasBlown = false;
+    checkCircuit();
+}
+
+document.getElementById('reset-btn').addEventListener('click', resetCircuit);
+
+// --- Save / Load ---
+function serializeCircuit() {
+    return createCircuitDocument('lesson11', [
+        {
+            id: 'batteryBox',
+            type: 'batteryBox',
+            ...placementOf(batteryBox),
+            slots: batteryBox.userData.slots.map((slot, i) => ({ id: slot.id, battery: cells[i].name }))
+        },
+        { id: 'fuse', type: 'fuse', ...placementOf(fuse), rating, blown: isBlown(fuse) },
+        { id: 'switch', type: 'switch', ...placementOf(switchObj), closed: isSwitchClosed },
+        ...loads.map(l => ({ id: l.group.name, type: l.type === 'fan' ? 'motor' : 'bulb', ...placementOf(l.group) }))
+    ], circuitWires());
+}
+
+// The supply line stays where the lesson puts it; the loads, the fuse and the switch come back
+function restoreCircuit(doc) {
+    resetCircuit();
+    const saved = id => doc.components.find(c => c.id === id) || {};
+
+    setSwitch(!!saved('switch').closed);
+    setRating(saved('fuse').rating);
+    setBlown(fuse, !!saved('fuse').blown);
+    hasBlown = isBlown(fuse);
+    setLoads(doc.components
+        .filter(c => /^load\d+$/.test(c.id))
+        .sort((a, b) => parseInt(a.id.slice(4)) - parseInt(b.id.slice(4)))
+        .map(c => (c.type === 'motor' ? 'fan' : 'lamp')));
+    checkCircuit();
+}
+
+const storage = createCircuitStorage({
+    lesson: 'lesson11',
+    serialize: serializeCircuit,
+    restore: restoreCircuit,
+    saveButton: document.getElementById('save-btn'),
+    loadButton: document.getElementById('load-btn'),
+    shareButton: document.getElementById('share-btn')
+});
+setLoads([]);
+if (!storage.restoreAutosave()) checkCircuit();
+storage.restoreShared();
+
+// Animation Loop
+lab.onFrame((time, delta) => {
+    if (animateFuse(fuse, delta)) {
+        if (isBlown(fuse) && !isReplacing(fuse)) hasBlown = true;
+        checkCircuit();
+    }
+    loads.forEach(l => { if (l.type === 'fan') animateMotor(l.group, delta); });
+});
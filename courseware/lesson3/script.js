@@ -1,42 +1,22 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { createBattery, createBulb, createLed, createResistor, createSwitch } from '../shared/components.js';
+import { createLab } from '../shared/lab.js';
+import { CURRENT_THRESHOLD } from '../shared/circuit-solver.js';
+import {
+    bulbParameters, setBulbGlow, ledParameters, setLedGlow, solveWithBurnout, repairBulb, isBurntOut
+} from '../shared/bulb-glow.js';
+import { attachConnectionPoints, updateWireMesh, wireEndKey, pulseHalos } from '../shared/wiring.js';
+import { createShortCircuitWarning } from '../shared/short-circuit.js';
+import { createSchematicView } from '../shared/schematic.js';
+import { createCircuitDocument, createCircuitStorage, placementOf } from '../shared/circuit-file.js';
 
 // --- Scene Setup ---
-const container = document.getElementById('canvas-container');
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(0xf0f8ff);
-
-const camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 1000);
-camera.position.set(0, 8, 12);
-camera.lookAt(0, 0, 0);
-
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.shadowMap.enabled = true;
-container.appendChild(renderer.domElement);
-
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.enableDamping = true;
-controls.maxPolarAngle = Math.PI / 2.2;
-controls.minDistance = 3;
-controls.maxDistance = 20;
-
-// Lights
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-scene.add(ambientLight);
-const dirLight = new THREE.DirectionalLight(0xffffff, 0.8);
-dirLight.position.set(5, 10, 7);
-dirLight.castShadow = true;
-scene.add(dirLight);
-
-// Floor
-const floor = new THREE.Mesh(
-    new THREE.PlaneGeometry(30, 30),
-    new THREE.MeshStandardMaterial({ color: 0xeeeeee, roughness: 0.8 })
-);
-floor.rotation.x = -Math.PI / 2;
-floor.receiveShadow = true;
-scene.add(floor);
+const lab = createLab({
+    camera: { position: [0, 8, 12] },
+    controls: { maxPolarAngle: Math.PI / 2.2, minDistance: 3, maxDistance: 20 },
+    floor: { width: 30, depth: 30 }
+});
+const { scene, controls, floor, input } = lab;
 
 // --- Global State ---
 const components = [];
@@ -46,278 +26,90 @@ let isDrawing = false;
 let currentLine = null;
 let startPoint = null;
 
-// Materials
-const pointMat = new THREE.MeshBasicMaterial({ color: 0xff3300 });
-const pointHoverMat = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
-const haloMat = new THREE.MeshBasicMaterial({ 
-    color: 0xff3300, 
-    transparent: true, 
-    opacity: 0.3,
-    side: THREE.DoubleSide
-});
-const wireMat = new THREE.MeshStandardMaterial({ 
-    color: 0x2c3e50, 
-    roughness: 0.5,
-    metalness: 0.1
-});
-
-// --- Helper Functions ---
-
-function createConnectionPoint(userData) {
-    const group = new THREE.Group();
-    
-    // Core
-    const coreGeo = new THREE.SphereGeometry(0.25, 16, 16);
-    const core = new THREE.Mesh(coreGeo, pointMat.clone());
-    core.userData = userData;
-    group.add(core);
-
-    // Halo
-    const haloShellGeo = new THREE.SphereGeometry(0.4, 16, 16);
-    const haloShell = new THREE.Mesh(haloShellGeo, haloMat.clone());
-    haloShell.name = "halo";
-    group.add(haloShell);
-
-    connectionPoints.push(core);
-    return group;
-}
-
-function updateWireMesh(mesh, startPos, endPos, bendFactor = 1) {
-    const mid = new THREE.Vector3().addVectors(startPos, endPos).multiplyScalar(0.5);
-    const dist = startPos.distanceTo(endPos);
-    mid.y += 1.0 + dist * 0.2; 
-    mid.z += dist * 0.3 * bendFactor;
-
-    const curve = new THREE.QuadraticBezierCurve3(startPos, mid, endPos);
-    const geometry = new THREE.TubeGeometry(curve, 20, 0.08, 8, false);
-    
-    if (mesh) {
-        mesh.geometry.dispose();
-        mesh.geometry = geometry;
-    } else {
-        mesh = new THREE.Mesh(geometry, wireMat);
-        mesh.castShadow = true;
-    }
-    return mesh;
-}
-
-// --- Component Creators ---
+// --- Components ---
 
 // 1. Battery
-function createBattery() {
-    const group = new THREE.Group();
-    group.name = 'battery';
-    
-    // Body
-    const body = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.6, 0.6, 2.5, 32),
-        new THREE.MeshStandardMaterial({ color: 0x333333 })
-    );
-    body.position.y = 1.25;
-    body.castShadow = true;
-    group.add(body);
-
-    // Label
-    const label = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.61, 0.61, 1.5, 32, 1, true),
-        new THREE.MeshStandardMaterial({ color: 0xffcc00 })
-    );
-    label.position.y = 1.25;
-    group.add(label);
-
-    // Positive
-    const pos = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.2, 0.2, 0.2, 16),
-        new THREE.MeshStandardMaterial({ color: 0xc0c0c0 })
-    );
-    pos.position.y = 2.6;
-    group.add(pos);
-
-    // Connection Point Positive
-    const cpPosGroup = createConnectionPoint({ type: 'point', parent: 'battery', pole: 'pos' });
-    cpPosGroup.position.set(0, 2.8, 0); 
-    
-    // Label +
-    const canvasPos = document.createElement('canvas');
-    const ctxPos = canvasPos.getContext('2d');
-    canvasPos.width = 64; canvasPos.height = 64;
-    ctxPos.fillStyle = '#ff0000';
-    ctxPos.font = 'bold 48px Arial';
-    ctxPos.fillText('+', 15, 50);
-    const labelPos = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvasPos), depthTest: false })); 
-    labelPos.position.set(-0.6, 0, 0); 
-    labelPos.scale.set(0.5, 0.5, 0.5);
-    cpPosGroup.add(labelPos);
-    group.add(cpPosGroup);
-
-    // Connection Point Negative
-    const cpNegGroup = createConnectionPoint({ type: 'point', parent: 'battery', pole: 'neg' });
-    cpNegGroup.position.set(0, -0.2, 0);
-    
-    // Label -
-    const canvasNeg = document.createElement('canvas');
-    const ctxNeg = canvasNeg.getContext('2d');
-    canvasNeg.width = 64; canvasNeg.height = 64;
-    ctxNeg.fillStyle = '#000000';
-    ctxNeg.font = 'bold 48px Arial';
-    ctxNeg.fillText('-', 20, 45);
-    const labelNeg = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvasNeg), depthTest: false }));
-    labelNeg.position.set(-0.6, 0, 0); 
-    labelNeg.scale.set(0.5, 0.5, 0.5);
-    cpNegGroup.add(labelNeg);
-    group.add(cpNegGroup);
-
-    return group;
-}
-
-// 2. Bulb
-let bulbMaterial; 
-let filamentMaterial;
-function createBulb() {
-    const group = new THREE.Group();
-    group.name = 'bulb';
-    
-    // Glass
-    bulbMaterial = new THREE.MeshPhysicalMaterial({ 
-        color: 0xffffff, 
-        transparent: true, 
-        opacity: 0.3, 
-        transmission: 0.9,
-        roughness: 0,
-        emissive: 0x000000
-    });
-    const glass = new THREE.Mesh(new THREE.SphereGeometry(0.8, 32, 32), bulbMaterial);
-    glass.position.y = 1.8;
-    group.add(glass);
-
-    // Filament
-    filamentMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x555555, 
-        emissive: 0x000000
-    });
-    
-    const supportGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.8, 8);
-    const supportMat = new THREE.MeshStandardMaterial({ color: 0x888888 });
-    const s1 = new THREE.Mesh(supportGeo, supportMat);
-    s1.position.set(-0.2, 1.4, 0);
-    group.add(s1);
-    const s2 = new THREE.Mesh(supportGeo, supportMat);
-    s2.position.set(0.2, 1.4, 0);
-    group.add(s2);
-
-    const filamentPath = new THREE.CatmullRomCurve3([
-        new THREE.Vector3(-0.2, 1.8, 0),
-        new THREE.Vector3(-0.1, 2.0, 0),
-        new THREE.Vector3(0, 1.8, 0),
-        new THREE.Vector3(0.1, 2.0, 0),
-        new THREE.Vector3(0.2, 1.8, 0)
-    ]);
-    const filament = new THREE.Mesh(new THREE.TubeGeometry(filamentPath, 20, 0.015, 8, false), filamentMaterial);
-    group.add(filament);
-
-    // Base
-    const base = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.4, 0.4, 0.8, 32),
-        new THREE.MeshStandardMaterial({ color: 0xc0c0c0 })
-    );
-    base.position.y = 1.0;
-    group.add(base);
-
-    // Connection Points
-    const cp1Group = createConnectionPoint({ type: 'point', parent: 'bulb', id: 1 });
-    cp1Group.position.set(0.4, 1.0, 0);
-    group.add(cp1Group);
-
-    const cp2Group = createConnectionPoint({ type: 'point', parent: 'bulb', id: 2 });
-    cp2Group.position.set(0, 0.5, 0);
-    group.add(cp2Group);
-
-    return group;
-}
-
-// 3. Switch
-let switchLever;
-let isSwitchClosed = false;
-function createSwitch() {
-    const group = new THREE.Group();
-    group.name = 'switch';
-    
-    // Base
-    const baseGeo = new THREE.BoxGeometry(1.5, 0.2, 3);
-    const baseMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
-    const base = new THREE.Mesh(baseGeo, baseMat);
-    base.position.y = 0.1;
-    base.castShadow = true;
-    group.add(base);
-
-    // Contacts
-    const clipGeo = new THREE.BoxGeometry(0.4, 0.4, 0.4);
-    const metalMat = new THREE.MeshStandardMaterial({ color: 0xc0c0c0, metalness: 0.8, roughness: 0.2 });
-    
-    // Rear hinge
-    const rearClip = new THREE.Mesh(clipGeo, metalMat);
-    rearClip.position.set(0, 0.4, 1.0);
-    group.add(rearClip);
-
-    // Front contact
-    const frontClip = new THREE.Mesh(clipGeo, metalMat);
-    frontClip.position.set(0, 0.4, -1.0);
-    group.add(frontClip);
-
-    // Connection Points for Switch (Front and Rear)
-    const cpRearGroup = createConnectionPoint({ type: 'point', parent: 'switch', id: 'rear' });
-    cpRearGroup.position.set(0, 0.4, 1.5); // Behind the hinge
-    group.add(cpRearGroup);
-
-    const cpFrontGroup = createConnectionPoint({ type: 'point', parent: 'switch', id: 'front' });
-    cpFrontGroup.position.set(0, 0.4, -1.5); // In front of contact
-    group.add(cpFrontGroup);
-
-    // Lever Group
-    switchLever = new THREE.Group();
-    switchLever.position.set(0, 0.5, 1.0);
-    
-    const bladeGeo = new THREE.BoxGeometry(0.2, 0.1, 2.2);
-    bladeGeo.translate(0, 0, -1.0); 
-    const blade = new THREE.Mesh(bladeGeo, metalMat);
-    switchLever.add(blade);
-
-    const handleGeo = new THREE.CylinderGeometry(0.15, 0.1, 0.8);
-    const handleMat = new THREE.MeshStandardMaterial({ color: 0xff0000 });
-    const handle = new THREE.Mesh(handleGeo, handleMat);
-    handle.rotation.x = -Math.PI / 2;
-    handle.position.set(0, 0, -2.2);
-    switchLever.add(handle);
-
-    switchLever.rotation.x = Math.PI / 4; // Open
-    group.add(switchLever);
-
-    return group;
-}
-
-// Add objects
-const battery = createBattery();
+const { group: battery, terminals: batteryTerminals } = createBattery();
+const batteryPoints = attachConnectionPoints(battery, batteryTerminals, 'battery', {
+    pos: { text: '+', color: '#ff0000' },
+    neg: { text: '-', color: '#000000' }
+});
 battery.rotation.z = -Math.PI / 2;
 battery.position.set(-3, 0.6, -2);
 scene.add(battery);
 
-const bulb = createBulb();
+// 2. Bulb
+const { group: bulb, terminals: bulbTerminals } = createBulb();
+const bulbPoints = attachConnectionPoints(bulb, bulbTerminals, 'bulb');
 bulb.position.set(3, 0, -2);
 scene.add(bulb);
 
-const switchObj = createSwitch();
+// 3. Switch
+const { group: switchObj, terminals: switchTerminals } = createSwitch();
+const switchPoints = attachConnectionPoints(switchObj, switchTerminals, 'switch');
 switchObj.position.set(0, 0, 3); // Place switch in front
 switchObj.rotation.y = Math.PI / 2; // Rotate 90 degrees
 scene.add(switchObj);
 
+const switchLever = switchObj.getObjectByName('lever');
+let isSwitchClosed = false;
+
+// 4. LED kit: an LED where the bulb stands, a second cell in line behind the
+// first and a current-limiting resistor. Only on the bench in LED mode.
+const LED_RESISTANCE = 100;
+
+const { group: led, terminals: ledTerminals } = createLed({ name: 'led' });
+const ledPoints = attachConnectionPoints(led, ledTerminals, 'led');
+led.position.copy(bulb.position);
+scene.add(led);
+
+const { group: battery2, terminals: battery2Terminals } = createBattery({ name: 'battery2' });
+const battery2Points = attachConnectionPoints(battery2, battery2Terminals, 'battery2', {
+    neg: { text: '-', color: '#000000' }
+});
+battery2.rotation.z = -Math.PI / 2;
+battery2.position.set(-5.75, 0.6, -2); // Its (+) cap presses on the first cell's (-) plate
+scene.add(battery2);
+
+const { group: resistor, terminals: resistorTerminals } = createResistor({ resistance: LED_RESISTANCE, name: 'resistor' });
+const resistorPoints = attachConnectionPoints(resistor, resistorTerminals, 'resistor');
+resistor.position.set(4, 0, 1.5);
+scene.add(resistor);
+
+// Where the two cells touch there is nothing left to wire
+const cellJoint = [
+    batteryPoints.find(p => p.userData.pole === 'neg'),
+    battery2Points.find(p => p.userData.pole === 'pos')
+];
+
+// 'bulb': one cell and the bulb; 'led': two cells, the LED and the resistor
+let loadType = 'bulb';
+const loadSelect = document.getElementById('load-select');
+
+function setLoad(type) {
+    loadType = type;
+    loadSelect.value = type;
+    const ledKit = type === 'led';
+    bulb.visible = !ledKit;
+    led.visible = battery2.visible = resistor.visible = ledKit;
+    cellJoint.forEach(p => { p.parent.visible = !ledKit; });
+
+    connectionPoints.length = 0;
+    connectionPoints.push(...batteryPoints, ...switchPoints);
+    if (ledKit) {
+        connectionPoints.push(...battery2Points, ...ledPoints, ...resistorPoints);
+        cellJoint.forEach(p => connectionPoints.splice(connectionPoints.indexOf(p), 1));
+    } else {
+        connectionPoints.push(...bulbPoints);
+    }
+    resetCircuit();
+}
+
 // --- Interaction ---
 const raycaster = new THREE.Raycaster();
-const mouse = new THREE.Vector2();
 
 function getIntersects(event, objects) {
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-    raycaster.setFromCamera(mouse, camera);
+    input.aim(raycaster, event);
     return raycaster.intersectObjects(objects, false);
 }
 
@@ -335,8 +127,18 @@ function isPointOccupied(userData) {
     });
 }
 
+// Drop a wire that was being drawn but never reached a free point
+function discardLine() {
+    if (currentLine) {
+        currentLine.geometry.dispose();
+        scene.remove(currentLine);
+    }
+    currentLine = null;
+    startPoint = null;
+}
+
 // Hover
-window.addEventListener('mousemove', (e) => {
+input.onMove((e) => {
     if (isDrawing) {
         let targetPos = new THREE.Vector3();
         // Allow snapping to valid end points while drawing
@@ -397,8 +199,8 @@ window.addEventListener('mousemove', (e) => {
     }
 });
 
-// Wiring Click
-window.addEventListener('mousedown', (e) => {
+// Wiring
+input.onDown((e) => {
     const intersects = getIntersects(e, connectionPoints);
     if (intersects.length > 0) {
         const point = intersects[0].object;
@@ -418,26 +220,29 @@ window.addEventListener('mousedown', (e) => {
         currentLine = updateWireMesh(null, startPos, startPos, bendFactor);
         currentLine.userData.bendFactor = bendFactor;
         scene.add(currentLine);
-    } else {
-        // Check for Switch Click
-        // Raycast against scene children
-        raycaster.setFromCamera(mouse, camera);
-        const hits = raycaster.intersectObjects(scene.children, true);
-        if (hits.length > 0) {
-            let obj = hits[0].object;
-            // Traverse up
-            while(obj) {
-                if (obj.name === 'switch') {
-                    toggleSwitch();
-                    return;
-                }
-                obj = obj.parent;
+    }
+});
+
+// Switch click or tap
+input.onTap((e) => {
+    if (getIntersects(e, connectionPoints).length > 0) return;
+
+    // Raycast against scene children
+    const hits = raycaster.intersectObjects(scene.children, true);
+    if (hits.length > 0) {
+        let obj = hits[0].object;
+        // Traverse up
+        while(obj) {
+            if (obj.name === 'switch') {
+                toggleSwitch();
+                return;
             }
+            obj = obj.parent;
         }
     }
 });
 
-window.addEventListener('mouseup', (e) => {
+input.onUp((e) => {
     if (isDrawing) {
         isDrawing = false;
         controls.enabled = true;
@@ -467,19 +272,24 @@ window.addEventListener('mouseup', (e) => {
             });
             
             checkCircuit();
+            currentLine = null;
+            startPoint = null;
         } else {
-            if (currentLine) {
-                currentLine.geometry.dispose();
-                scene.remove(currentLine);
-            }
+            discardLine();
         }
-        currentLine = null;
-        startPoint = null;
     }
 });
 
-// Double click to remove wire
-window.addEventListener('dblclick', (e) => {
+// A second finger came down to zoom or turn the view: give up the wire
+input.onCancel(() => {
+    if (!isDrawing) return;
+    isDrawing = false;
+    connectionPoints.forEach(p => p.material.color.set(0xff3300));
+    discardLine();
+});
+
+// Double click (or long press) to remove wire
+input.onDelete((e) => {
     const intersects = getIntersects(e, wires.map(w => w.mesh));
     if (intersects.length > 0) {
         const mesh = intersects[0].object;
@@ -515,136 +325,73 @@ function toggleSwitch() {
 }
 
 // --- Circuit Logic ---
-function checkCircuit() {
-    // Build Graph
-    // Nodes: 'battery-pos', 'battery-neg', 'bulb-1', 'bulb-2', 'switch-front', 'switch-rear'
-    // Internal Connections:
-    // Bulb: bulb-1 <-> bulb-2 (Always connected internally via filament? Yes, but filament is the load)
-    // Switch: switch-front <-> switch-rear (Only if closed)
-    // Battery: source.
-    
-    // Actually, to light the bulb, we need a path from Battery(+) to Battery(-) passing through Bulb.
-    // And if the path passes through Switch, the switch must be closed.
-    
-    // Let's model connectivity.
-    // Map Component IDs to a list of connected Component IDs.
-    const adj = new Map();
-    
-    function addEdge(u, v) {
-        if (!adj.has(u)) adj.set(u, []);
-        if (!adj.has(v)) adj.set(v, []);
-        adj.get(u).push(v);
-        adj.get(v).push(u);
+const shortWarning = createShortCircuitWarning(scene);
+const schematic = createSchematicView({
+    container: document.getElementById('schematic-panel'),
+    toggleButton: document.getElementById('schematic-btn'),
+    objects: { battery, battery2, bulb, led, resistor, switch: switchObj }
+});
+
+// Netlist: the components on the bench plus every wire the student has drawn.
+// The switch only conducts while closed; the solver works out the rest.
+function buildNetlist() {
+    const netWires = wires.map(w => ({ from: wireEndKey(w.start), to: wireEndKey(w.end) }));
+    if (loadType === 'led') {
+        netWires.push({ from: 'battery2.pos', to: 'battery.neg' }); // The cells touching
+        return {
+            components: [
+                { id: 'battery', type: 'battery' },
+                { id: 'battery2', type: 'battery' },
+                { id: 'led', type: 'led', ...ledParameters(led) },
+                { id: 'resistor', type: 'resistor', resistance: LED_RESISTANCE },
+                { id: 'switch', type: 'switch', closed: isSwitchClosed }
+            ],
+            wires: netWires
+        };
     }
-    
-    // Add Wires
-    wires.forEach(w => {
-        const u = `${w.start.parent}-${w.start.id || w.start.pole}`;
-        const v = `${w.end.parent}-${w.end.id || w.end.pole}`;
-        addEdge(u, v);
+    return {
+        components: [
+            { id: 'battery', type: 'battery' },
+            { id: 'bulb', type: 'bulb', ...bulbParameters(bulb) },
+            { id: 'switch', type: 'switch', closed: isSwitchClosed }
+        ],
+        wires: netWires
+    };
+}
+
+function checkCircuit() {
+    const ledKit = loadType === 'led';
+    const { netlist, result } = solveWithBurnout(buildNetlist, ledKit ? { led } : { bulb });
+    schematic.update(netlist, result);
+
+    // A wire straight across the battery steals all the current from the bulb
+    shortWarning.update(result, {
+        wireMeshes: wires.map(w => w.mesh),
+        batteries: ledKit ? { battery, battery2 } : { battery }
     });
-    
-    // Add Internal Component Connections (if closed/conductive)
-    // Bulb is conductive (it's the load, but for path finding, it connects its two terminals)
-    addEdge('bulb-1', 'bulb-2');
-    
-    // Switch is conductive ONLY if closed
-    if (isSwitchClosed) {
-        addEdge('switch-front', 'switch-rear');
-    }
-    
-    // BFS from Battery(+) to Battery(-)
-    const startNode = 'battery-pos';
-    const endNode = 'battery-neg';
-    
-    if (!adj.has(startNode) || !adj.has(endNode)) {
-        turnOffBulb();
-        return;
-    }
-    
-    const queue = [startNode];
-    const visited = new Set();
-    visited.add(startNode);
-    const parent = new Map(); // To reconstruct path
-    
-    let found = false;
-    while(queue.length > 0) {
-        const curr = queue.shift();
-        if (curr === endNode) {
-            found = true;
-            break;
-        }
-        
-        const neighbors = adj.get(curr) || [];
-        for (const n of neighbors) {
-            if (!visited.has(n)) {
-                visited.add(n);
-                parent.set(n, curr);
-                queue.push(n);
-            }
-        }
-    }
-    
-    if (found) {
-        // Verify path passes through Bulb
-        // Reconstruct path
-        let curr = endNode;
-        let hasBulb = false;
-        let hasSwitch = false;
-        
-        while(curr !== startNode) {
-            if (curr.includes('bulb')) hasBulb = true;
-            if (curr.includes('switch')) hasSwitch = true;
-            curr = parent.get(curr);
-        }
-        
-        if (hasBulb) {
-            turnOnBulb();
-            
-            // Check if switch was used
-            if (hasSwitch) {
-                 document.getElementById('success-msg').innerText = "🎉 恭喜！你成功用开关控制了灯泡！";
-                 document.getElementById('success-msg').style.display = 'block';
-            } else {
-                 document.getElementById('success-msg').innerText = "💡 灯亮了！但你没用到开关哦，试试把开关串联进去！";
-                 document.getElementById('success-msg').style.display = 'block';
-            }
+
+    const msg = document.getElementById('success-msg');
+    const lit = ledKit ? setLedGlow(led, result.components.led) > 0 : setBulbGlow(bulb, result.components.bulb) > 0;
+    if (lit) {
+        // Check if switch was used
+        const hasSwitch = Math.abs(result.components.switch.current) > CURRENT_THRESHOLD;
+        if (hasSwitch) {
+            msg.innerText = ledKit ? "🎉 恭喜！电阻保护着LED，你用开关控制了它！" : "🎉 恭喜！你成功用开关控制了灯泡！";
         } else {
-            // Short circuit? (Battery connected to itself without bulb)
-            turnOffBulb();
+            msg.innerText = (ledKit ? "🔴 LED亮了！" : "💡 灯亮了！") + "但你没用到开关哦，试试把开关串联进去！";
         }
+        msg.style.display = 'block';
+    } else if (ledKit && isBurntOut(led)) {
+        msg.innerText = "💥 LED烧坏了！没有电阻挡着，电流太大了。点“重置电路”换一个新的LED，这次把电阻串联进去。";
+        msg.style.display = 'block';
+    } else if (ledKit && result.components.led.voltage < -1) {
+        msg.innerText = "↩️ LED接反了！电流只能从长脚（正极）流进LED，把它两只脚上的导线对调一下。";
+        msg.style.display = 'block';
     } else {
-        turnOffBulb();
-    }
-}
-
-function turnOnBulb() {
-    bulbMaterial.emissive.set(0xffff00);
-    bulbMaterial.emissiveIntensity = 1;
-    bulbMaterial.opacity = 0.8;
-    filamentMaterial.color.set(0xffaa00);
-    filamentMaterial.emissive.set(0xffaa00);
-    filamentMaterial.emissiveIntensity = 2;
-    
-    if (!scene.getObjectByName('bulbLight')) {
-        const light = new THREE.PointLight(0xffaa00, 5, 10);
-        light.name = 'bulbLight';
-        light.position.set(3, 2, -2);
-        scene.add(light);
+        msg.style.display = 'none';
     }
-}
 
-function turnOffBulb() {
-    bulbMaterial.emissive.set(0x000000);
-    bulbMaterial.opacity = 0.3;
-    filamentMaterial.color.set(0x555555);
-    filamentMaterial.emissive.set(0x000000);
-    filamentMaterial.emissiveIntensity = 0;
-    
-    const light = scene.getObjectByName('bulbLight');
-    if (light) scene.remove(light);
-    
-    document.getElementById('success-msg').style.display = 'none';
+    storage.changed();
 }
 
 function resetCircuit() {
@@ -652,36 +399,66 @@ function resetCircuit() {
     wires = [];
     isSwitchClosed = false;
     switchLever.rotation.x = Math.PI / 4;
+    repairBulb(led);
     checkCircuit();
 }
 
 document.getElementById('reset-btn').addEventListener('click', resetCircuit);
+loadSelect.addEventListener('change', () => setLoad(loadSelect.value));
+
+// --- Save / Load ---
+function serializeCircuit() {
+    const load = loadType === 'led'
+        ? [
+            { id: 'battery2', type: 'battery', ...placementOf(battery2) },
+            { id: 'led', type: 'led', ...placementOf(led), color: led.userData.ledColor },
+            { id: 'resistor', type: 'resistor', ...placementOf(resistor), resistance: LED_RESISTANCE }
+        ]
+        : [{ id: 'bulb', type: 'bulb', ...placementOf(bulb) }];
+    return createCircuitDocument('lesson3', [
+        { id: 'battery', type: 'battery', ...placementOf(battery) },
+        ...load,
+        { id: 'switch', type: 'switch', ...placementOf(switchObj), closed: isSwitchClosed }
+    ], wires.map(w => ({ from: wireEndKey(w.start), to: wireEndKey(w.end) })));
+}
 
-// Animation Loop
-function animate() {
-    requestAnimationFrame(animate);
-    controls.update();
-    
-    // Halo Pulse
-    const time = Date.now() * 0.003;
-    const scale = 1 + Math.sin(time) * 0.2;
-    const opacity = 0.3 + Math.sin(time) * 0.15;
-    
-    connectionPoints.forEach(cp => {
-        const group = cp.parent;
-        const halo = group.getObjectByName('halo');
-        if (halo) {
-            halo.scale.set(scale, scale, scale);
-            halo.material.opacity = opacity;
-        }
-    });
+// The components stay where the lesson puts them; the load, switch and wires come back
+function restoreCircuit(doc) {
+    setLoad(doc.components.some(c => c.type === 'led') ? 'led' : 'bulb');
 
-    renderer.render(scene, camera);
+    const savedSwitch = doc.components.find(c => c.id === 'switch');
+    isSwitchClosed = !!(savedSwitch && savedSwitch.closed);
+    switchLever.rotation.x = isSwitchClosed ? 0 : Math.PI / 4;
+
+    doc.wires.forEach(w => {
+        const startPoint = connectionPoints.find(p => wireEndKey(p.userData) === w.from);
+        const endPoint = connectionPoints.find(p => wireEndKey(p.userData) === w.to);
+        if (!startPoint || !endPoint || startPoint === endPoint) return;
+
+        const bendFactor = (wires.length % 2 === 0) ? 1 : -1;
+        const startPos = startPoint.getWorldPosition(new THREE.Vector3());
+        const endPos = endPoint.getWorldPosition(new THREE.Vector3());
+        const mesh = updateWireMesh(null, startPos, endPos, bendFactor);
+        mesh.userData.bendFactor = bendFactor;
+        scene.add(mesh);
+        wires.push({ start: startPoint.userData, end: endPoint.userData, mesh });
+    });
+    checkCircuit();
 }
-animate();
 
-window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+const storage = createCircuitStorage({
+    lesson: 'lesson3',
+    serialize: serializeCircuit,
+    restore: restoreCircuit,
+    saveButton: document.getElementById('save-btn'),
+    loadButton: document.getElementById('load-btn'),
+    shareButton: document.getElementById('share-btn')
+});
+if (!storage.restoreAutosave()) setLoad('bulb');
+storage.restoreShared();
+
+// Animation Loop
+lab.onFrame((time) => {
+    pulseHalos(connectionPoints, time);
+    shortWarning.animate(time);
 });
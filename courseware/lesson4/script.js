@@ -1,46 +1,23 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { createBattery, createBatteryBox, batteryBoxWires, createBulb, createSwitch } from '../shared/components.js';
+import { createLab } from '../shared/lab.js';
+import { BULB_DEFAULTS } from '../shared/circuit-solver.js';
+import { createCircuitDocument, createCircuitStorage, placementOf, applyPlacement } from '../shared/circuit-file.js';
+import { cellParameters, drainNetlist, setStateOfCharge, createDischargeTimeline, attachChargeLabel, updateChargeLabel, OLD_CELL_CHARGE } from '../shared/battery-charge.js';
+import { bulbParameters, setBulbGlow, solveWithBurnout, repairBulb, isBurntOut, BULB_RATINGS } from '../shared/bulb-glow.js';
 
 // --- Scene Setup ---
-const container = document.getElementById('canvas-container');
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(0xf0f8ff);
-
-const camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 1000);
-camera.position.set(0, 15, 18); // Zoom out to see both
-camera.lookAt(0, 0, 0);
-
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.shadowMap.enabled = true;
-container.appendChild(renderer.domElement);
-
-const orbitControls = new OrbitControls(camera, renderer.domElement);
-orbitControls.enableDamping = true;
-orbitControls.maxPolarAngle = Math.PI / 2.2;
-orbitControls.minDistance = 5;
-orbitControls.maxDistance = 40;
-
-// Lights
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-scene.add(ambientLight);
-const dirLight = new THREE.DirectionalLight(0xffffff, 0.8);
-dirLight.position.set(5, 10, 7);
-dirLight.castShadow = true;
-scene.add(dirLight);
-
-// Floor
-const floor = new THREE.Mesh(
-    new THREE.PlaneGeometry(60, 40),
-    new THREE.MeshStandardMaterial({ color: 0xeeeeee, roughness: 0.8 })
-);
-floor.rotation.x = -Math.PI / 2;
-floor.receiveShadow = true;
-scene.add(floor);
+const lab = createLab({
+    camera: { position: [0, 15, 18] }, // Zoom out to see both
+    controls: { maxPolarAngle: Math.PI / 2.2, minDistance: 5, maxDistance: 40 },
+    floor: { width: 60, depth: 40 }
+});
+const { scene, controls: orbitControls, input } = lab;
 
 // --- Global State ---
 const circuits = []; 
 const allBatteries = []; 
+let bulbRating = null; // The rating picked for every socket, null = the default bulb
 
 // Drag State
 let isDragging = false;
@@ -54,7 +31,6 @@ const wireMat = new THREE.MeshStandardMaterial({
     roughness: 0.5,
     metalness: 0.1
 });
-const metalMat = new THREE.MeshStandardMaterial({ color: 0xeeeeee, metalness: 0.8, roughness: 0.2 });
 
 // --- Helper Functions ---
 
@@ -70,432 +46,84 @@ function updateWireMesh(startPos, points, endPos) {
     return mesh;
 }
 
-// Reusable Parts Helpers
-function createSpring() {
-    const points = [];
-    const turns = 6;
-    const length = 0.5;
-    const radius = 0.25;
-    for (let i = 0; i <= 60; i++) {
-        const t = i / 60;
-        const angle = t * Math.PI * 2 * turns;
-        const x = t * length;
-        const y = Math.cos(angle) * radius;
-        const z = Math.sin(angle) * radius;
-        points.push(new THREE.Vector3(x, y, z));
-    }
-    const curve = new THREE.CatmullRomCurve3(points);
-    const geo = new THREE.TubeGeometry(curve, 60, 0.04, 8, false); 
-    const mat = new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.9, roughness: 0.1 }); 
-    return new THREE.Mesh(geo, mat);
-}
-
-function createPlate() {
-    const mat = new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.9, roughness: 0.1 });
-    return new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.6, 0.6), mat); 
-}
-
-function createFlatLabel(text, color) {
-    const canvas = document.createElement('canvas');
-    canvas.width = 64; canvas.height = 64;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = color;
-    ctx.font = 'bold 56px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(text, 32, 32);
-    const tex = new THREE.CanvasTexture(canvas);
-    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(0.5, 0.5), new THREE.MeshBasicMaterial({ map: tex, transparent: true }));
-    mesh.rotation.x = -Math.PI / 2;
-    return mesh;
-}
-
-// --- Component Creators ---
-
-function createBatteryBox(circuitId, type = 'double') {
-    const group = new THREE.Group();
-    group.name = 'batteryBox';
-    
-    // Common Dimensions
-    const boxWidth = 3.6;
-    const slotDepth = 1.6;
-    
-    if (type === 'single') {
-        // --- Single Battery Box ---
-        const caseGeo = new THREE.BoxGeometry(boxWidth, 0.8, 2.2); 
-        const caseMat = new THREE.MeshStandardMaterial({ color: 0x222222 }); 
-        const base = new THREE.Mesh(caseGeo, caseMat);
-        base.position.y = 0.4;
-        base.castShadow = true;
-        group.add(base);
-        
-        const slotGeo = new THREE.BoxGeometry(3.3, 0.5, slotDepth);
-        const slotMat = new THREE.MeshStandardMaterial({ color: 0x111111 });
-        const slot = new THREE.Mesh(slotGeo, slotMat);
-        slot.position.set(0, 0.6, 0); // Centered
-        group.add(slot);
-        
-        // Slot: Left(+), Right(-)
-        const plate = createPlate();
-        plate.position.set(-1.6, 0.6, 0);
-        group.add(plate);
-        
-        const spring = createSpring();
-        spring.rotation.y = Math.PI; 
-        spring.position.set(1.6, 0.6, 0);
-        group.add(spring);
-        
-        const lPlus = createFlatLabel('+', '#555555');
-        lPlus.position.set(-1.0, 0.36, 0);
-        group.add(lPlus);
-        
-        const lNeg = createFlatLabel('-', '#555555');
-        lNeg.position.set(1.0, 0.36, 0);
-        group.add(lNeg);
-        
-        // Terminals
-        // Pos (Red) - Left Side
-        const termBasePos = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, 2.2), new THREE.MeshStandardMaterial({color: 0x333333}));
-        termBasePos.position.set(-1.9, 0.4, 0);
-        group.add(termBasePos);
-
-        const termPos = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.3), new THREE.MeshStandardMaterial({color: 0xff0000}));
-        termPos.position.set(-1.9, 0.7, 0.5); 
-        group.add(termPos);
-        
-        // Neg (Black) - Right Side
-        const termBaseNeg = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, 2.2), new THREE.MeshStandardMaterial({color: 0x333333}));
-        termBaseNeg.position.set(1.9, 0.4, 0);
-        group.add(termBaseNeg);
-
-        const termNeg = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.3), new THREE.MeshStandardMaterial({color: 0x000000}));
-        termNeg.position.set(1.9, 0.7, -0.5); 
-        group.add(termNeg);
-        
-        group.userData = {
-            circuitId: circuitId,
-            type: 'single',
-            slots: [
-                { id: 1, pos: new THREE.Vector3(0, 0.6, 0), occupied: false, expectedDir: new THREE.Vector3(-1, 0, 0) }
-            ],
-            terminals: {
-                pos: new THREE.Vector3(-1.9, 0.7, 0.5),
-                neg: new THREE.Vector3(1.9, 0.7, -0.5)
-            }
-        };
-        
-    } else {
-        // --- Double Battery Box (Series) ---
-        const caseGeo = new THREE.BoxGeometry(boxWidth, 0.8, 4.0); 
-        const caseMat = new THREE.MeshStandardMaterial({ color: 0x222222 }); 
-        const base = new THREE.Mesh(caseGeo, caseMat);
-        base.position.y = 0.4;
-        base.castShadow = true;
-        group.add(base);
-        
-        const slotGeo = new THREE.BoxGeometry(3.3, 0.5, 1.6);
-        const slotMat = new THREE.MeshStandardMaterial({ color: 0x111111 });
-        
-        const slot1 = new THREE.Mesh(slotGeo, slotMat);
-        slot1.position.set(0, 0.6, -1.0);
-        group.add(slot1);
-        
-        const slot2 = new THREE.Mesh(slotGeo, slotMat);
-        slot2.position.set(0, 0.6, 1.0);
-        group.add(slot2);
-        
-        // Slot 1 (Back): Left(+), Right(-)
-        const plate1 = createPlate();
-        plate1.position.set(-1.6, 0.6, -1.0);
-        group.add(plate1);
-        
-        const spring1 = createSpring();
-        spring1.rotation.y = Math.PI; 
-        spring1.position.set(1.6, 0.6, -1.0);
-        group.add(spring1);
-        
-        const l1Plus = createFlatLabel('+', '#555555');
-        l1Plus.position.set(-1.0, 0.36, -1.0); 
-        group.add(l1Plus);
-        
-        const l1Neg = createFlatLabel('-', '#555555');
-        l1Neg.position.set(1.0, 0.36, -1.0);
-        group.add(l1Neg);
-
-        // Slot 2 (Front): Left(-), Right(+)
-        const spring2 = createSpring();
-        spring2.position.set(-1.6, 0.6, 1.0);
-        group.add(spring2);
-        
-        const plate2 = createPlate();
-        plate2.position.set(1.6, 0.6, 1.0);
-        group.add(plate2);
-        
-        const l2Neg = createFlatLabel('-', '#555555');
-        l2Neg.position.set(-1.0, 0.36, 1.0);
-        group.add(l2Neg);
-        
-        const l2Plus = createFlatLabel('+', '#555555');
-        l2Plus.position.set(1.0, 0.36, 1.0);
-        group.add(l2Plus);
-
-        // Series Bar (Left side)
-        const bar = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.05, 2.2), metalMat);
-        bar.position.set(-1.75, 0.6, 0); 
-        group.add(bar);
-        
-        // Terminals (Right Side)
-        const termBase = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, 2.2), new THREE.MeshStandardMaterial({color: 0x333333}));
-        termBase.position.set(1.9, 0.4, 0);
-        group.add(termBase);
-
-        const termPos = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.3), new THREE.MeshStandardMaterial({color: 0xff0000}));
-        termPos.position.set(1.9, 0.7, 1.0); 
-        group.add(termPos);
-        
-        const termNeg = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.3), new THREE.MeshStandardMaterial({color: 0x000000}));
-        termNeg.position.set(1.9, 0.7, -1.0); 
-        group.add(termNeg);
-
-        group.userData = {
-            circuitId: circuitId,
-            type: 'double',
-            slots: [
-                { id: 1, pos: new THREE.Vector3(0, 0.6, -1.0), occupied: false, expectedDir: new THREE.Vector3(-1, 0, 0) }, 
-                { id: 2, pos: new THREE.Vector3(0, 0.6, 1.0), occupied: false, expectedDir: new THREE.Vector3(1, 0, 0) }
-            ],
-            terminals: {
-                pos: new THREE.Vector3(1.9, 0.7, 1.0),
-                neg: new THREE.Vector3(1.9, 0.7, -1.0)
-            }
-        };
-    }
-
-    return group;
-}
-
-function createBattery(id) {
-    const group = new THREE.Group();
-    group.name = 'battery_' + id;
-    
-    const body = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.5, 0.5, 2.8, 32),
-        new THREE.MeshStandardMaterial({ color: 0x333333 })
-    );
-    body.rotation.z = -Math.PI / 2;
-    body.castShadow = true;
-    group.add(body);
-
-    const label = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.51, 0.51, 1.8, 32, 1, true),
-        new THREE.MeshStandardMaterial({ color: 0xffcc00 })
-    );
-    label.rotation.z = -Math.PI / 2;
-    group.add(label);
-
-    const pos = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.2, 0.2, 0.2, 16),
-        new THREE.MeshStandardMaterial({ color: 0xc0c0c0 })
-    );
-    pos.rotation.z = -Math.PI / 2;
-    pos.position.x = 1.5; 
-    group.add(pos);
-    
-    const canvasPos = document.createElement('canvas');
-    const ctxPos = canvasPos.getContext('2d');
-    canvasPos.width = 64; canvasPos.height = 64;
-    ctxPos.fillStyle = '#ff0000';
-    ctxPos.font = 'bold 48px Arial';
-    ctxPos.fillText('+', 15, 50);
-    const labelPos = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvasPos) })); 
-    labelPos.position.set(0.8, 0.6, 0); 
-    labelPos.scale.set(0.5, 0.5, 0.5);
-    group.add(labelPos);
-
-    const neg = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.45, 0.45, 0.05, 32),
-        new THREE.MeshStandardMaterial({ color: 0xc0c0c0 })
-    );
-    neg.rotation.z = -Math.PI / 2;
-    neg.position.x = -1.4;
-    group.add(neg);
-
-    group.userData = {
+// Draggable cell for the battery box
+function createCell(id) {
+    const { group } = createBattery({ pose: 'lying', name: 'battery_' + id });
+    Object.assign(group.userData, {
         type: 'battery',
         id: id,
         parentBox: null,
         inSlot: null
-    };
-
-    return group;
-}
-
-function createBulb(circuitId) {
-    const group = new THREE.Group();
-    group.name = 'bulb';
-    
-    const bulbMaterial = new THREE.MeshPhysicalMaterial({ 
-        color: 0xffffff, 
-        transparent: true, 
-        opacity: 0.3, 
-        transmission: 0.9,
-        roughness: 0,
-        emissive: 0x000000
     });
-    const glass = new THREE.Mesh(new THREE.SphereGeometry(0.8, 32, 32), bulbMaterial);
-    glass.position.y = 1.8;
-    group.add(glass);
-
-    const filamentMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x555555, 
-        emissive: 0x000000
-    });
-    
-    const supportGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.8, 8);
-    const supportMat = new THREE.MeshStandardMaterial({ color: 0x888888 });
-    const s1 = new THREE.Mesh(supportGeo, supportMat);
-    s1.position.set(-0.2, 1.4, 0);
-    group.add(s1);
-    const s2 = new THREE.Mesh(supportGeo, supportMat);
-    s2.position.set(0.2, 1.4, 0);
-    group.add(s2);
-
-    const filamentPath = new THREE.CatmullRomCurve3([
-        new THREE.Vector3(-0.2, 1.8, 0),
-        new THREE.Vector3(-0.1, 2.0, 0),
-        new THREE.Vector3(0, 1.8, 0),
-        new THREE.Vector3(0.1, 2.0, 0),
-        new THREE.Vector3(0.2, 1.8, 0)
-    ]);
-    const filament = new THREE.Mesh(new THREE.TubeGeometry(filamentPath, 20, 0.015, 8, false), filamentMaterial);
-    group.add(filament);
-
-    const base = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.4, 0.4, 0.8, 32),
-        new THREE.MeshStandardMaterial({ color: 0xc0c0c0 })
-    );
-    base.position.y = 1.0;
-    group.add(base);
-
-    const t1 = new THREE.Mesh(new THREE.SphereGeometry(0.15), new THREE.MeshStandardMaterial({color:0x000000}));
-    t1.position.set(0.4, 0.5, 0);
-    group.add(t1);
-    const t2 = new THREE.Mesh(new THREE.SphereGeometry(0.15), new THREE.MeshStandardMaterial({color:0x000000}));
-    t2.position.set(-0.4, 0.5, 0);
-    group.add(t2);
-
-    group.userData = { 
-        circuitId: circuitId,
-        terminals: { t1: new THREE.Vector3(0.4, 0.5, 0), t2: new THREE.Vector3(-0.4, 0.5, 0) },
-        materials: { bulb: bulbMaterial, filament: filamentMaterial }
-    };
-
+    attachChargeLabel(group);
     return group;
 }
 
-function createSwitch(circuitId) {
-    const group = new THREE.Group();
-    group.name = 'switch';
-    
-    const baseGeo = new THREE.BoxGeometry(1.5, 0.2, 3);
-    const baseMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
-    const base = new THREE.Mesh(baseGeo, baseMat);
-    base.position.y = 0.1;
-    group.add(base);
-
-    const clipGeo = new THREE.BoxGeometry(0.4, 0.4, 0.4);
-    
-    const rearClip = new THREE.Mesh(clipGeo, metalMat);
-    rearClip.position.set(0, 0.4, 1.0);
-    group.add(rearClip);
-    
-    const pinGeo = new THREE.CylinderGeometry(0.05, 0.05, 0.6);
-    const pin = new THREE.Mesh(pinGeo, metalMat);
-    pin.rotation.z = Math.PI / 2; 
-    pin.position.set(0, 0.5, 1.0);
-    group.add(pin);
-
-    const frontClip = new THREE.Mesh(clipGeo, metalMat);
-    frontClip.position.set(0, 0.4, -1.0);
-    group.add(frontClip);
-
-    const leverGroup = new THREE.Group();
-    leverGroup.name = 'lever'; 
-    leverGroup.position.set(0, 0.5, 1.0); 
-    
-    const bladeGeo = new THREE.BoxGeometry(0.2, 0.1, 2.2);
-    bladeGeo.translate(0, 0, -1.0); 
-    const blade = new THREE.Mesh(bladeGeo, metalMat);
-    leverGroup.add(blade);
-
-    const handleGeo = new THREE.CylinderGeometry(0.15, 0.1, 0.8);
-    const handleMat = new THREE.MeshStandardMaterial({ color: 0xff0000 });
-    const handle = new THREE.Mesh(handleGeo, handleMat);
-    handle.rotation.x = -Math.PI / 2;
-    handle.position.set(0, 0, -2.2);
-    leverGroup.add(handle);
-
-    leverGroup.rotation.x = Math.PI / 3; 
-    group.add(leverGroup);
-
-    const t1 = new THREE.Mesh(new THREE.SphereGeometry(0.15), new THREE.MeshStandardMaterial({color:0xc0c0c0}));
-    t1.position.set(0, 0.2, 1.2);
-    group.add(t1);
-    const t2 = new THREE.Mesh(new THREE.SphereGeometry(0.15), new THREE.MeshStandardMaterial({color:0xc0c0c0}));
-    t2.position.set(0, 0.2, -1.2);
-    group.add(t2);
-
-    group.userData = { 
-        circuitId: circuitId,
-        terminals: { front: new THREE.Vector3(0, 0.2, -1.2), rear: new THREE.Vector3(0, 0.2, 1.2) } 
-    };
-    
-    return group;
+// --- Battery Packs ---
+// What a bench's box can hold: a number of cells and how the box joins them
+// (see createBatteryBox). Series packs add up the cells' voltages, parallel
+// packs stay at one cell's voltage but share the current between the cells.
+const PACKS = {
+    '1': { label: '1节电池', slotCount: 1, arrangement: 'series' },
+    '2s': { label: '2节串联', slotCount: 2, arrangement: 'series' },
+    '3s': { label: '3节串联', slotCount: 3, arrangement: 'series' },
+    '4s': { label: '4节串联', slotCount: 4, arrangement: 'series' },
+    '2p': { label: '2节并联', slotCount: 2, arrangement: 'parallel' },
+    '3p': { label: '3节并联', slotCount: 3, arrangement: 'parallel' },
+    '4p': { label: '4节并联', slotCount: 4, arrangement: 'parallel' },
+    '4m': { label: '4节（两两并联再串联）', slotCount: 4, arrangement: 'mixed', groupSize: 2 }
+};
+
+function packKeyOf(box) {
+    const { slotCount, arrangement, groupSize } = box.userData;
+    return Object.keys(PACKS).find(key => {
+        const pack = PACKS[key];
+        return pack.slotCount === slotCount && pack.arrangement === arrangement
+            && (arrangement !== 'mixed' || pack.groupSize === groupSize);
+    });
 }
 
 // --- Circuit Builder ---
-function initCircuit(offsetX, id, type = 'double') {
+const BENCH_X = [-6, 6];
+const BOX_X = -3;
+
+function initCircuit(id, packKey) {
     const group = new THREE.Group();
-    group.position.set(offsetX, 0, 0);
+    group.position.set(BENCH_X[id], 0, 0);
     scene.add(group);
 
-    const box = createBatteryBox(id, type);
-    box.position.set(-3, 0, 0);
+    const pack = PACKS[packKey];
+    const { group: box } = createBatteryBox({ circuitId: id, ...pack });
+    box.position.set(BOX_X, 0, 0);
+    const boxExtent = new THREE.Box3().setFromObject(box); // Before parenting: bench coordinates
     group.add(box);
 
-    const bulb = createBulb(id);
+    const { group: bulb } = createBulb({ mount: 'posts' });
     bulb.position.set(3, 0, 0);
+    if (bulbRating) bulb.userData.rating = { ...bulbRating };
     group.add(bulb);
 
-    const sw = createSwitch(id);
+    const { group: sw } = createSwitch({ mount: 'posts', openAngle: Math.PI / 3 });
     sw.position.set(0, 0, 4);
     sw.rotation.y = Math.PI / 2;
     group.add(sw);
 
+    // Batteries wait in front of the bench, two to a row (a single one in the middle)
     const batteryList = [];
-    
-    // Batteries
-    if (type === 'single') {
-        const b1 = createBattery(id * 10 + 1);
-        b1.position.set(0, 0.5, 6.5); // Center
-        group.add(b1);
-        allBatteries.push(b1);
-        batteryList.push(b1);
-    } else {
-        const b1 = createBattery(id * 10 + 1);
-        b1.position.set(-2, 0.5, 6.5);
-        group.add(b1);
-        allBatteries.push(b1);
-        batteryList.push(b1);
-
-        const b2 = createBattery(id * 10 + 2);
-        b2.position.set(2, 0.5, 6.5);
-        group.add(b2);
-        allBatteries.push(b2);
-        batteryList.push(b2);
+    for (let i = 0; i < pack.slotCount; i++) {
+        const b = createCell(id * 10 + i + 1);
+        const x = pack.slotCount === 1 ? 0 : i % 2 === 0 ? -2 : 2;
+        b.userData.home = new THREE.Vector3(x, 0.5, 6.5 + Math.floor(i / 2) * 1.5);
+        b.position.copy(b.userData.home);
+        group.add(b);
+        allBatteries.push(b);
+        batteryList.push(b);
     }
 
     // Wires (Relative to Group)
+    // netWires mirrors the 3D wires for the circuit solver
+    const netWires = [];
+
     function getPosInGroup(obj, localVec) {
         const v = localVec.clone();
         v.applyQuaternion(obj.quaternion);
@@ -504,58 +132,99 @@ function initCircuit(offsetX, id, type = 'double') {
     }
 
     // 1. Box(+) to Switch(Left)
-    const p1 = getPosInGroup(box, box.userData.terminals.pos);
-    const p2 = getPosInGroup(sw, sw.userData.terminals.front);
+    const p1 = getPosInGroup(box, box.userData.terminals.pos.position);
+    const p2 = getPosInGroup(sw, sw.userData.terminals.front.position);
     
-    const cp1 = p1.clone().add(new THREE.Vector3(0, 0, 1)); 
+    const cp1 = p1.clone().setZ(Math.max(p1.z + 1, boxExtent.max.z + 0.6)); // Clear the box's front end
     const cp2 = p2.clone().add(new THREE.Vector3(-1, 0, 0)); 
     
     const w1 = updateWireMesh(p1, [cp1, cp2], p2);
     group.add(w1);
+    netWires.push({ from: 'batteryBox.pos', to: 'switch.front' });
 
     // 2. Switch(Right) to Bulb(Left)
-    const p3 = getPosInGroup(sw, sw.userData.terminals.rear);
-    const p4 = getPosInGroup(bulb, bulb.userData.terminals.t2);
+    const p3 = getPosInGroup(sw, sw.userData.terminals.rear.position);
+    const p4 = getPosInGroup(bulb, bulb.userData.terminals[2].position);
     
     const cp3 = p3.clone().add(new THREE.Vector3(1, 0, 0));
     const cp4 = p4.clone().add(new THREE.Vector3(0, 0, 1));
     
     const w2 = updateWireMesh(p3, [cp3, cp4], p4);
     group.add(w2);
+    netWires.push({ from: 'switch.rear', to: 'bulb.2' });
 
     // 3. Bulb(Right) to Box(-)
-    const p5 = getPosInGroup(bulb, bulb.userData.terminals.t1);
-    const p6 = getPosInGroup(box, box.userData.terminals.neg);
+    const p5 = getPosInGroup(bulb, bulb.userData.terminals[1].position);
+    const p6 = getPosInGroup(box, box.userData.terminals.neg.position);
     
+    const back = Math.min(-2, boxExtent.min.z - 0.6); // Behind the box, however long it is
     const cp5 = p5.clone().add(new THREE.Vector3(0, 0, -1));
-    const cp6 = new THREE.Vector3(3, 0.1, -2); 
-    const cp7 = new THREE.Vector3(0, 0.1, -2); 
-    const cp8 = p6.clone().add(new THREE.Vector3(1, 0, -1)); 
+    const cp6 = new THREE.Vector3(3, 0.1, back); 
+    const cp7 = new THREE.Vector3(0, 0.1, back); 
+    const cp8 = p6.clone().add(new THREE.Vector3(Math.sign(p6.x - BOX_X), 0, 0)).setZ(Math.min(p6.z - 1, back)); 
     
     const w3 = updateWireMesh(p5, [cp5, cp6, cp7, cp8], p6);
     group.add(w3);
+    netWires.push({ from: 'bulb.1', to: 'batteryBox.neg' });
 
     // Store circuit data
-    circuits.push({
+    circuits[id] = {
         id: id,
-        type: type,
+        pack: packKey,
         group: group,
         box: box,
         switch: sw,
         bulb: bulb,
         batteries: batteryList,
+        netWires: netWires,
         isSwitchClosed: false
-    });
+    };
+    return circuits[id];
 }
 
 // Create Two Circuits
-initCircuit(-6, 0, 'single'); // Left Circuit (Single)
-initCircuit(6, 1, 'double');  // Right Circuit (Double)
+initCircuit(0, '1');  // Left Circuit (Single)
+initCircuit(1, '2s'); // Right Circuit (Double)
+
+// Take a cell out of whatever box it is in and put it back where it waits
+function sendHome(battery) {
+    if (battery.userData.inSlot) battery.userData.inSlot.occupied = false;
+    battery.userData.inSlot = null;
+    battery.userData.parentBox = null;
+    battery.rotation.y = 0;
+    battery.position.copy(battery.userData.home);
+}
+
+function disposeGroup(group) {
+    group.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.isSprite) { // Labels each draw on their own canvas
+            obj.material.map.dispose();
+            obj.material.dispose();
+        }
+    });
+}
+
+// Swap a bench's box for another pack; its cells come back fresh and out of the box.
+// Cells can be carried across to the other bench's box, so both benches are tidied
+function setPack(circuit, packKey) {
+    if (circuit.pack === packKey) return circuit;
+    allBatteries.filter(b => b.userData.parentBox === circuit.box).forEach(sendHome);
+    circuit.batteries.forEach(sendHome); // Gives back slots held in the other bench's box
+
+    scene.remove(circuit.group);
+    disposeGroup(circuit.group);
+    circuit.batteries.forEach(b => allBatteries.splice(allBatteries.indexOf(b), 1));
+
+    const rebuilt = initCircuit(circuit.id, packKey);
+    packSelects[circuit.id].value = packKey;
+    circuits.forEach(c => checkCircuit(c));
+    return rebuilt;
+}
 
 
 // --- Interaction ---
 const raycaster = new THREE.Raycaster();
-const mouse = new THREE.Vector2();
 
 function toggleSwitch(circuit) {
     circuit.isSwitchClosed = !circuit.isSwitchClosed;
@@ -581,10 +250,8 @@ function toggleSwitch(circuit) {
     animateSwitch();
 }
 
-window.addEventListener('mousedown', (e) => {
-    mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
-    raycaster.setFromCamera(mouse, camera);
+input.onDown((e) => {
+    input.aim(raycaster, e);
     
     const intersects = raycaster.intersectObjects(allBatteries, true);
     
@@ -608,12 +275,10 @@ window.addEventListener('mousedown', (e) => {
     }
 });
 
-window.addEventListener('mousemove', (e) => {
+input.onMove((e) => {
     if (!isDragging || !dragObject) return;
     
-    mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
-    raycaster.setFromCamera(mouse, camera);
+    input.aim(raycaster, e);
     
     const intersectPoint = new THREE.Vector3();
     raycaster.ray.intersectPlane(dragPlane, intersectPoint);
@@ -629,7 +294,8 @@ window.addEventListener('mousemove', (e) => {
     }
 });
 
-window.addEventListener('mouseup', () => {
+// Released, or a second finger came down to zoom or turn the view: set the battery down
+function dropBattery() {
     if (isDragging && dragObject) {
         isDragging = false;
         orbitControls.enabled = true;
@@ -638,7 +304,10 @@ window.addEventListener('mouseup', () => {
         circuits.forEach(c => checkCircuit(c));
         dragObject = null;
     }
-});
+}
+
+input.onUp(dropBattery);
+input.onCancel(dropBattery);
 
 function checkDrop(battery) {
     const battWorldPos = new THREE.Vector3();
@@ -681,12 +350,10 @@ function checkDrop(battery) {
     }
 }
 
-window.addEventListener('click', (e) => {
+input.onTap((e) => {
     if (isDragging) return;
     
-    mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
-    raycaster.setFromCamera(mouse, camera);
+    input.aim(raycaster, e);
     
     const hits = raycaster.intersectObjects(scene.children, true);
     for (let hit of hits) {
@@ -721,129 +388,320 @@ window.addEventListener('click', (e) => {
     }
 });
 
-function checkCircuit(circuit) {
-    const box = circuit.box;
-    let allValid = true;
+function isBatteryOriented(batt, box, slot) {
+    const boxRightWorld = new THREE.Vector3(1,0,0).applyQuaternion(box.getWorldQuaternion(new THREE.Quaternion()));
+    const battDir = new THREE.Vector3(1, 0, 0).applyQuaternion(batt.getWorldQuaternion(new THREE.Quaternion())).normalize();
     
-    // Iterate all required slots for this box
-    for (const slot of box.userData.slots) {
-        if (!slot.occupied) {
-            allValid = false;
-            break;
-        }
-        
-        // Check battery in this slot
+    const expectedDot = slot.expectedDir.x; // -1 or 1
+    const dot = battDir.dot(boxRightWorld);
+    
+    return expectedDot < 0 ? dot <= -0.8 : dot >= 0.8;
+}
+
+function buildNetlist(circuit) {
+    const box = circuit.box;
+    const components = [
+        { id: 'bulb', type: 'bulb', ...bulbParameters(circuit.bulb) },
+        { id: 'switch', type: 'switch', closed: circuit.isSwitchClosed }
+    ];
+    const wires = [...circuit.netWires];
+
+    // The box's own wiring joins the cells: an empty slot leaves a gap,
+    // a reversed cell works against the others
+    const cells = new Map();
+    box.userData.slots.forEach(slot => {
         const batt = allBatteries.find(b => b.userData.parentBox === box && b.userData.inSlot === slot);
-        if (!batt) {
-            allValid = false;
-            break;
-        }
-        
-        // Check Orientation
-        const boxRightWorld = new THREE.Vector3(1,0,0).applyQuaternion(box.getWorldQuaternion(new THREE.Quaternion()));
-        const battDir = new THREE.Vector3(1, 0, 0).applyQuaternion(batt.getWorldQuaternion(new THREE.Quaternion())).normalize();
-        
-        const expectedDot = slot.expectedDir.x; // -1 or 1
-        const dot = battDir.dot(boxRightWorld);
-        
-        if (expectedDot < 0) {
-            if (dot > -0.8) allValid = false;
-        } else {
-            if (dot < 0.8) allValid = false;
-        }
-    }
+        if (!slot.occupied || !batt) return;
+
+        const cell = { id: 'cell' + slot.id, reversed: !isBatteryOriented(batt, box, slot) };
+        components.push({ id: cell.id, type: 'battery', ...cellParameters(batt.userData.cell), cell: batt.userData.cell, slot: slot.id, reversed: cell.reversed });
+        cells.set(slot, cell);
+    });
+    wires.push(...batteryBoxWires(box, 'batteryBox', slot => cells.get(slot)));
+
+    return { components, wires };
+}
+
+function checkCircuit(circuit) {
+    const { netlist, result } = solveWithBurnout(() => buildNetlist(circuit), { bulb: circuit.bulb });
+    circuit.netlist = netlist; // Kept for the battery discharge
+    circuit.result = result;
     
-    if (allValid && circuit.isSwitchClosed) {
-        turnOnBulb(circuit);
-    } else {
-        turnOffBulb(circuit);
-    }
+    // Brightness comes from the solved bulb power: one cell glows dim orange, two cells bright
+    circuit.isBulbOn = setBulbGlow(circuit.bulb, result.components.bulb) > 0;
     
     const anyOn = circuits.some(c => c.isBulbOn);
     const msg = document.getElementById('success-msg');
     if (msg) msg.style.display = anyOn ? 'block' : 'none';
+    updateBulbNote();
+    updatePackNote();
+    updateReverseWarning();
+
+    storage.changed();
 }
 
-function turnOnBulb(circuit) {
-    circuit.isBulbOn = true;
-    const { bulb, filament } = circuit.bulb.userData.materials;
-    
-    // Adjust brightness and color based on circuit type
-    const isSingle = circuit.type === 'single';
-    const intensity = isSingle ? 0.5 : 1.5; 
-    const bulbEmissive = isSingle ? 0xff6600 : 0xffff00; // Orange for single, Yellow for double
-    const filColor = isSingle ? 0xff8800 : 0xffaa00;
-    
-    bulb.emissive.set(bulbEmissive);
-    bulb.emissiveIntensity = intensity;
-    bulb.opacity = 0.8;
-    
-    filament.color.set(filColor);
-    filament.emissive.set(filColor);
-    filament.emissiveIntensity = intensity * 2;
-    
-    if (!circuit.group.getObjectByName('bulbLight')) {
-        const light = new THREE.PointLight(bulbEmissive, 5 * intensity, 10);
-        light.name = 'bulbLight';
-        light.position.set(3, 2, 0); 
-        circuit.group.add(light);
+// --- Reversed Cells ---
+// Cells in series add up with signs: a cell put in backwards works against the
+// others, so one reversed cell in a two-cell box cancels the pack out to about 0 V.
+const reversePanel = document.getElementById('reverse-warning');
+let reversedKey = '';
+
+reversePanel.querySelector('button').addEventListener('click', () => reversePanel.classList.add('hidden'));
+
+function describeReversed(circuit) {
+    const cells = circuit.netlist.components.filter(c => c.type === 'battery');
+    const reversed = cells.filter(c => c.reversed);
+    if (!reversed.length) return '';
+
+    const name = CIRCUIT_NAMES[circuit.id];
+    const which = cells.length === 1
+        ? `${name}电池盒里的电池`
+        : `${name}电池盒的第 ${reversed.map(c => c.slot).sort((a, b) => a - b).join('、')} 节电池`;
+    const total = cells.reduce((sum, c) => sum + (c.reversed ? -c.emf : c.emf), 0);
+
+    if (circuit.box.userData.arrangement !== 'series') {
+        return `${which}装反了！并联的电池正负极接反，会和别的电池直接连成回路，电流很大，电池很快就会发烫没电。`;
     }
+    if (reversed.length === cells.length) {
+        return `${which}装反了。电压方向反了过来，但没有被抵消，合上开关灯泡照样会亮，只是电流倒着流。`;
+    }
+    if (Math.abs(total) < 0.2) {
+        return `${which}装反了！它的电压和另一节电池方向相反，正好互相抵消，总电压几乎是 0V，所以灯泡不亮。`;
+    }
+    return `${which}装反了！它抵消掉了一部分电压，总电压只剩大约 ${Math.abs(total).toFixed(1)}V。`;
 }
 
-function turnOffBulb(circuit) {
-    circuit.isBulbOn = false;
-    const { bulb, filament } = circuit.bulb.userData.materials;
-    
-    bulb.emissive.set(0x000000);
-    bulb.opacity = 0.3;
-    
-    filament.color.set(0x555555);
-    filament.emissive.set(0x000000);
-    filament.emissiveIntensity = 0;
-    
-    const light = circuit.group.getObjectByName('bulbLight');
-    if (light) circuit.group.remove(light);
+// Pops up when a cell gets reversed; once closed it stays closed until another cell turns
+function updateReverseWarning() {
+    const built = circuits.filter(c => c.netlist);
+    const texts = built.map(describeReversed).filter(Boolean);
+    reversePanel.querySelector('p').innerHTML = texts.join('<br>');
+
+    const key = built.map(c => c.netlist.components.filter(x => x.reversed).map(x => `${c.id}.${x.slot}`).join(',')).join('|');
+    if (key === reversedKey && texts.length > 0) return;
+    reversedKey = key;
+    reversePanel.classList.toggle('hidden', texts.length === 0);
+}
+
+// --- Bulb Rating ---
+// "Do two batteries make it brighter?" A 2.5V bulb glows dim on one cell and
+// bright on two; a 1.5V bulb is fine on one cell but its filament snaps on two.
+const CIRCUIT_NAMES = ['左边', '右边'];
+
+function describeBulb(circuit) {
+    const name = CIRCUIT_NAMES[circuit.id];
+    const { ratedVoltage, ratedPower } = circuit.bulb.userData.rating;
+    if (isBurntOut(circuit.bulb)) {
+        return `💥 ${name}的灯丝烧断了！电压超过了 ${ratedVoltage}V 灯泡能承受的范围。`;
+    }
+    if (!circuit.isBulbOn) return '';
+
+    const cells = circuit.netlist.components.filter(c => c.type === 'battery').length;
+    const { voltage, power } = circuit.result.components.bulb;
+    return `${name}：${cells}节电池，灯泡两端 ${Math.abs(voltage).toFixed(2)}V，功率是额定功率的 ${Math.round(power / ratedPower * 100)}%。`;
 }
 
+// Pack voltages side by side, read across the box's terminals (the switch
+// may be open: an open switch doesn't take the voltage away)
+function describePack(circuit) {
+    const cells = circuit.netlist.components.filter(c => c.type === 'battery').length;
+    const voltage = Math.abs(circuit.result.voltageBetween('batteryBox.pos', 'batteryBox.neg'));
+    const pack = PACKS[circuit.pack];
+    return `${CIRCUIT_NAMES[circuit.id]}：${pack.label}，装了 ${cells} 节，电池组电压 <strong>${voltage.toFixed(2)}V</strong>`;
+}
+
+function updatePackNote() {
+    document.getElementById('pack-note').innerHTML = circuits.filter(c => c.result).map(describePack).join('<br>');
+}
+
+const packSelects = ['pack-left', 'pack-right'].map((selectId, i) => {
+    const select = document.getElementById(selectId);
+    Object.entries(PACKS).forEach(([key, pack]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = pack.label;
+        select.appendChild(option);
+    });
+    select.value = circuits[i].pack;
+    select.addEventListener('change', () => setPack(circuits[i], select.value));
+    return select;
+});
+
+function updateBulbNote() {
+    document.getElementById('bulb-note').innerHTML = circuits.map(describeBulb).filter(Boolean).join('<br>');
+}
+
+const ratingSelect = document.getElementById('bulb-rating');
+BULB_RATINGS.forEach((rating, i) => {
+    const option = document.createElement('option');
+    option.value = String(i);
+    option.textContent = rating.label;
+    ratingSelect.appendChild(option);
+});
+ratingSelect.value = String(BULB_RATINGS.findIndex(r => r.ratedVoltage === BULB_DEFAULTS.ratedVoltage));
+ratingSelect.addEventListener('change', () => {
+    const { ratedVoltage, ratedPower } = BULB_RATINGS[Number(ratingSelect.value)];
+    bulbRating = { ratedVoltage, ratedPower };
+    circuits.forEach(c => {
+        // A new bulb of the chosen kind goes into every socket
+        c.bulb.userData.rating = { ratedVoltage, ratedPower };
+        repairBulb(c.bulb);
+        checkCircuit(c);
+    });
+});
+
 document.getElementById('reset-btn').addEventListener('click', () => {
     circuits.forEach(c => {
         c.isSwitchClosed = false;
         c.switch.getObjectByName('lever').rotation.x = Math.PI / 3;
         c.box.userData.slots.forEach(s => s.occupied = false);
-        turnOffBulb(c);
+        repairBulb(c.bulb);
+        c.isBulbOn = false;
+        setBulbGlow(c.bulb, null);
     });
     
-    allBatteries.forEach(b => {
-        b.userData.inSlot = null;
-        b.userData.parentBox = null;
-        b.rotation.y = 0;
-        
-        // Reset position
-        const id = b.userData.id;
-        const battIndex = id % 10; 
-        
-        if (id < 10) {
-            // Single
-            b.position.set(0, 0.5, 6.5);
-        } else {
-            // Double
-            const xOffset = battIndex === 1 ? -2 : 2;
-            b.position.set(xOffset, 0.5, 6.5);
-        }
-    });
+    allBatteries.forEach(sendHome);
     
     document.getElementById('success-msg').style.display = 'none';
+    updateBulbNote();
+    circuits.forEach(c => checkCircuit(c));
+    reversedKey = '';
+    reversePanel.classList.add('hidden');
+    storage.changed();
 });
 
-function animate() {
-    requestAnimationFrame(animate);
-    orbitControls.update();
-    renderer.render(scene, camera);
+// --- Battery Charge ---
+// Cells that deliver current run down on an accelerated clock; every step
+// drains them and solves again, so the bulbs dim as the cells empty.
+const discharge = createDischargeTimeline({
+    timeScaleSelect: document.getElementById('time-scale'),
+    onStep: (seconds) => {
+        circuits.forEach(c => {
+            if (c.result && drainNetlist(c.netlist, c.result, seconds)) checkCircuit(c);
+        });
+        allBatteries.forEach(updateChargeLabel);
+    }
+});
+
+// "Fresh vs. old": swap every cell for a new or a nearly flat one
+function setAllCharges(soc) {
+    allBatteries.forEach(b => {
+        setStateOfCharge(b.userData.cell, soc);
+        updateChargeLabel(b);
+    });
+    circuits.forEach(c => checkCircuit(c));
+}
+
+document.getElementById('fresh-cells-btn').addEventListener('click', () => setAllCharges(1));
+document.getElementById('old-cells-btn').addEventListener('click', () => setAllCharges(OLD_CELL_CHARGE));
+
+lab.onFrame((time, delta) => discharge.update(delta));
+
+// --- Save / Load ---
+// Circuit-local names (batteryBox, switch, split, ...) get the circuit as a prefix
+// so both benches fit in one document: c0_batteryBox, c1_switch.front
+function scoped(circuit, key) {
+    return `c${circuit.id}_${key}`;
+}
+
+function cellId(battery) {
+    return 'battery' + battery.userData.id;
+}
+
+function serializeCircuits() {
+    const components = [];
+    const wires = [];
+
+    circuits.forEach(c => {
+        components.push({
+            id: scoped(c, 'batteryBox'),
+            type: 'batteryBox',
+            ...placementOf(c.box),
+            slotCount: c.box.userData.slotCount,
+            arrangement: c.box.userData.arrangement,
+            groupSize: c.box.userData.groupSize,
+            slots: c.box.userData.slots.map(slot => {
+                const cell = allBatteries.find(b => b.userData.parentBox === c.box && b.userData.inSlot === slot);
+                return {
+                    id: slot.id,
+                    battery: cell ? cellId(cell) : null,
+                    reversed: cell ? !isBatteryOriented(cell, c.box, slot) : false
+                };
+            })
+        });
+        components.push({ id: scoped(c, 'switch'), type: 'switch', ...placementOf(c.switch), closed: c.isSwitchClosed });
+        components.push({ id: scoped(c, 'bulb'), type: 'bulb', ...placementOf(c.bulb) });
+        c.netWires.forEach(w => wires.push({ from: scoped(c, w.from), to: scoped(c, w.to) }));
+    });
+    allBatteries.forEach(b => components.push({ id: cellId(b), type: 'battery', ...placementOf(b), charge: b.userData.cell.charge }));
+
+    return createCircuitDocument('lesson4', components, wires);
+}
+
+// Seat a cell in a slot, (+) facing the way the slot expects unless reversed
+function placeInSlot(battery, box, slot, reversed) {
+    box.updateWorldMatrix(true, false);
+    const target = box.localToWorld(slot.pos.clone());
+    battery.parent.worldToLocal(target);
+    battery.position.copy(target);
+    battery.rotation.y = (slot.expectedDir.x > 0) !== reversed ? 0 : Math.PI;
+
+    slot.occupied = true;
+    battery.userData.parentBox = box;
+    battery.userData.inSlot = slot;
+}
+
+// Packs, batteries, slots and switches come back; bulbs and wires are fixed by the lesson
+function restoreCircuits(doc) {
+    const saved = new Map(doc.components.map(c => [c.id, c]));
+
+    [...circuits].forEach(c => {
+        const savedBox = saved.get(scoped(c, 'batteryBox'));
+        if (!savedBox || !Number.isInteger(savedBox.slotCount)) return;
+        const key = packKeyOf({ userData: savedBox });
+        if (key) setPack(c, key);
+    });
+
+    circuits.forEach(c => c.box.userData.slots.forEach(slot => {
+        slot.occupied = false;
+    }));
+    allBatteries.forEach(b => {
+        b.userData.parentBox = null;
+        b.userData.inSlot = null;
+        const entry = saved.get(cellId(b));
+        if (!entry) return;
+        applyPlacement(b, entry);
+        if (Number.isFinite(entry.charge)) setStateOfCharge(b.userData.cell, entry.charge / b.userData.cell.capacity);
+        updateChargeLabel(b);
+    });
+
+    circuits.forEach(c => {
+        const savedSwitch = saved.get(scoped(c, 'switch'));
+        c.isSwitchClosed = !!(savedSwitch && savedSwitch.closed);
+        c.switch.getObjectByName('lever').rotation.x = c.isSwitchClosed ? 0 : Math.PI / 3;
+
+        const savedBox = saved.get(scoped(c, 'batteryBox'));
+        if (!savedBox || !Array.isArray(savedBox.slots)) return;
+        savedBox.slots.forEach(entry => {
+            const slot = c.box.userData.slots.find(s => s.id === entry.id);
+            const cell = allBatteries.find(b => cellId(b) === entry.battery);
+            if (slot && !slot.occupied && cell && !cell.userData.inSlot) {
+                placeInSlot(cell, c.box, slot, !!entry.reversed);
+            }
+        });
+    });
+
+    circuits.forEach(c => checkCircuit(c));
 }
-animate();
 
-window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+const storage = createCircuitStorage({
+    lesson: 'lesson4',
+    serialize: serializeCircuits,
+    restore: restoreCircuits,
+    saveButton: document.getElementById('save-btn'),
+    loadButton: document.getElementById('load-btn'),
+    shareButton: document.getElementById('share-btn')
 });
+circuits.forEach(c => checkCircuit(c)); // Fill in the pack voltages before anything is placed
+storage.restoreAutosave();
+storage.restoreShared();
@@ -1,42 +1,18 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { createBattery, createBatteryBox, batteryBoxWires, createBulb, createSwitch } from '../shared/components.js';
+import { createLab } from '../shared/lab.js';
+import { CURRENT_THRESHOLD } from '../shared/circuit-solver.js';
+import { createCurrentFlow } from '../shared/current-flow.js';
+import { cellParameters, drainNetlist, setStateOfCharge, createDischargeTimeline, attachChargeLabel, updateChargeLabel, OLD_CELL_CHARGE } from '../shared/battery-charge.js';
+import { bulbParameters, setBulbGlow, solveWithBurnout, repairBulb } from '../shared/bulb-glow.js';
 
 // --- Scene Setup ---
-const container = document.getElementById('canvas-container');
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(0xf0f8ff);
-
-const camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 1000);
-camera.position.set(0, 15, 18); // Zoom out to see both
-camera.lookAt(0, 0, 0);
-
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.shadowMap.enabled = true;
-container.appendChild(renderer.domElement);
-
-const orbitControls = new OrbitControls(camera, renderer.domElement);
-orbitControls.enableDamping = true;
-orbitControls.maxPolarAngle = Math.PI / 2.2;
-orbitControls.minDistance = 5;
-orbitControls.maxDistance = 40;
-
-// Lights
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-scene.add(ambientLight);
-const dirLight = new THREE.DirectionalLight(0xffffff, 0.8);
-dirLight.position.set(5, 10, 7);
-dirLight.castShadow = true;
-scene.add(dirLight);
-
-// Floor
-const floor = new THREE.Mesh(
-    new THREE.PlaneGeometry(60, 40),
-    new THREE.MeshStandardMaterial({ color: 0xeeeeee, roughness: 0.8 })
-);
-floor.rotation.x = -Math.PI / 2;
-floor.receiveShadow = true;
-scene.add(floor);
+const lab = createLab({
+    camera: { position: [0, 15, 18] }, // Zoom out to see both
+    controls: { maxPolarAngle: Math.PI / 2.2, minDistance: 5, maxDistance: 40 },
+    floor: { width: 60, depth: 40 }
+});
+const { scene, controls: orbitControls, input } = lab;
 
 // --- Global State ---
 const circuits = []; 
@@ -54,7 +30,6 @@ const wireMat = new THREE.MeshStandardMaterial({
     roughness: 0.5,
     metalness: 0.1
 });
-const metalMat = new THREE.MeshStandardMaterial({ color: 0xeeeeee, metalness: 0.8, roughness: 0.2 });
 
 // --- Helper Functions ---
 
@@ -70,386 +45,16 @@ function updateWireMesh(startPos, points, endPos) {
     return mesh;
 }
 
-// Reusable Parts Helpers
-function createSpring() {
-    const points = [];
-    const turns = 6;
-    const length = 0.5;
-    const radius = 0.25;
-    for (let i = 0; i <= 60; i++) {
-        const t = i / 60;
-        const angle = t * Math.PI * 2 * turns;
-        const x = t * length;
-        const y = Math.cos(angle) * radius;
-        const z = Math.sin(angle) * radius;
-        points.push(new THREE.Vector3(x, y, z));
-    }
-    const curve = new THREE.CatmullRomCurve3(points);
-    const geo = new THREE.TubeGeometry(curve, 60, 0.04, 8, false); 
-    const mat = new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.9, roughness: 0.1 }); 
-    return new THREE.Mesh(geo, mat);
-}
-
-function createPlate() {
-    const mat = new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.9, roughness: 0.1 });
-    return new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.6, 0.6), mat); 
-}
-
-function createFlatLabel(text, color) {
-    const canvas = document.createElement('canvas');
-    canvas.width = 64; canvas.height = 64;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = color;
-    ctx.font = 'bold 56px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(text, 32, 32);
-    const tex = new THREE.CanvasTexture(canvas);
-    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(0.5, 0.5), new THREE.MeshBasicMaterial({ map: tex, transparent: true }));
-    mesh.rotation.x = -Math.PI / 2;
-    return mesh;
-}
-
-// --- Component Creators ---
-
-function createBatteryBox(circuitId, type = 'double') {
-    const group = new THREE.Group();
-    group.name = 'batteryBox';
-    
-    // Common Dimensions
-    const boxWidth = 3.6;
-    const slotDepth = 1.6;
-    
-    if (type === 'single') {
-        // --- Single Battery Box ---
-        const caseGeo = new THREE.BoxGeometry(boxWidth, 0.8, 2.2); 
-        const caseMat = new THREE.MeshStandardMaterial({ color: 0x222222 }); 
-        const base = new THREE.Mesh(caseGeo, caseMat);
-        base.position.y = 0.4;
-        base.castShadow = true;
-        group.add(base);
-        
-        const slotGeo = new THREE.BoxGeometry(3.3, 0.5, slotDepth);
-        const slotMat = new THREE.MeshStandardMaterial({ color: 0x111111 });
-        const slot = new THREE.Mesh(slotGeo, slotMat);
-        slot.position.set(0, 0.6, 0); // Centered
-        group.add(slot);
-        
-        // Slot: Left(+), Right(-)
-        const plate = createPlate();
-        plate.position.set(-1.6, 0.6, 0);
-        group.add(plate);
-        
-        const spring = createSpring();
-        spring.rotation.y = Math.PI; 
-        spring.position.set(1.6, 0.6, 0);
-        group.add(spring);
-        
-        const lPlus = createFlatLabel('+', '#555555');
-        lPlus.position.set(-1.0, 0.36, 0);
-        group.add(lPlus);
-        
-        const lNeg = createFlatLabel('-', '#555555');
-        lNeg.position.set(1.0, 0.36, 0);
-        group.add(lNeg);
-        
-        // Terminals
-        // Pos (Red) - Left Side
-        const termBasePos = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, 2.2), new THREE.MeshStandardMaterial({color: 0x333333}));
-        termBasePos.position.set(-1.9, 0.4, 0);
-        group.add(termBasePos);
-
-        const termPos = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.3), new THREE.MeshStandardMaterial({color: 0xff0000}));
-        termPos.position.set(-1.9, 0.7, 0.5); 
-        group.add(termPos);
-        
-        // Neg (Black) - Right Side
-        const termBaseNeg = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, 2.2), new THREE.MeshStandardMaterial({color: 0x333333}));
-        termBaseNeg.position.set(1.9, 0.4, 0);
-        group.add(termBaseNeg);
-
-        const termNeg = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.3), new THREE.MeshStandardMaterial({color: 0x000000}));
-        termNeg.position.set(1.9, 0.7, -0.5); 
-        group.add(termNeg);
-        
-        group.userData = {
-            circuitId: circuitId,
-            type: 'single',
-            slots: [
-                { id: 1, pos: new THREE.Vector3(0, 0.6, 0), occupied: false, expectedDir: new THREE.Vector3(-1, 0, 0) }
-            ],
-            terminals: {
-                pos: new THREE.Vector3(-1.9, 0.7, 0.5),
-                neg: new THREE.Vector3(1.9, 0.7, -0.5)
-            }
-        };
-        
-    } else {
-        // --- Double Battery Box (Series) ---
-        const caseGeo = new THREE.BoxGeometry(boxWidth, 0.8, 4.0); 
-        const caseMat = new THREE.MeshStandardMaterial({ color: 0x222222 }); 
-        const base = new THREE.Mesh(caseGeo, caseMat);
-        base.position.y = 0.4;
-        base.castShadow = true;
-        group.add(base);
-        
-        const slotGeo = new THREE.BoxGeometry(3.3, 0.5, 1.6);
-        const slotMat = new THREE.MeshStandardMaterial({ color: 0x111111 });
-        
-        const slot1 = new THREE.Mesh(slotGeo, slotMat);
-        slot1.position.set(0, 0.6, -1.0);
-        group.add(slot1);
-        
-        const slot2 = new THREE.Mesh(slotGeo, slotMat);
-        slot2.position.set(0, 0.6, 1.0);
-        group.add(slot2);
-        
-        // Slot 1 (Back): Left(+), Right(-)
-        const plate1 = createPlate();
-        plate1.position.set(-1.6, 0.6, -1.0);
-        group.add(plate1);
-        
-        const spring1 = createSpring();
-        spring1.rotation.y = Math.PI; 
-        spring1.position.set(1.6, 0.6, -1.0);
-        group.add(spring1);
-        
-        const l1Plus = createFlatLabel('+', '#555555');
-        l1Plus.position.set(-1.0, 0.36, -1.0); 
-        group.add(l1Plus);
-        
-        const l1Neg = createFlatLabel('-', '#555555');
-        l1Neg.position.set(1.0, 0.36, -1.0);
-        group.add(l1Neg);
-
-        // Slot 2 (Front): Left(-), Right(+)
-        const spring2 = createSpring();
-        spring2.position.set(-1.6, 0.6, 1.0);
-        group.add(spring2);
-        
-        const plate2 = createPlate();
-        plate2.position.set(1.6, 0.6, 1.0);
-        group.add(plate2);
-        
-        const l2Neg = createFlatLabel('-', '#555555');
-        l2Neg.position.set(-1.0, 0.36, 1.0);
-        group.add(l2Neg);
-        
-        const l2Plus = createFlatLabel('+', '#555555');
-        l2Plus.position.set(1.0, 0.36, 1.0);
-        group.add(l2Plus);
-
-        // Series Bar (Left side)
-        const bar = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.05, 2.2), metalMat);
-        bar.position.set(-1.75, 0.6, 0); 
-        group.add(bar);
-        
-        // Terminals (Right Side)
-        const termBase = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, 2.2), new THREE.MeshStandardMaterial({color: 0x333333}));
-        termBase.position.set(1.9, 0.4, 0);
-        group.add(termBase);
-
-        const termPos = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.3), new THREE.MeshStandardMaterial({color: 0xff0000}));
-        termPos.position.set(1.9, 0.7, 1.0); 
-        group.add(termPos);
-        
-        const termNeg = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.3), new THREE.MeshStandardMaterial({color: 0x000000}));
-        termNeg.position.set(1.9, 0.7, -1.0); 
-        group.add(termNeg);
-
-        group.userData = {
-            circuitId: circuitId,
-            type: 'double',
-            slots: [
-                { id: 1, pos: new THREE.Vector3(0, 0.6, -1.0), occupied: false, expectedDir: new THREE.Vector3(-1, 0, 0) }, 
-                { id: 2, pos: new THREE.Vector3(0, 0.6, 1.0), occupied: false, expectedDir: new THREE.Vector3(1, 0, 0) }
-            ],
-            terminals: {
-                pos: new THREE.Vector3(1.9, 0.7, 1.0),
-                neg: new THREE.Vector3(1.9, 0.7, -1.0)
-            }
-        };
-    }
-
-    return group;
-}
-
-function createBattery(id) {
-    const group = new THREE.Group();
-    group.name = 'battery_' + id;
-    
-    const body = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.5, 0.5, 2.8, 32),
-        new THREE.MeshStandardMaterial({ color: 0x333333 })
-    );
-    body.rotation.z = -Math.PI / 2;
-    body.castShadow = true;
-    group.add(body);
-
-    const label = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.51, 0.51, 1.8, 32, 1, true),
-        new THREE.MeshStandardMaterial({ color: 0xffcc00 })
-    );
-    label.rotation.z = -Math.PI / 2;
-    group.add(label);
-
-    const pos = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.2, 0.2, 0.2, 16),
-        new THREE.MeshStandardMaterial({ color: 0xc0c0c0 })
-    );
-    pos.rotation.z = -Math.PI / 2;
-    pos.position.x = 1.5; 
-    group.add(pos);
-    
-    const canvasPos = document.createElement('canvas');
-    const ctxPos = canvasPos.getContext('2d');
-    canvasPos.width = 64; canvasPos.height = 64;
-    ctxPos.fillStyle = '#ff0000';
-    ctxPos.font = 'bold 48px Arial';
-    ctxPos.fillText('+', 15, 50);
-    const labelPos = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvasPos) })); 
-    labelPos.position.set(0.8, 0.6, 0); 
-    labelPos.scale.set(0.5, 0.5, 0.5);
-    group.add(labelPos);
-
-    const neg = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.45, 0.45, 0.05, 32),
-        new THREE.MeshStandardMaterial({ color: 0xc0c0c0 })
-    );
-    neg.rotation.z = -Math.PI / 2;
-    neg.position.x = -1.4;
-    group.add(neg);
-
-    group.userData = {
+// Draggable cell for the battery box
+function createCell(id) {
+    const { group } = createBattery({ pose: 'lying', name: 'battery_' + id });
+    Object.assign(group.userData, {
         type: 'battery',
         id: id,
         parentBox: null,
         inSlot: null
-    };
-
-    return group;
-}
-
-function createBulb(circuitId) {
-    const group = new THREE.Group();
-    group.name = 'bulb';
-    
-    const bulbMaterial = new THREE.MeshPhysicalMaterial({ 
-        color: 0xffffff, 
-        transparent: true, 
-        opacity: 0.3, 
-        transmission: 0.9,
-        roughness: 0,
-        emissive: 0x000000
-    });
-    const glass = new THREE.Mesh(new THREE.SphereGeometry(0.8, 32, 32), bulbMaterial);
-    glass.position.y = 1.8;
-    group.add(glass);
-
-    const filamentMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x555555, 
-        emissive: 0x000000
     });
-    
-    const supportGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.8, 8);
-    const supportMat = new THREE.MeshStandardMaterial({ color: 0x888888 });
-    const s1 = new THREE.Mesh(supportGeo, supportMat);
-    s1.position.set(-0.2, 1.4, 0);
-    group.add(s1);
-    const s2 = new THREE.Mesh(supportGeo, supportMat);
-    s2.position.set(0.2, 1.4, 0);
-    group.add(s2);
-
-    const filamentPath = new THREE.CatmullRomCurve3([
-        new THREE.Vector3(-0.2, 1.8, 0),
-        new THREE.Vector3(-0.1, 2.0, 0),
-        new THREE.Vector3(0, 1.8, 0),
-        new THREE.Vector3(0.1, 2.0, 0),
-        new THREE.Vector3(0.2, 1.8, 0)
-    ]);
-    const filament = new THREE.Mesh(new THREE.TubeGeometry(filamentPath, 20, 0.015, 8, false), filamentMaterial);
-    group.add(filament);
-
-    const base = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.4, 0.4, 0.8, 32),
-        new THREE.MeshStandardMaterial({ color: 0xc0c0c0 })
-    );
-    base.position.y = 1.0;
-    group.add(base);
-
-    const t1 = new THREE.Mesh(new THREE.SphereGeometry(0.15), new THREE.MeshStandardMaterial({color:0x000000}));
-    t1.position.set(0.4, 0.5, 0);
-    group.add(t1);
-    const t2 = new THREE.Mesh(new THREE.SphereGeometry(0.15), new THREE.MeshStandardMaterial({color:0x000000}));
-    t2.position.set(-0.4, 0.5, 0);
-    group.add(t2);
-
-    group.userData = { 
-        circuitId: circuitId,
-        terminals: { t1: new THREE.Vector3(0.4, 0.5, 0), t2: new THREE.Vector3(-0.4, 0.5, 0) },
-        materials: { bulb: bulbMaterial, filament: filamentMaterial }
-    };
-
-    return group;
-}
-
-function createSwitch(circuitId) {
-    const group = new THREE.Group();
-    group.name = 'switch';
-    
-    const baseGeo = new THREE.BoxGeometry(1.5, 0.2, 3);
-    const baseMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
-    const base = new THREE.Mesh(baseGeo, baseMat);
-    base.position.y = 0.1;
-    group.add(base);
-
-    const clipGeo = new THREE.BoxGeometry(0.4, 0.4, 0.4);
-    
-    const rearClip = new THREE.Mesh(clipGeo, metalMat);
-    rearClip.position.set(0, 0.4, 1.0);
-    group.add(rearClip);
-    
-    const pinGeo = new THREE.CylinderGeometry(0.05, 0.05, 0.6);
-    const pin = new THREE.Mesh(pinGeo, metalMat);
-    pin.rotation.z = Math.PI / 2; 
-    pin.position.set(0, 0.5, 1.0);
-    group.add(pin);
-
-    const frontClip = new THREE.Mesh(clipGeo, metalMat);
-    frontClip.position.set(0, 0.4, -1.0);
-    group.add(frontClip);
-
-    const leverGroup = new THREE.Group();
-    leverGroup.name = 'lever'; 
-    leverGroup.position.set(0, 0.5, 1.0); 
-    
-    const bladeGeo = new THREE.BoxGeometry(0.2, 0.1, 2.2);
-    bladeGeo.translate(0, 0, -1.0); 
-    const blade = new THREE.Mesh(bladeGeo, metalMat);
-    leverGroup.add(blade);
-
-    const handleGeo = new THREE.CylinderGeometry(0.15, 0.1, 0.8);
-    const handleMat = new THREE.MeshStandardMaterial({ color: 0xff0000 });
-    const handle = new THREE.Mesh(handleGeo, handleMat);
-    handle.rotation.x = -Math.PI / 2;
-    handle.position.set(0, 0, -2.2);
-    leverGroup.add(handle);
-
-    leverGroup.rotation.x = Math.PI / 3; 
-    group.add(leverGroup);
-
-    const t1 = new THREE.Mesh(new THREE.SphereGeometry(0.15), new THREE.MeshStandardMaterial({color:0xc0c0c0}));
-    t1.position.set(0, 0.2, 1.2);
-    group.add(t1);
-    const t2 = new THREE.Mesh(new THREE.SphereGeometry(0.15), new THREE.MeshStandardMaterial({color:0xc0c0c0}));
-    t2.position.set(0, 0.2, -1.2);
-    group.add(t2);
-
-    group.userData = { 
-        circuitId: circuitId,
-        terminals: { front: new THREE.Vector3(0, 0.2, -1.2), rear: new THREE.Vector3(0, 0.2, 1.2) } 
-    };
-    
+    attachChargeLabel(group);
     return group;
 }
 
@@ -459,15 +64,15 @@ function initCircuit(offsetX, id, type = 'double') {
     group.position.set(offsetX, 0, 0);
     scene.add(group);
 
-    const box = createBatteryBox(id, type);
+    const { group: box } = createBatteryBox({ circuitId: id, type: type });
     box.position.set(-3, 0, 0);
     group.add(box);
 
-    const bulb = createBulb(id);
+    const { group: bulb } = createBulb({ mount: 'posts' });
     bulb.position.set(3, 0, 0);
     group.add(bulb);
 
-    const sw = createSwitch(id);
+    const { group: sw } = createSwitch({ mount: 'posts', openAngle: Math.PI / 3 });
     sw.position.set(0, 0, 4);
     sw.rotation.y = Math.PI / 2;
     group.add(sw);
@@ -476,7 +81,7 @@ function initCircuit(offsetX, id, type = 'double') {
     
     // Batteries
     if (type === 'single') {
-        const b1 = createBattery(id * 10 + 1);
+        const b1 = createCell(id * 10 + 1);
         
         // --- Pre-install battery in slot ---
         const slot = box.userData.slots[0];
@@ -498,6 +103,9 @@ function initCircuit(offsetX, id, type = 'double') {
     } 
 
     // Wires (Relative to Group)
+    // netWires mirrors the 3D wires for the circuit solver
+    const netWires = [];
+
     function getPosInGroup(obj, localVec) {
         const v = localVec.clone();
         v.applyQuaternion(obj.quaternion);
@@ -506,28 +114,30 @@ function initCircuit(offsetX, id, type = 'double') {
     }
 
     // 1. Box(+) to Switch(Left)
-    const p1 = getPosInGroup(box, box.userData.terminals.pos);
-    const p2 = getPosInGroup(sw, sw.userData.terminals.front);
+    const p1 = getPosInGroup(box, box.userData.terminals.pos.position);
+    const p2 = getPosInGroup(sw, sw.userData.terminals.front.position);
     
     const cp1 = p1.clone().add(new THREE.Vector3(0, 0, 1)); 
     const cp2 = p2.clone().add(new THREE.Vector3(-1, 0, 0)); 
     
     const w1 = updateWireMesh(p1, [cp1, cp2], p2);
     group.add(w1);
+    netWires.push({ from: 'batteryBox.pos', to: 'switch.front' });
 
     // 2. Switch(Right) to Bulb(Left)
-    const p3 = getPosInGroup(sw, sw.userData.terminals.rear);
-    const p4 = getPosInGroup(bulb, bulb.userData.terminals.t2);
+    const p3 = getPosInGroup(sw, sw.userData.terminals.rear.position);
+    const p4 = getPosInGroup(bulb, bulb.userData.terminals[2].position);
     
     const cp3 = p3.clone().add(new THREE.Vector3(1, 0, 0));
     const cp4 = p4.clone().add(new THREE.Vector3(0, 0, 1));
     
     const w2 = updateWireMesh(p3, [cp3, cp4], p4);
     group.add(w2);
+    netWires.push({ from: 'switch.rear', to: 'bulb.2' });
 
     // 3. Bulb(Right) to Box(-)
-    const p5 = getPosInGroup(bulb, bulb.userData.terminals.t1);
-    const p6 = getPosInGroup(box, box.userData.terminals.neg);
+    const p5 = getPosInGroup(bulb, bulb.userData.terminals[1].position);
+    const p6 = getPosInGroup(box, box.userData.terminals.neg.position);
     
     const cp5 = p5.clone().add(new THREE.Vector3(0, 0, -1));
     const cp6 = new THREE.Vector3(3, 0.1, -2); 
@@ -536,6 +146,11 @@ function initCircuit(offsetX, id, type = 'double') {
     
     const w3 = updateWireMesh(p5, [cp5, cp6, cp7, cp8], p6);
     group.add(w3);
+    netWires.push({ from: 'bulb.1', to: 'batteryBox.neg' });
+
+    // Particles showing the current in the three wires
+    const flow = createCurrentFlow();
+    flow.setWires([w1, w2, w3]);
 
     // Store circuit data
     circuits.push({
@@ -546,15 +161,16 @@ function initCircuit(offsetX, id, type = 'double') {
         switch: sw,
         bulb: bulb,
         batteries: batteryList,
+        netWires: netWires,
+        flow: flow,
         isSwitchClosed: false,
         electronParticles: [],
-        waterParticles: [],
+        water: createWaterModel(group),
         isAnimating: false
     });
 
     // Add Analogy Models
     createElectronModel(group);
-    createWaterModel(group);
 }
 
 function createElectronModel(group) {
@@ -704,7 +320,7 @@ function createWaterModel(group) {
     right.position.set(w/2 - 0.1, h/2, 0);
     container.add(right);
 
-    // Water Surface (Animated if possible, static for now)
+    // Water Surface (drops as the tank drains)
     const waterGeo = new THREE.BoxGeometry(w-0.4, h-1, d-0.4);
     const waterMat = new THREE.MeshPhongMaterial({ 
         color: 0x0088ff, 
@@ -724,26 +340,94 @@ function createWaterModel(group) {
     pipe.position.set(-2.5, 1, 0); // Stick out left
     container.add(pipe);
     
-    // Valve Handle
+    // Valve Handle (click it to open / close the circuit's switch)
     const valve = new THREE.Mesh(new THREE.CylinderGeometry(0.5, 0.5, 0.2, 8), new THREE.MeshStandardMaterial({color: 0xff0000}));
+    valve.name = 'valve';
     valve.rotation.x = Math.PI / 2;
     valve.position.set(-2.5, 1.5, 0);
     container.add(valve);
 
+    // Handle bar, so turning the valve is visible
+    const bar = new THREE.Mesh(new THREE.BoxGeometry(0.9, 0.25, 0.15), new THREE.MeshStandardMaterial({color: 0xcc0000}));
+    bar.position.y = 0.15;
+    valve.add(bar);
+
     // Water Molecules (Blue particles)
     const particleGeo = new THREE.SphereGeometry(0.15, 8, 8);
     const particleMat = new THREE.MeshBasicMaterial({ color: 0x0088ff });
     
     // Create a volume of water molecules
+    const molecules = [];
     for(let i=0; i<150; i++) {
         const p = new THREE.Mesh(particleGeo, particleMat);
         const x = (Math.random() - 0.5) * 3.6;
-        const y = Math.random() * 5.6 + 0.2;
+        const y = Math.random() * (h - 1) + 0.2;
         const z = (Math.random() - 0.5) * 3.6;
         
         p.position.set(x, y, z);
         container.add(p);
+        molecules.push(p);
+    }
+
+    // Stream pouring out of the pipe, hidden until the water flows
+    const stream = [];
+    for (let i = 0; i < WATER_STREAM_DROPS; i++) {
+        const drop = new THREE.Mesh(particleGeo, particleMat);
+        drop.visible = false;
+        container.add(drop);
+        stream.push(drop);
+    }
+
+    return {
+        container,
+        waterVol,
+        waterHeight: h - 1,
+        molecules,
+        valve,
+        stream,
+        level: 1, // 1 = full, 0 = empty
+        current: 0, // Amps through the circuit, sets the flow rate
+        streamPhase: 0
+    };
+}
+
+// --- Water Analogy ---
+// The tank drains while current flows, faster for a larger current, and stops
+// as soon as the switch opens. Swapping in fresh or old cells fills it to their charge.
+const WATER_STREAM_DROPS = 16;
+const WATER_DRAIN_PER_AMP = 0.3; // Fraction of the tank per second for every ampere
+const WATER_STREAM_SPEED_PER_AMP = 6; // Stream cycles per second for every ampere
+
+function updateWater(water, delta) {
+    const flowing = water.current > CURRENT_THRESHOLD && water.level > 0;
+
+    if (flowing) {
+        water.level = Math.max(0, water.level - water.current * WATER_DRAIN_PER_AMP * delta);
+        water.streamPhase = (water.streamPhase + water.current * WATER_STREAM_SPEED_PER_AMP * delta) % 1;
     }
+
+    // Water volume and the molecules below the surface
+    const depth = Math.max(water.level, 0.001) * water.waterHeight;
+    water.waterVol.scale.y = Math.max(water.level, 0.001);
+    water.waterVol.position.y = depth / 2 + 0.2;
+    water.molecules.forEach(p => {
+        p.visible = p.position.y < depth + 0.2;
+    });
+
+    // Drops leave the spout and fall in an arc
+    water.stream.forEach((drop, i) => {
+        drop.visible = flowing;
+        if (!flowing) return;
+        const t = (i / water.stream.length + water.streamPhase) % 1;
+        drop.position.set(-3.5 - t * 1.2, 1 - t * t * 1.5, 0);
+    });
+
+    water.valve.rotation.y = water.current > CURRENT_THRESHOLD ? Math.PI / 2 : 0;
+}
+
+function fillWater(water, level = 1) {
+    water.level = level;
+    updateWater(water, 0);
 }
 
 // Create One Circuit
@@ -752,7 +436,6 @@ initCircuit(-2, 0, 'single'); // Center Circuit (Single)
 
 // --- Interaction ---
 const raycaster = new THREE.Raycaster();
-const mouse = new THREE.Vector2();
 
 function toggleSwitch(circuit) {
     circuit.isSwitchClosed = !circuit.isSwitchClosed;
@@ -778,10 +461,8 @@ function toggleSwitch(circuit) {
     animateSwitch();
 }
 
-window.addEventListener('mousedown', (e) => {
-    mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
-    raycaster.setFromCamera(mouse, camera);
+input.onDown((e) => {
+    input.aim(raycaster, e);
     
     const intersects = raycaster.intersectObjects(allBatteries, true);
     
@@ -805,12 +486,10 @@ window.addEventListener('mousedown', (e) => {
     }
 });
 
-window.addEventListener('mousemove', (e) => {
+input.onMove((e) => {
     if (!isDragging || !dragObject) return;
     
-    mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
-    raycaster.setFromCamera(mouse, camera);
+    input.aim(raycaster, e);
     
     const intersectPoint = new THREE.Vector3();
     raycaster.ray.intersectPlane(dragPlane, intersectPoint);
@@ -826,7 +505,8 @@ window.addEventListener('mousemove', (e) => {
     }
 });
 
-window.addEventListener('mouseup', () => {
+// Released, or a second finger came down to zoom or turn the view: set the battery down
+function dropBattery() {
     if (isDragging && dragObject) {
         isDragging = false;
         orbitControls.enabled = true;
@@ -835,7 +515,10 @@ window.addEventListener('mouseup', () => {
         circuits.forEach(c => checkCircuit(c));
         dragObject = null;
     }
-});
+}
+
+input.onUp(dropBattery);
+input.onCancel(dropBattery);
 
 function checkDrop(battery) {
     const battWorldPos = new THREE.Vector3();
@@ -878,12 +561,10 @@ function checkDrop(battery) {
     }
 }
 
-window.addEventListener('click', (e) => {
+input.onTap((e) => {
     if (isDragging) return;
     
-    mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
-    raycaster.setFromCamera(mouse, camera);
+    input.aim(raycaster, e);
     
     const hits = raycaster.intersectObjects(scene.children, true);
     for (let hit of hits) {
@@ -897,6 +578,13 @@ window.addEventListener('click', (e) => {
             obj = obj.parent;
         }
         
+        // The tank's valve (or its handle bar) works the same switch
+        const valveCircuit = circuits.find(c => c.water.valve === hit.object || c.water.valve === hit.object.parent);
+        if (valveCircuit) {
+            toggleSwitch(valveCircuit);
+            return;
+        }
+
         if (switchGroup) {
             const circuit = circuits.find(c => c.switch === switchGroup);
             if (circuit) {
@@ -918,88 +606,55 @@ window.addEventListener('click', (e) => {
     }
 });
 
-function checkCircuit(circuit) {
-    const box = circuit.box;
-    let allValid = true;
-    
-    // Iterate all required slots for this box
-    for (const slot of box.userData.slots) {
-        if (!slot.occupied) {
-            allValid = false;
-            break;
-        }
-        
-        // Check battery in this slot
-        const batt = allBatteries.find(b => b.userData.parentBox === box && b.userData.inSlot === slot);
-        if (!batt) {
-            allValid = false;
-            break;
-        }
-        
-        // Check Orientation
-        const boxRightWorld = new THREE.Vector3(1,0,0).applyQuaternion(box.getWorldQuaternion(new THREE.Quaternion()));
-        const battDir = new THREE.Vector3(1, 0, 0).applyQuaternion(batt.getWorldQuaternion(new THREE.Quaternion())).normalize();
-        
-        const expectedDot = slot.expectedDir.x; // -1 or 1
-        const dot = battDir.dot(boxRightWorld);
-        
-        if (expectedDot < 0) {
-            if (dot > -0.8) allValid = false;
-        } else {
-            if (dot < 0.8) allValid = false;
-        }
-    }
+function isBatteryOriented(batt, box, slot) {
+    const boxRightWorld = new THREE.Vector3(1,0,0).applyQuaternion(box.getWorldQuaternion(new THREE.Quaternion()));
+    const battDir = new THREE.Vector3(1, 0, 0).applyQuaternion(batt.getWorldQuaternion(new THREE.Quaternion())).normalize();
     
-    if (allValid && circuit.isSwitchClosed) {
-        turnOnBulb(circuit);
-    } else {
-        turnOffBulb(circuit);
-    }
+    const expectedDot = slot.expectedDir.x; // -1 or 1
+    const dot = battDir.dot(boxRightWorld);
     
-    const anyOn = circuits.some(c => c.isBulbOn);
-    const msg = document.getElementById('success-msg');
-    if (msg) msg.style.display = anyOn ? 'block' : 'none';
+    return expectedDot < 0 ? dot <= -0.8 : dot >= 0.8;
 }
 
-function turnOnBulb(circuit) {
-    circuit.isBulbOn = true;
-    const { bulb, filament } = circuit.bulb.userData.materials;
-    
-    // Adjust brightness and color based on circuit type
-    const isSingle = circuit.type === 'single';
-    const intensity = isSingle ? 0.5 : 1.5; 
-    const bulbEmissive = isSingle ? 0xff6600 : 0xffff00; // Orange for single, Yellow for double
-    const filColor = isSingle ? 0xff8800 : 0xffaa00;
-    
-    bulb.emissive.set(bulbEmissive);
-    bulb.emissiveIntensity = intensity;
-    bulb.opacity = 0.8;
-    
-    filament.color.set(filColor);
-    filament.emissive.set(filColor);
-    filament.emissiveIntensity = intensity * 2;
-    
-    if (!circuit.group.getObjectByName('bulbLight')) {
-        const light = new THREE.PointLight(bulbEmissive, 5 * intensity, 10);
-        light.name = 'bulbLight';
-        light.position.set(3, 2, 0); 
-        circuit.group.add(light);
-    }
+function buildNetlist(circuit) {
+    const box = circuit.box;
+    const components = [
+        { id: 'bulb', type: 'bulb', ...bulbParameters(circuit.bulb) },
+        { id: 'switch', type: 'switch', closed: circuit.isSwitchClosed }
+    ];
+    const wires = [...circuit.netWires];
+
+    // The box's own wiring joins the cells: an empty slot leaves a gap,
+    // a reversed cell works against the others
+    const cells = new Map();
+    box.userData.slots.forEach(slot => {
+        const batt = allBatteries.find(b => b.userData.parentBox === box && b.userData.inSlot === slot);
+        if (!slot.occupied || !batt) return;
+
+        const cell = { id: 'cell' + slot.id, reversed: !isBatteryOriented(batt, box, slot) };
+        components.push({ id: cell.id, type: 'battery', ...cellParameters(batt.userData.cell), cell: batt.userData.cell, slot: slot.id, reversed: cell.reversed });
+        cells.set(slot, cell);
+    });
+    wires.push(...batteryBoxWires(box, 'batteryBox', slot => cells.get(slot)));
+
+    return { components, wires };
 }
 
-function turnOffBulb(circuit) {
-    circuit.isBulbOn = false;
-    const { bulb, filament } = circuit.bulb.userData.materials;
-    
-    bulb.emissive.set(0x000000);
-    bulb.opacity = 0.3;
+function checkCircuit(circuit) {
+    const { netlist, result } = solveWithBurnout(() => buildNetlist(circuit), { bulb: circuit.bulb });
+    circuit.netlist = netlist; // Kept for the battery discharge
+    circuit.result = result;
+
+    // netWires come first in the netlist, in the same order as the flow's wires
+    circuit.flow.update(result.wires.slice(0, circuit.netWires.length));
+    circuit.water.current = Math.abs(result.components.bulb.current);
     
-    filament.color.set(0x555555);
-    filament.emissive.set(0x000000);
-    filament.emissiveIntensity = 0;
+    // Brightness comes from the solved bulb power: one cell glows dim orange, two cells bright
+    circuit.isBulbOn = setBulbGlow(circuit.bulb, result.components.bulb) > 0;
     
-    const light = circuit.group.getObjectByName('bulbLight');
-    if (light) circuit.group.remove(light);
+    const anyOn = circuits.some(c => c.isBulbOn);
+    const msg = document.getElementById('success-msg');
+    if (msg) msg.style.display = anyOn ? 'block' : 'none';
 }
 
 document.getElementById('reset-btn').addEventListener('click', () => {
@@ -1007,7 +662,9 @@ document.getElementById('reset-btn').addEventListener('click', () => {
         c.isSwitchClosed = false;
         c.switch.getObjectByName('lever').rotation.x = Math.PI / 3;
         c.box.userData.slots.forEach(s => s.occupied = false);
-        turnOffBulb(c);
+        repairBulb(c.bulb);
+        c.isBulbOn = false;
+        setBulbGlow(c.bulb, null);
     });
     
     allBatteries.forEach(b => {
@@ -1043,18 +700,63 @@ document.getElementById('reset-btn').addEventListener('click', () => {
         }
     });
     
+    circuits.forEach(c => {
+        checkCircuit(c);
+        fillWater(c.water);
+    });
     document.getElementById('success-msg').style.display = 'none';
 });
 
-function animate() {
-    requestAnimationFrame(animate);
-    orbitControls.update();
-    renderer.render(scene, camera);
+// --- Current Flow ---
+const FLOW_NOTES = {
+    conventional: '红色小球表示<strong>电流方向</strong>：从电池正极出发，经过开关和灯泡，回到负极。',
+    electron: '黄色小球表示<strong>电子</strong>：电子带负电，它们从负极出发，流向和电流方向正好相反！'
+};
+
+function setFlowMode(mode) {
+    circuits.forEach(c => c.flow.setMode(mode));
+    document.getElementById('flow-conventional-btn').classList.toggle('active', mode === 'conventional');
+    document.getElementById('flow-electron-btn').classList.toggle('active', mode === 'electron');
+    document.getElementById('flow-note').innerHTML = FLOW_NOTES[mode];
+}
+
+document.getElementById('flow-conventional-btn').addEventListener('click', () => setFlowMode('conventional'));
+document.getElementById('flow-electron-btn').addEventListener('click', () => setFlowMode('electron'));
+setFlowMode('conventional');
+
+// --- Battery Charge ---
+// Cells that deliver current run down on an accelerated clock; every step
+// drains them and solves again, so the bulbs dim as the cells empty.
+const discharge = createDischargeTimeline({
+    timeScaleSelect: document.getElementById('time-scale'),
+    onStep: (seconds) => {
+        circuits.forEach(c => {
+            if (c.result && drainNetlist(c.netlist, c.result, seconds)) checkCircuit(c);
+        });
+        allBatteries.forEach(updateChargeLabel);
+    }
+});
+
+// "Fresh vs. old": swap every cell for a new or a nearly flat one
+function setAllCharges(soc) {
+    allBatteries.forEach(b => {
+        setStateOfCharge(b.userData.cell, soc);
+        updateChargeLabel(b);
+    });
+    circuits.forEach(c => {
+        checkCircuit(c);
+        fillWater(c.water, soc);
+    });
 }
-animate();
 
-window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+document.getElementById('fresh-cells-btn').addEventListener('click', () => setAllCharges(1));
+document.getElementById('old-cells-btn').addEventListener('click', () => setAllCharges(OLD_CELL_CHARGE));
+
+// Animation Loop
+lab.onFrame((time, delta) => {
+    discharge.update(delta);
+    circuits.forEach(c => {
+        c.flow.animate(delta);
+        updateWater(c.water, delta);
+    });
 });
@@ -0,0 +1,664 @@
+import * as THREE from 'three';
+import {
+    createBattery, createBatteryBox, batteryBoxWires, createSwitch,
+    createResistor, setResistance, createRheostat, setRheostatWiper, rheostatWiperAt
+} from '../shared/components.js';
+import { createLab } from '../shared/lab.js';
+import { solveCircuit, CURRENT_THRESHOLD } from '../shared/circuit-solver.js';
+import {
+    attachConnectionPoints, updateWireMesh, wireEndKey, isSameEnd, pulseHalos,
+    POINT_COLOR, POINT_HOVER_COLOR, POINT_OCCUPIED_COLOR
+} from '../shared/wiring.js';
+import { createShortCircuitWarning } from '../shared/short-circuit.js';
+import { createMultimeter, meterWires, pickProbe, findProbeTarget, formatReading } from '../shared/multimeter.js';
+import { svg } from '../shared/schematic.js';
+import { createCircuitDocument, createCircuitStorage, placementOf } from '../shared/circuit-file.js';
+
+// --- Scene Setup ---
+const lab = createLab({
+    camera: { position: [0, 12, 14] },
+    controls: { maxPolarAngle: Math.PI / 2.2, minDistance: 5, maxDistance: 30 },
+    floor: { width: 34, depth: 26 }
+});
+const { scene, controls, floor, input } = lab;
+
+// Fixed resistors in the kit, each with its colour on the plot
+const RESISTOR_OPTIONS = [
+    { resistance: 5, color: '#e67e22' },
+    { resistance: 10, color: '#2980b9' },
+    { resistance: 15, color: '#27ae60' },
+    { resistance: 20, color: '#8e44ad' }
+];
+const SWITCH_OPEN_ANGLE = Math.PI / 4;
+
+// --- Global State ---
+const connectionPoints = [];
+let wires = []; // { start, end, mesh }
+let isSwitchClosed = false;
+let lastResult = null;
+let dataPoints = []; // { voltage, current, resistance }
+
+// Pointer State
+let isDrawing = false;
+let currentLine = null;
+let startPoint = null;
+let dragProbe = null; // { meter, color }
+let isDraggingWiper = false;
+
+// --- Components ---
+
+// 1. Battery box with two cells already in it (3 V)
+const { group: batteryBox, terminals: boxTerminals } = createBatteryBox({ type: 'double' });
+connectionPoints.push(...attachConnectionPoints(batteryBox, boxTerminals, 'batteryBox', {
+    pos: { text: '+', color: '#ff0000' },
+    neg: { text: '-', color: '#000000' }
+}));
+batteryBox.position.set(-8, 0, -2);
+scene.add(batteryBox);
+
+const cells = batteryBox.userData.slots.map(slot => {
+    const { group } = createBattery({ pose: 'lying', name: 'cell' + slot.id });
+    group.position.copy(slot.pos);
+    group.rotation.y = slot.expectedDir.x > 0 ? 0 : Math.PI;
+    slot.occupied = true;
+    batteryBox.add(group);
+    return group;
+});
+
+// 2. Switch
+const { group: switchObj, terminals: switchTerminals } = createSwitch({ mount: 'posts', openAngle: SWITCH_OPEN_ANGLE });
+connectionPoints.push(...attachConnectionPoints(switchObj, switchTerminals, 'switch'));
+switchObj.position.set(-7, 0, 5);
+switchObj.rotation.y = Math.PI / 2;
+scene.add(switchObj);
+const switchLever = switchObj.getObjectByName('lever');
+
+// 3. Sliding rheostat, starting at its largest resistance (a to c)
+const { group: rheostat, terminals: rheostatTerminals } = createRheostat({ maxResistance: 20, wiper: 1 });
+connectionPoints.push(...attachConnectionPoints(rheostat, rheostatTerminals, 'rheostat'));
+rheostat.position.set(0, 0, -4);
+scene.add(rheostat);
+
+// 4. Fixed resistor
+const { group: resistor, terminals: resistorTerminals } = createResistor({ resistance: 10 });
+connectionPoints.push(...attachConnectionPoints(resistor, resistorTerminals, 'resistor'));
+resistor.position.set(6, 0, 1);
+scene.add(resistor);
+
+// 5. Two multimeters: one set to current, one to voltage
+const ammeter = createMultimeter({ name: 'ammeter', mode: 'current' });
+ammeter.group.position.set(-2, 0, 6);
+const voltmeter = createMultimeter({ name: 'voltmeter', mode: 'voltage' });
+voltmeter.group.position.set(4, 0, 7);
+const meters = { ammeter, voltmeter };
+Object.values(meters).forEach(meter => {
+    scene.add(meter.group, meter.cables);
+    meter.follow();
+});
+
+// --- Interaction ---
+const raycaster = new THREE.Raycaster();
+
+function setRay(event) {
+    input.aim(raycaster, event);
+}
+
+function getIntersects(event, objects) {
+    setRay(event);
+    return raycaster.intersectObjects(objects, false);
+}
+
+function isPointOccupied(userData) {
+    return wires.some(w => isSameEnd(w.start, userData) || isSameEnd(w.end, userData));
+}
+
+// What a press on the bench grabs: the named child it is part of
+function pickNamed(event, names) {
+    setRay(event);
+    const targets = [switchObj, rheostat, ...Object.values(meters).map(m => m.group)];
+    for (const hit of raycaster.intersectObjects(targets, true)) {
+        let obj = hit.object;
+        while (obj) {
+            if (names.includes(obj.name)) return obj;
+            obj = obj.parent;
+        }
+    }
+    return null;
+}
+
+function meterOfDial(dial) {
+    return Object.values(meters).find(m => m.group === dial.parent);
+}
+
+input.onDown((e) => {
+    const point = getIntersects(e, connectionPoints)[0];
+    if (point) {
+        if (!isPointOccupied(point.object.userData)) startWire(point.object);
+        return;
+    }
+
+    const probe = pickProbe(raycaster, Object.values(meters));
+    if (probe) {
+        dragProbe = probe;
+        controls.enabled = false;
+        document.body.style.cursor = 'grabbing';
+        return;
+    }
+
+    if (pickNamed(e, ['wiper'])) {
+        isDraggingWiper = true;
+        controls.enabled = false;
+        document.body.style.cursor = 'grabbing';
+    }
+});
+
+// The switch lever and the meter dials work on a click or tap
+input.onTap((e) => {
+    if (getIntersects(e, connectionPoints).length > 0) return;
+
+    const target = pickNamed(e, ['lever', 'dial']);
+    if (!target) return;
+    if (target.name === 'lever') {
+        toggleSwitch();
+    } else {
+        meterOfDial(target).nextMode();
+        checkCircuit();
+    }
+});
+
+input.onMove((e) => {
+    if (isDrawing) {
+        drawWire(e);
+        return;
+    }
+    if (dragProbe) {
+        moveProbe(e);
+        return;
+    }
+    if (isDraggingWiper) {
+        moveWiper(e);
+        return;
+    }
+    updateHover(e);
+});
+
+input.onUp((e) => {
+    if (isDrawing) {
+        finishWire(e);
+        return;
+    }
+    if (dragProbe) {
+        // Dropped away from any point: the probe goes back by its meter
+        setRay(e);
+        dragProbe.meter.attach(dragProbe.color, findProbeTarget(raycaster, connectionPoints));
+        connectionPoints.forEach(p => p.material.color.set(POINT_COLOR));
+        dragProbe = null;
+        checkCircuit();
+    }
+    isDraggingWiper = false;
+    controls.enabled = true;
+    document.body.style.cursor = 'default';
+});
+
+// A second finger came down to zoom or turn the view: let go of whatever was held
+input.onCancel(() => {
+    if (isDrawing) {
+        isDrawing = false;
+        discardWire();
+    }
+    if (dragProbe) {
+        dragProbe.meter.attach(dragProbe.color, null);
+        connectionPoints.forEach(p => p.material.color.set(POINT_COLOR));
+        dragProbe = null;
+        checkCircuit();
+    }
+    isDraggingWiper = false;
+    document.body.style.cursor = 'default';
+});
+
+function updateHover(e) {
+    connectionPoints.forEach(p => p.material.color.set(POINT_COLOR));
+    document.body.style.cursor = 'default';
+    controls.enabled = true;
+
+    const point = getIntersects(e, connectionPoints)[0];
+    if (point) {
+        if (!isPointOccupied(point.object.userData)) {
+            point.object.material.color.set(POINT_HOVER_COLOR);
+            document.body.style.cursor = 'crosshair';
+            controls.enabled = false;
+        } else {
+            point.object.material.color.set(POINT_OCCUPIED_COLOR);
+            document.body.style.cursor = 'not-allowed';
+        }
+        return;
+    }
+
+    if (pickProbe(raycaster, Object.values(meters))) {
+        document.body.style.cursor = 'grab';
+        return;
+    }
+    const target = pickNamed(e, ['wiper', 'lever', 'dial']);
+    if (target) document.body.style.cursor = target.name === 'wiper' ? 'grab' : 'pointer';
+}
+
+// --- Wires ---
+
+function startWire(point) {
+    isDrawing = true;
+    startPoint = point;
+    controls.enabled = false;
+
+    const startPos = startPoint.getWorldPosition(new THREE.Vector3());
+    const bendFactor = (wires.length % 2 === 0) ? 1 : -1;
+    currentLine = updateWireMesh(null, startPos, startPos, bendFactor);
+    currentLine.userData.bendFactor = bendFactor;
+    scene.add(currentLine);
+}
+
+function drawWire(e) {
+    const targetPos = new THREE.Vector3();
+    const hit = getIntersects(e, connectionPoints)[0];
+    const point = hit ? hit.object : null;
+
+    connectionPoints.forEach(p => {
+        if (p !== startPoint) p.material.color.set(POINT_COLOR);
+    });
+    if (point && point !== startPoint && !isPointOccupied(point.userData)) {
+        // Snap to a free connection point
+        point.getWorldPosition(targetPos);
+        point.material.color.set(POINT_HOVER_COLOR);
+    } else {
+        const floorHit = raycaster.intersectObject(floor)[0];
+        if (floorHit) targetPos.copy(floorHit.point);
+        else raycaster.ray.at(5, targetPos);
+    }
+
+    const startPos = startPoint.getWorldPosition(new THREE.Vector3());
+    updateWireMesh(currentLine, startPos, targetPos, currentLine.userData.bendFactor);
+}
+
+function finishWire(e) {
+    isDrawing = false;
+    controls.enabled = true;
+
+    const hit = getIntersects(e, connectionPoints)[0];
+    let endPoint = hit ? hit.object : null;
+    if (endPoint && isPointOccupied(endPoint.userData)) endPoint = null;
+
+    if (endPoint && endPoint !== startPoint) {
+        addWire(startPoint, endPoint, currentLine);
+        checkCircuit();
+        currentLine = null;
+    }
+    discardWire();
+}
+
+// Drop the line being drawn, if it never became a wire
+function discardWire() {
+    if (currentLine) {
+        currentLine.geometry.dispose();
+        scene.remove(currentLine);
+    }
+    connectionPoints.forEach(p => p.material.color.set(POINT_COLOR));
+    currentLine = null;
+    startPoint = null;
+}
+
+// mesh: the line drawn so far, or null to lay a new one
+function addWire(from, to, mesh = null) {
+    const bendFactor = mesh ? mesh.userData.bendFactor : (wires.length % 2 === 0) ? 1 : -1;
+    const startPos = from.getWorldPosition(new THREE.Vector3());
+    const endPos = to.getWorldPosition(new THREE.Vector3());
+    mesh = updateWireMesh(mesh, startPos, endPos, bendFactor);
+    mesh.userData.bendFactor = bendFactor;
+    if (!mesh.parent) scene.add(mesh);
+    wires.push({ start: from.userData, end: to.userData, mesh });
+}
+
+// Double click (or long press) to remove wire
+input.onDelete((e) => {
+    const hit = getIntersects(e, wires.map(w => w.mesh))[0];
+    if (!hit) return;
+    const wire = wires.find(w => w.mesh === hit.object);
+    scene.remove(wire.mesh);
+    wire.mesh.geometry.dispose();
+    wires = wires.filter(w => w !== wire);
+    checkCircuit();
+});
+
+// --- Probes, Wiper and Switch ---
+
+function moveProbe(e) {
+    setRay(e);
+    const target = findProbeTarget(raycaster, connectionPoints);
+    connectionPoints.forEach(p => p.material.color.set(p === target ? POINT_HOVER_COLOR : POINT_COLOR));
+
+    const position = new THREE.Vector3();
+    if (target) {
+        target.getWorldPosition(position);
+    } else if (raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), position)) {
+        position.y = 1;
+    } else {
+        return;
+    }
+    dragProbe.meter.hold(dragProbe.color, position);
+}
+
+// The slider follows the pointer along the bar
+function moveWiper(e) {
+    setRay(e);
+    const wiper = rheostat.getObjectByName('wiper');
+    const barHeight = wiper.getWorldPosition(new THREE.Vector3()).y + 1.55;
+    const hit = new THREE.Vector3();
+    if (!raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), -barHeight), hit)) return;
+
+    setRheostatWiper(rheostat, rheostatWiperAt(rheostat.worldToLocal(hit)));
+    checkCircuit();
+}
+
+function setSwitch(closed) {
+    isSwitchClosed = closed;
+    switchLever.rotation.x = closed ? 0 : SWITCH_OPEN_ANGLE;
+}
+
+function toggleSwitch() {
+    isSwitchClosed = !isSwitchClosed;
+    const targetRot = isSwitchClosed ? 0 : SWITCH_OPEN_ANGLE;
+    const startRot = switchLever.rotation.x;
+    const duration = 200;
+    const startTime = Date.now();
+
+    function animateSwitch() {
+        const progress = Math.min((Date.now() - startTime) / duration, 1);
+        switchLever.rotation.x = startRot + (targetRot - startRot) * progress;
+
+        if (progress < 1) {
+            requestAnimationFrame(animateSwitch);
+        } else {
+            checkCircuit();
+        }
+    }
+    animateSwitch();
+}
+
+// --- Circuit Logic ---
+const shortWarning = createShortCircuitWarning(scene);
+
+function buildNetlist() {
+    return {
+        components: [
+            ...cells.map(cell => ({ id: cell.name, type: 'battery' })),
+            { id: 'switch', type: 'switch', closed: isSwitchClosed },
+            { id: 'rheostat', type: 'rheostat', maxResistance: rheostat.userData.maxResistance, wiper: rheostat.userData.wiper },
+            { id: 'resistor', type: 'resistor', resistance: resistor.userData.resistance },
+            ...Object.entries(meters).map(([id, meter]) => ({ id, type: 'meter', mode: meter.mode }))
+        ],
+        // Student wires first so result.wires lines up with the wire meshes
+        wires: [
+            ...wires.map(w => ({ from: wireEndKey(w.start), to: wireEndKey(w.end) })),
+            ...batteryBoxWires(batteryBox, 'batteryBox', slot => ({ id: 'cell' + slot.id, reversed: false })),
+            ...Object.entries(meters).flatMap(([id, meter]) => meterWires(meter, id))
+        ]
+    };
+}
+
+function checkCircuit() {
+    lastResult = solveCircuit(buildNetlist());
+
+    shortWarning.update(lastResult, {
+        wireMeshes: wires.map(w => w.mesh),
+        batteries: Object.fromEntries(cells.map(cell => [cell.name, cell]))
+    });
+
+    Object.entries(meters).forEach(([id, meter]) => meter.showReading(lastResult.components[id]));
+    updateReadout();
+    storage.changed();
+}
+
+// --- Data and Plot ---
+
+function readoutText(id) {
+    const { value, unit } = formatReading(meters[id].mode, lastResult.components[id].reading);
+    return `${value} ${unit}`;
+}
+
+function updateReadout() {
+    document.getElementById('ammeter-reading').textContent = readoutText('ammeter');
+    document.getElementById('voltmeter-reading').textContent = readoutText('voltmeter');
+    document.getElementById('rheostat-reading').textContent =
+        (rheostat.userData.wiper * rheostat.userData.maxResistance).toFixed(1) + ' Ω';
+}
+
+function probeKeys(meter) {
+    return Object.values(meter.probes)
+        .map(probe => probe.userData.point && wireEndKey(probe.userData.point.userData))
+        .filter(Boolean)
+        .sort();
+}
+
+// Why the meters can't give a data point yet, or null when they can
+function measurementProblem() {
+    if (ammeter.mode !== 'current') return '电流表的旋钮要拨到 A 挡。';
+    if (voltmeter.mode !== 'voltage') return '电压表的旋钮要拨到 V 挡。';
+    if (probeKeys(voltmeter).join() !== 'resistor.1,resistor.2') return '把电压表的两支表笔接在定值电阻两端的接线柱上。';
+
+    const current = lastResult.components.ammeter.reading;
+    if (Math.abs(current) < CURRENT_THRESHOLD) return '电流表没有读数：把它串联进电路，再闭合开关。';
+    if (Math.abs(current - lastResult.components.resistor.current) > CURRENT_THRESHOLD &&
+        Math.abs(current + lastResult.components.resistor.current) > CURRENT_THRESHOLD) {
+        return '电流表要和定值电阻串联，流过它的电流才是流过电阻的电流。';
+    }
+    if (current < 0 || lastResult.components.voltmeter.reading < 0) {
+        return '读数是负的：红表笔要接在电流流进来的那一端。';
+    }
+    return null;
+}
+
+function recordPoint() {
+    const problem = measurementProblem();
+    const note = document.getElementById('data-note');
+    note.textContent = problem || '';
+    if (problem) return;
+
+    // Keep what the displays show
+    dataPoints.push({
+        voltage: Math.round(lastResult.components.voltmeter.reading * 100) / 100,
+        current: Math.round(lastResult.components.ammeter.reading * 10000) / 10000,
+        resistance: resistor.userData.resistance
+    });
+    renderData();
+}
+
+function clearData() {
+    dataPoints = [];
+    document.getElementById('data-note').textContent = '';
+    renderData();
+}
+
+function colorOf(resistance) {
+    const option = RESISTOR_OPTIONS.find(o => o.resistance === resistance);
+    return option ? option.color : '#555555';
+}
+
+// Best line through the origin, I = k * U
+function slopeOf(points) {
+    const uu = points.reduce((sum, p) => sum + p.voltage * p.voltage, 0);
+    const ui = points.reduce((sum, p) => sum + p.voltage * p.current, 0);
+    return uu > 0 ? ui / uu : 0;
+}
+
+// I-U plot: voltage across, current up
+const PLOT = { width: 300, height: 220, left: 40, bottom: 30, top: 10, right: 10 };
+
+function renderPlot() {
+    const root = document.getElementById('vi-plot');
+    while (root.firstChild) root.removeChild(root.firstChild);
+
+    const maxU = Math.max(3, ...dataPoints.map(p => Math.ceil(p.voltage * 2) / 2));
+    const maxI = Math.max(0.3, ...dataPoints.map(p => Math.ceil(p.current * 10) / 10));
+    const w = PLOT.width - PLOT.left - PLOT.right;
+    const h = PLOT.height - PLOT.top - PLOT.bottom;
+    const x = u => PLOT.left + (u / maxU) * w;
+    const y = i => PLOT.top + h - (i / maxI) * h;
+
+    // Grid and axes
+    for (let u = 0; u <= maxU + 1e-9; u += 0.5) {
+        svg('line', { x1: x(u), y1: y(0), x2: x(u), y2: y(maxI), stroke: '#eef2f5' }, root);
+        if (Math.abs(u % 1) < 1e-9) svg('text', { x: x(u), y: y(0) + 14, 'font-size': 10, 'text-anchor': 'middle', fill: '#555' }, root).textContent = u;
+    }
+    for (let i = 0; i <= maxI + 1e-9; i += 0.1) {
+        svg('line', { x1: x(0), y1: y(i), x2: x(maxU), y2: y(i), stroke: '#eef2f5' }, root);
+        svg('text', { x: x(0) - 4, y: y(i) + 3, 'font-size': 10, 'text-anchor': 'end', fill: '#555' }, root).textContent = i.toFixed(1);
+    }
+    svg('line', { x1: x(0), y1: y(0), x2: x(maxU), y2: y(0), stroke: '#2c3e50', 'stroke-width': 1.5 }, root);
+    svg('line', { x1: x(0), y1: y(0), x2: x(0), y2: y(maxI), stroke: '#2c3e50', 'stroke-width': 1.5 }, root);
+    svg('text', { x: x(maxU), y: y(0) - 4, 'font-size': 11, 'text-anchor': 'end', fill: '#2c3e50' }, root).textContent = 'U/V';
+    svg('text', { x: x(0) + 4, y: y(maxI) + 10, 'font-size': 11, fill: '#2c3e50' }, root).textContent = 'I/A';
+
+    // One fitted line per resistor, then the points on top
+    RESISTOR_OPTIONS.forEach(({ resistance, color }) => {
+        const points = dataPoints.filter(p => p.resistance === resistance);
+        if (points.length < 2) return;
+        const k = slopeOf(points);
+        const endU = Math.min(maxU, maxI / k);
+        svg('line', { x1: x(0), y1: y(0), x2: x(endU), y2: y(k * endU), stroke: color, 'stroke-width': 1.5, 'stroke-dasharray': '5 3' }, root);
+    });
+    dataPoints.forEach(p => {
+        svg('circle', { cx: x(p.voltage), cy: y(p.current), r: 4, fill: colorOf(p.resistance) }, root);
+    });
+}
+
+function renderData() {
+    const body = document.querySelector('#data-table tbody');
+    while (body.firstChild) body.removeChild(body.firstChild);
+    dataPoints.forEach((p, i) => {
+        const row = document.createElement('tr');
+        [i + 1, p.resistance + ' Ω', p.voltage.toFixed(2), p.current.toFixed(3), (p.voltage / p.current).toFixed(1)].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        row.style.color = colorOf(p.resistance);
+        body.appendChild(row);
+    });
+    renderPlot();
+    updateConclusion();
+}
+
+function updateConclusion() {
+    const groups = RESISTOR_OPTIONS
+        .map(({ resistance }) => dataPoints.filter(p => p.resistance === resistance))
+        .filter(points => points.length >= 3);
+    const msg = document.getElementById('success-msg');
+    if (!groups.length) {
+        msg.style.display = 'none';
+        return;
+    }
+    let text = '🎉 同一个电阻的点排成一条过原点的直线：电阻一定时，电流和电压成正比，U/I 就是电阻 R！';
+    if (groups.length >= 2) text += '<br>换一个电阻再测：电阻越大，图线越平，同样的电压下电流越小。';
+    msg.innerHTML = text;
+    msg.style.display = 'block';
+}
+
+const resistorSelect = document.getElementById('resistor-select');
+RESISTOR_OPTIONS.forEach(({ resistance }) => {
+    const option = document.createElement('option');
+    option.value = String(resistance);
+    option.textContent = resistance + ' Ω';
+    resistorSelect.appendChild(option);
+});
+resistorSelect.value = String(resistor.userData.resistance);
+resistorSelect.addEventListener('change', () => {
+    setResistance(resistor, Number(resistorSelect.value));
+    checkCircuit();
+});
+
+document.getElementById('record-btn').addEventListener('click', recordPoint);
+document.getElementById('clear-data-btn').addEventListener('click', clearData);
+
+function resetCircuit() {
+    wires.forEach(w => {
+        scene.remove(w.mesh);
+        w.mesh.geometry.dispose();
+    });
+    wires = [];
+    setSwitch(false);
+    setRheostatWiper(rheostat, 1);
+    Object.values(meters).forEach(meter => {
+        meter.attach('red', null);
+        meter.attach('black', null);
+    });
+    ammeter.setMode('current');
+    voltmeter.setMode('voltage');
+    checkCircuit();
+}
+
+document.getElementById('reset-btn').addEventListener('click', resetCircuit);
+
+// --- Save / Load ---
+function serializeCircuit() {
+    const meterEntries = Object.entries(meters).map(([id, meter]) => {
+        const probes = {};
+        Object.entries(meter.probes).forEach(([color, probe]) => {
+            probes[color] = probe.userData.point ? wireEndKey(probe.userData.point.userData) : null;
+        });
+        return { id, type: 'multimeter', ...placementOf(meter.group), mode: meter.mode, probes };
+    });
+    return createCircuitDocument('lesson7', [
+        { id: 'batteryBox', type: 'batteryBox', ...placementOf(batteryBox) },
+        { id: 'switch', type: 'switch', ...placementOf(switchObj), closed: isSwitchClosed },
+        { id: 'rheostat', type: 'rheostat', ...placementOf(rheostat), wiper: rheostat.userData.wiper },
+        { id: 'resistor', type: 'resistor', ...placementOf(resistor), resistance: resistor.userData.resistance },
+        ...meterEntries
+    ], wires.map(w => ({ from: wireEndKey(w.start), to: wireEndKey(w.end) })));
+}
+
+// The components stay where the lesson puts them; their settings and the wires come back
+function restoreCircuit(doc) {
+    resetCircuit();
+    const saved = id => doc.components.find(c => c.id === id) || {};
+
+    setSwitch(!!saved('switch').closed);
+    if (typeof saved('rheostat').wiper === 'number') setRheostatWiper(rheostat, saved('rheostat').wiper);
+    if (RESISTOR_OPTIONS.some(o => o.resistance === saved('resistor').resistance)) {
+        setResistance(resistor, saved('resistor').resistance);
+        resistorSelect.value = String(saved('resistor').resistance);
+    }
+
+    doc.wires.forEach(w => {
+        const from = connectionPoints.find(p => wireEndKey(p.userData) === w.from);
+        const to = connectionPoints.find(p => wireEndKey(p.userData) === w.to);
+        if (!from || !to || from === to || isPointOccupied(from.userData) || isPointOccupied(to.userData)) return;
+        addWire(from, to);
+    });
+
+    Object.entries(meters).forEach(([id, meter]) => {
+        const entry = saved(id);
+        if (entry.mode) meter.setMode(entry.mode);
+        Object.entries(entry.probes || {}).forEach(([color, key]) => {
+            const point = connectionPoints.find(p => wireEndKey(p.userData) === key);
+            if (point && meter.probes[color]) meter.attach(color, point);
+        });
+    });
+    checkCircuit();
+}
+
+const storage = createCircuitStorage({
+    lesson: 'lesson7',
+    serialize: serializeCircuit,
+    restore: restoreCircuit,
+    saveButton: document.getElementById('save-btn'),
+    loadButton: document.getElementById('load-btn'),
+    shareButton: document.getElementById('share-btn')
+});
+if (!storage.restoreAutosave()) checkCircuit();
+storage.restoreShared();
+renderData();
+
+// Animation Loop
+lab.onFrame((time) => {
+    pulseHalos(connectionPoints, time);
+    shortWarning.animate(time);
+    Object.values(meters).forEach(meter => meter.follow());
+});
@@ -0,0 +1,410 @@
+import * as THREE from 'three';
+import {
+    createBattery, createBatteryBox, batteryBoxWires, createSwitch, createBulb, createMotor, createBuzzer
+} from '../shared/components.js';
+import { createLab } from '../shared/lab.js';
+import { solveCircuit } from '../shared/circuit-solver.js';
+import {
+    attachConnectionPoints, updateWireMesh, wireEndKey, isSameEnd, pulseHalos,
+    POINT_COLOR, POINT_HOVER_COLOR, POINT_OCCUPIED_COLOR
+} from '../shared/wiring.js';
+import { createShortCircuitWarning } from '../shared/short-circuit.js';
+import { bulbParameters, setBulbGlow } from '../shared/bulb-glow.js';
+import { setMotorSpin, animateMotor } from '../shared/motor-spin.js';
+import { setBuzzerSound, animateBuzzer } from '../shared/buzzer-sound.js';
+import { createCircuitDocument, createCircuitStorage, placementOf } from '../shared/circuit-file.js';
+
+// --- Scene Setup ---
+const lab = createLab({
+    camera: { position: [0, 12, 14] },
+    controls: { maxPolarAngle: Math.PI / 2.2, minDistance: 5, maxDistance: 30 },
+    floor: { width: 34, depth: 26 }
+});
+const { scene, controls, floor, input } = lab;
+
+const SWITCH_OPEN_ANGLE = Math.PI / 4;
+
+// --- Global State ---
+const connectionPoints = [];
+let wires = []; // { start, end, mesh }
+let isSwitchClosed = false;
+let isReversed = false; // Both cells turned round in the box
+const seen = { light: false, forwards: false, backwards: false, sound: false };
+
+// Pointer State
+let isDrawing = false;
+let currentLine = null;
+let startPoint = null;
+
+// --- Components ---
+
+// 1. Battery box with two cells already in it (3 V)
+const { group: batteryBox, terminals: boxTerminals } = createBatteryBox({ type: 'double' });
+connectionPoints.push(...attachConnectionPoints(batteryBox, boxTerminals, 'batteryBox', {
+    pos: { text: '+', color: '#ff0000' },
+    neg: { text: '-', color: '#000000' }
+}));
+batteryBox.position.set(-9, 0, -1);
+scene.add(batteryBox);
+
+const cells = batteryBox.userData.slots.map(slot => {
+    const { group } = createBattery({ pose: 'lying', name: 'cell' + slot.id });
+    group.position.copy(slot.pos);
+    slot.occupied = true;
+    batteryBox.add(group);
+    return group;
+});
+
+// 2. Switch
+const { group: switchObj, terminals: switchTerminals } = createSwitch({ mount: 'posts', openAngle: SWITCH_OPEN_ANGLE });
+connectionPoints.push(...attachConnectionPoints(switchObj, switchTerminals, 'switch'));
+switchObj.position.set(-7, 0, 6);
+switchObj.rotation.y = Math.PI / 2;
+scene.add(switchObj);
+const switchLever = switchObj.getObjectByName('lever');
+
+// 3. The three loads side by side
+const { group: bulb, terminals: bulbTerminals } = createBulb({ mount: 'posts' });
+connectionPoints.push(...attachConnectionPoints(bulb, bulbTerminals, 'bulb'));
+bulb.position.set(-1, 0, -4);
+scene.add(bulb);
+
+const { group: motor, terminals: motorTerminals } = createMotor({ mount: 'posts' });
+connectionPoints.push(...attachConnectionPoints(motor, motorTerminals, 'motor'));
+motor.position.set(4.5, 0, -4);
+scene.add(motor);
+
+const { group: buzzer, terminals: buzzerTerminals } = createBuzzer({ mount: 'posts' });
+connectionPoints.push(...attachConnectionPoints(buzzer, buzzerTerminals, 'buzzer'));
+buzzer.position.set(10, 0, -4);
+scene.add(buzzer);
+
+// --- Interaction ---
+const raycaster = new THREE.Raycaster();
+
+function getIntersects(event, objects, recursive = false) {
+    input.aim(raycaster, event);
+    return raycaster.intersectObjects(objects, recursive);
+}
+
+function isPointOccupied(userData) {
+    return wires.some(w => isSameEnd(w.start, userData) || isSameEnd(w.end, userData));
+}
+
+function isOnLever(event) {
+    return getIntersects(event, [switchObj], true).some(hit => {
+        let obj = hit.object;
+        while (obj && obj !== switchObj) {
+            if (obj === switchLever) return true;
+            obj = obj.parent;
+        }
+        return false;
+    });
+}
+
+input.onDown((e) => {
+    const point = getIntersects(e, connectionPoints)[0];
+    if (point && !isPointOccupied(point.object.userData)) startWire(point.object);
+});
+
+input.onTap((e) => {
+    if (getIntersects(e, connectionPoints).length > 0) return;
+    if (isOnLever(e)) toggleSwitch();
+});
+
+input.onMove((e) => {
+    if (isDrawing) {
+        drawWire(e);
+        return;
+    }
+    updateHover(e);
+});
+
+input.onUp((e) => {
+    if (isDrawing) finishWire(e);
+});
+
+// A second finger came down to zoom or turn the view: give up the wire
+input.onCancel(() => {
+    if (!isDrawing) return;
+    isDrawing = false;
+    discardWire();
+});
+
+function updateHover(e) {
+    connectionPoints.forEach(p => p.material.color.set(POINT_COLOR));
+    document.body.style.cursor = 'default';
+    controls.enabled = true;
+
+    const point = getIntersects(e, connectionPoints)[0];
+    if (point) {
+        if (!isPointOccupied(point.object.userData)) {
+            point.object.material.color.set(POINT_HOVER_COLOR);
+            document.body.style.cursor = 'crosshair';
+            controls.enabled = false;
+        } else {
+            point.object.material.color.set(POINT_OCCUPIED_COLOR);
+            document.body.style.cursor = 'not-allowed';
+        }
+        return;
+    }
+    if (isOnLever(e)) document.body.style.cursor = 'pointer';
+}
+
+// --- Wires ---
+
+function startWire(point) {
+    isDrawing = true;
+    startPoint = point;
+    controls.enabled = false;
+
+    const startPos = startPoint.getWorldPosition(new THREE.Vector3());
+    const bendFactor = (wires.length % 2 === 0) ? 1 : -1;
+    currentLine = updateWireMesh(null, startPos, startPos, bendFactor);
+    currentLine.userData.bendFactor = bendFactor;
+    scene.add(currentLine);
+}
+
+function drawWire(e) {
+    const targetPos = new THREE.Vector3();
+    const hit = getIntersects(e, connectionPoints)[0];
+    const point = hit ? hit.object : null;
+
+    connectionPoints.forEach(p => {
+        if (p !== startPoint) p.material.color.set(POINT_COLOR);
+    });
+    if (point && point !== startPoint && !isPointOccupied(point.userData)) {
+        // Snap to a free connection point
+        point.getWorldPosition(targetPos);
+        point.material.color.set(POINT_HOVER_COLOR);
+    } else {
+        const floorHit = raycaster.intersectObject(floor)[0];
+        if (floorHit) targetPos.copy(floorHit.point);
+        else raycaster.ray.at(5, targetPos);
+    }
+
+    const startPos = startPoint.getWorldPosition(new THREE.Vector3());
+    updateWireMesh(currentLine, startPos, targetPos, currentLine.userData.bendFactor);
+}
+
+function finishWire(e) {
+    isDrawing = false;
+    controls.enabled = true;
+
+    const hit = getIntersects(e, connectionPoints)[0];
+    let endPoint = hit ? hit.object : null;
+    if (endPoint && isPointOccupied(endPoint.userData)) endPoint = null;
+
+    if (endPoint && endPoint !== startPoint) {
+        addWire(startPoint, endPoint, currentLine);
+        checkCircuit();
+        currentLine = null;
+    }
+    discardWire();
+}
+
+// Drop the line being drawn, if it never became a wire
+function discardWire() {
+    if (currentLine) {
+        currentLine.geometry.dispose();
+        scene.remove(currentLine);
+    }
+    connectionPoints.forEach(p => p.material.color.set(POINT_COLOR));
+    currentLine = null;
+    startPoint = null;
+}
+
+// mesh: the line drawn so far, or null to lay a new one
+function addWire(from, to, mesh = null) {
+    const bendFactor = mesh ? mesh.userData.bendFactor : (wires.length % 2 === 0) ? 1 : -1;
+    const startPos = from.getWorldPosition(new THREE.Vector3());
+    const endPos = to.getWorldPosition(new THREE.Vector3());
+    mesh = updateWireMesh(mesh, startPos, endPos, bendFactor);
+    mesh.userData.bendFactor = bendFactor;
+    if (!mesh.parent) scene.add(mesh);
+    wires.push({ start: from.userData, end: to.userData, mesh });
+}
+
+// Double click (or long press) to remove wire
+input.onDelete((e) => {
+    const hit = getIntersects(e, wires.map(w => w.mesh))[0];
+    if (!hit) return;
+    const wire = wires.find(w => w.mesh === hit.object);
+    scene.remove(wire.mesh);
+    wire.mesh.geometry.dispose();
+    wires = wires.filter(w => w !== wire);
+    checkCircuit();
+});
+
+// --- Switch and Cells ---
+
+function setSwitch(closed) {
+    isSwitchClosed = closed;
+    switchLever.rotation.x = closed ? 0 : SWITCH_OPEN_ANGLE;
+}
+
+function toggleSwitch() {
+    isSwitchClosed = !isSwitchClosed;
+    const targetRot = isSwitchClosed ? 0 : SWITCH_OPEN_ANGLE;
+    const startRot = switchLever.rotation.x;
+    const duration = 200;
+    const startTime = Date.now();
+
+    function animateSwitch() {
+        const progress = Math.min((Date.now() - startTime) / duration, 1);
+        switchLever.rotation.x = startRot + (targetRot - startRot) * progress;
+
+        if (progress < 1) {
+            requestAnimationFrame(animateSwitch);
+        } else {
+            checkCircuit();
+        }
+    }
+    animateSwitch();
+}
+
+// Both cells the right way round, or both turned over so the box drives current backwards
+function setReversed(reversed) {
+    isReversed = reversed;
+    batteryBox.userData.slots.forEach((slot, i) => {
+        cells[i].rotation.y = (slot.expectedDir.x > 0) !== reversed ? 0 : Math.PI;
+    });
+}
+
+document.getElementById('flip-btn').addEventListener('click', () => {
+    setReversed(!isReversed);
+    checkCircuit();
+});
+
+// --- Circuit Logic ---
+const shortWarning = createShortCircuitWarning(scene);
+
+function buildNetlist() {
+    return {
+        components: [
+            ...cells.map(cell => ({ id: cell.name, type: 'battery' })),
+            { id: 'switch', type: 'switch', closed: isSwitchClosed },
+            { id: 'bulb', type: 'bulb', ...bulbParameters(bulb) },
+            { id: 'motor', type: 'motor' },
+            { id: 'buzzer', type: 'buzzer' }
+        ],
+        // Student wires first so result.wires lines up with the wire meshes
+        wires: [
+            ...wires.map(w => ({ from: wireEndKey(w.start), to: wireEndKey(w.end) })),
+            ...batteryBoxWires(batteryBox, 'batteryBox', slot => ({ id: 'cell' + slot.id, reversed: isReversed }))
+        ]
+    };
+}
+
+function setState(id, text, active) {
+    const cell = document.getElementById(id);
+    cell.textContent = text;
+    cell.classList.toggle('active', active);
+}
+
+function checkCircuit() {
+    const result = solveCircuit(buildNetlist());
+
+    shortWarning.update(result, {
+        wireMeshes: wires.map(w => w.mesh),
+        batteries: Object.fromEntries(cells.map(cell => [cell.name, cell]))
+    });
+
+    const lit = setBulbGlow(bulb, result.components.bulb) > 0;
+    const spin = setMotorSpin(motor, result.components.motor);
+    const sounding = setBuzzerSound(buzzer, result.components.buzzer) > 0;
+
+    setState('bulb-state', lit ? '发光发热' : '不亮', lit);
+    setState('motor-state', spin > 0 ? '正转' : spin < 0 ? '反转' : '不转', spin !== 0);
+    setState('buzzer-state', sounding ? '在响' : '不响', sounding);
+
+    if (lit) seen.light = true;
+    if (spin > 0) seen.forwards = true;
+    if (spin < 0) seen.backwards = true;
+    if (sounding) seen.sound = true;
+    updateMessage();
+    storage.changed();
+}
+
+// Praise once every load has worked; nudge towards turning the cells round
+function updateMessage() {
+    const msg = document.getElementById('success-msg');
+    if (!seen.light || !(seen.forwards || seen.backwards) || !seen.sound) {
+        msg.style.display = 'none';
+        return;
+    }
+    let text = '🎉 用电器把电能转化成了别的形式的能：灯泡发光发热，电动机转动，蜂鸣器发声。';
+    if (seen.forwards && seen.backwards) {
+        text += '<br>电池掉头后电流方向反了，电动机也跟着反转，而灯泡照样亮、蜂鸣器照样响。';
+    } else {
+        text += '<br>再点“🔄 电池掉头”，看看电动机会怎样。';
+    }
+    msg.innerHTML = text;
+    msg.style.display = 'block';
+}
+
+function resetCircuit() {
+    wires.forEach(w => {
+        scene.remove(w.mesh);
+        w.mesh.geometry.dispose();
+    });
+    wires = [];
+    setSwitch(false);
+    setReversed(false);
+    checkCircuit();
+}
+
+document.getElementById('reset-btn').addEventListener('click', resetCircuit);
+
+// --- Save / Load ---
+function serializeCircuit() {
+    return createCircuitDocument('lesson8', [
+        {
+            id: 'batteryBox',
+            type: 'batteryBox',
+            ...placementOf(batteryBox),
+            slots: batteryBox.userData.slots.map((slot, i) => ({ id: slot.id, battery: cells[i].name, reversed: isReversed }))
+        },
+        { id: 'switch', type: 'switch', ...placementOf(switchObj), closed: isSwitchClosed },
+        { id: 'bulb', type: 'bulb', ...placementOf(bulb) },
+        { id: 'motor', type: 'motor', ...placementOf(motor) },
+        { id: 'buzzer', type: 'buzzer', ...placementOf(buzzer) }
+    ], wires.map(w => ({ from: wireEndKey(w.start), to: wireEndKey(w.end) })));
+}
+
+// The components stay where the lesson puts them; the switch, the cells and the wires come back
+function restoreCircuit(doc) {
+    resetCircuit();
+    const saved = id => doc.components.find(c => c.id === id) || {};
+
+    setSwitch(!!saved('switch').closed);
+    setReversed((saved('batteryBox').slots || []).some(slot => slot.reversed));
+
+    doc.wires.forEach(w => {
+        const from = connectionPoints.find(p => wireEndKey(p.userData) === w.from);
+        const to = connectionPoints.find(p => wireEndKey(p.userData) === w.to);
+        if (!from || !to || from === to || isPointOccupied(from.userData) || isPointOccupied(to.userData)) return;
+        addWire(from, to);
+    });
+    checkCircuit();
+}
+
+const storage = createCircuitStorage({
+    lesson: 'lesson8',
+    serialize: serializeCircuit,
+    restore: restoreCircuit,
+    saveButton: document.getElementById('save-btn'),
+    loadButton: document.getElementById('load-btn'),
+    shareButton: document.getElementById('share-btn')
+});
+setReversed(false);
+if (!storage.restoreAutosave()) checkCircuit();
+storage.restoreShared();
+
+// Animation Loop
+lab.onFrame((time, delta) => {
+    pulseHalos(connectionPoints, time);
+    shortWarning.animate(time);
+    animateMotor(motor, delta);
+    animateBuzzer(buzzer, time);
+});
@@ -0,0 +1,399 @@
+import * as THREE from 'three';
+import {
+    createBattery, createBatteryBox, batteryBoxWires, createSwitch, createBulb,
+    createTestGap, createSample, MATERIAL_SAMPLES, isConductor
+} from '../shared/components.js';
+import { createLab } from '../shared/lab.js';
+import { solveCircuit } from '../shared/circuit-solver.js';
+import { updateWireMesh } from '../shared/wiring.js';
+import { bulbParameters, setBulbGlow } from '../shared/bulb-glow.js';
+import { createCircuitDocument, createCircuitStorage, placementOf, applyPlacement } from '../shared/circuit-file.js';
+
+// --- Scene Setup ---
+const lab = createLab({
+    camera: { position: [0, 12, 14] },
+    controls: { maxPolarAngle: Math.PI / 2.2, minDistance: 5, maxDistance: 30 },
+    floor: { width: 34, depth: 26 }
+});
+const { scene, controls, input } = lab;
+
+const SWITCH_OPEN_ANGLE = Math.PI / 4;
+const SEAT_SNAP = 1.5; // A sample dropped this close to the gap lies across it
+const DIM_RATIO = 0.5; // Below half the rated power the bulb only glows dimly
+
+// --- Global State ---
+let isSwitchClosed = false;
+let sampleInGap = null;
+const observations = {}; // material -> { lit, ratio }, filled in as samples get tested
+
+// Drag State
+let isDragging = false;
+let dragObject = null;
+const dragPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const dragOffset = new THREE.Vector3();
+
+// --- Components ---
+
+// 1. Battery box with two cells already in it (3 V)
+const { group: batteryBox } = createBatteryBox({ type: 'double' });
+batteryBox.position.set(-8, 0, -2);
+scene.add(batteryBox);
+
+const cells = batteryBox.userData.slots.map(slot => {
+    const { group } = createBattery({ pose: 'lying', name: 'cell' + slot.id });
+    group.position.copy(slot.pos);
+    group.rotation.y = slot.expectedDir.x > 0 ? 0 : Math.PI;
+    slot.occupied = true;
+    batteryBox.add(group);
+    return group;
+});
+
+// 2. Switch
+const { group: switchObj } = createSwitch({ mount: 'posts', openAngle: SWITCH_OPEN_ANGLE });
+switchObj.position.set(0, 0, 2);
+switchObj.rotation.y = Math.PI / 2;
+scene.add(switchObj);
+const switchLever = switchObj.getObjectByName('lever');
+
+// 3. Bulb
+const { group: bulb } = createBulb({ mount: 'posts' });
+bulb.position.set(7, 0, -2);
+scene.add(bulb);
+
+// 4. Test gap at the back, where the samples go
+const { group: gap } = createTestGap();
+gap.position.set(0, 0, -5);
+scene.add(gap);
+
+// 5. Samples in a row at the front
+const samples = Object.keys(MATERIAL_SAMPLES).map((material, i, all) => {
+    const { group } = createSample(material);
+    group.userData.home = new THREE.Vector3((i - (all.length - 1) / 2) * 3, 0, 6);
+    group.position.copy(group.userData.home);
+    scene.add(group);
+    return group;
+});
+
+// Fixed wires: box(+) -> switch -> bulb -> gap -> box(-)
+const netWires = [
+    { from: 'batteryBox.pos', to: 'switch.front', parts: [batteryBox, switchObj], bend: 1 },
+    { from: 'switch.rear', to: 'bulb.2', parts: [switchObj, bulb], bend: 1 },
+    { from: 'bulb.1', to: 'gap.1', parts: [bulb, gap], bend: -1 },
+    { from: 'gap.2', to: 'batteryBox.neg', parts: [gap, batteryBox], bend: -1 }
+];
+
+scene.updateMatrixWorld();
+netWires.forEach(({ from, to, parts, bend }) => {
+    const [start, end] = [from, to].map((key, i) => {
+        const terminal = parts[i].userData.terminals[key.split('.')[1]];
+        return parts[i].localToWorld(terminal.position.clone());
+    });
+    scene.add(updateWireMesh(null, start, end, bend));
+});
+
+// --- Interaction ---
+const raycaster = new THREE.Raycaster();
+
+function setRay(event) {
+    input.aim(raycaster, event);
+}
+
+function pickSample(event) {
+    setRay(event);
+    const hit = raycaster.intersectObjects(samples, true)[0];
+    if (!hit) return null;
+    let obj = hit.object;
+    while (obj && !obj.userData.material) obj = obj.parent;
+    return obj;
+}
+
+function isOnLever(event) {
+    setRay(event);
+    return raycaster.intersectObject(switchObj, true).some(hit => {
+        let obj = hit.object;
+        while (obj && obj !== switchObj) {
+            if (obj === switchLever) return true;
+            obj = obj.parent;
+        }
+        return false;
+    });
+}
+
+input.onDown((e) => {
+    const sample = pickSample(e);
+    if (sample) {
+        isDragging = true;
+        dragObject = sample;
+        controls.enabled = false;
+        document.body.style.cursor = 'grabbing';
+
+        raycaster.ray.intersectPlane(dragPlane, dragOffset);
+        dragOffset.sub(sample.position);
+        dragOffset.y = 0;
+        sample.position.y = 1.5;
+    }
+});
+
+input.onTap((e) => {
+    if (!pickSample(e) && isOnLever(e)) toggleSwitch();
+});
+
+input.onMove((e) => {
+    if (!isDragging) {
+        document.body.style.cursor = pickSample(e) ? 'grab' : isOnLever(e) ? 'pointer' : 'default';
+        return;
+    }
+
+    setRay(e);
+    const intersectPoint = new THREE.Vector3();
+    if (!raycaster.ray.intersectPlane(dragPlane, intersectPoint)) return;
+    dragObject.position.copy(intersectPoint.sub(dragOffset));
+    dragObject.position.y = 1.5;
+});
+
+// Released, or a second finger came down to zoom or turn the view: put the sample down
+function dropSample() {
+    if (!isDragging) return;
+    isDragging = false;
+    controls.enabled = true;
+    document.body.style.cursor = 'default';
+    checkDrop(dragObject);
+    dragObject = null;
+    checkCircuit();
+}
+
+input.onUp(dropSample);
+input.onCancel(dropSample);
+
+// Lay a sample across the gap, or put it down on the bench where it was let go
+function checkDrop(sample) {
+    const seat = gap.localToWorld(gap.userData.seat.clone());
+    const dropped = sample.position.clone().setY(seat.y);
+
+    if (dropped.distanceTo(seat) < SEAT_SNAP) {
+        seatSample(sample);
+        return;
+    }
+    if (sampleInGap === sample) sampleInGap = null;
+    sample.position.y = 0;
+}
+
+// Whatever was on the gap goes back to its place in the row
+function seatSample(sample) {
+    if (sampleInGap && sampleInGap !== sample) sendHome(sampleInGap);
+    sample.position.copy(gap.localToWorld(gap.userData.seat.clone()));
+    sample.rotation.y = gap.rotation.y;
+    sampleInGap = sample;
+}
+
+function sendHome(sample) {
+    sample.position.copy(sample.userData.home);
+    sample.rotation.y = 0;
+    if (sampleInGap === sample) sampleInGap = null;
+}
+
+function setSwitch(closed) {
+    isSwitchClosed = closed;
+    switchLever.rotation.x = closed ? 0 : SWITCH_OPEN_ANGLE;
+}
+
+function toggleSwitch() {
+    isSwitchClosed = !isSwitchClosed;
+    const targetRot = isSwitchClosed ? 0 : SWITCH_OPEN_ANGLE;
+    const startRot = switchLever.rotation.x;
+    const duration = 200;
+    const startTime = Date.now();
+
+    function animateSwitch() {
+        const progress = Math.min((Date.now() - startTime) / duration, 1);
+        switchLever.rotation.x = startRot + (targetRot - startRot) * progress;
+
+        if (progress < 1) {
+            requestAnimationFrame(animateSwitch);
+        } else {
+            checkCircuit();
+        }
+    }
+    animateSwitch();
+}
+
+// --- Circuit Logic ---
+
+function buildNetlist() {
+    return {
+        components: [
+            ...cells.map(cell => ({ id: cell.name, type: 'battery' })),
+            { id: 'switch', type: 'switch', closed: isSwitchClosed },
+            { id: 'bulb', type: 'bulb', ...bulbParameters(bulb) },
+            { id: 'gap', type: 'gap', resistance: sampleInGap ? sampleInGap.userData.resistance : Infinity }
+        ],
+        wires: [
+            ...netWires.map(({ from, to }) => ({ from, to })),
+            ...batteryBoxWires(batteryBox, 'batteryBox', slot => ({ id: 'cell' + slot.id, reversed: false }))
+        ]
+    };
+}
+
+function checkCircuit() {
+    const result = solveCircuit(buildNetlist());
+    const ratio = setBulbGlow(bulb, result.components.bulb);
+
+    // A test only counts with the switch closed and something on the gap
+    if (isSwitchClosed && sampleInGap) {
+        observations[sampleInGap.userData.material] = { lit: ratio > 0, ratio };
+    }
+    updateGapReading(ratio);
+    storage.changed();
+}
+
+function updateGapReading(ratio) {
+    const reading = document.getElementById('gap-reading');
+    if (!sampleInGap) {
+        reading.textContent = '检测器上还没有东西。';
+        return;
+    }
+    const { label } = MATERIAL_SAMPLES[sampleInGap.userData.material];
+    if (!isSwitchClosed) {
+        reading.textContent = `检测器上放的是${label}，闭合开关看看灯泡亮不亮。`;
+    } else if (ratio <= 0) {
+        reading.textContent = `${label}：灯泡不亮。`;
+    } else if (ratio < DIM_RATIO) {
+        reading.textContent = `${label}：灯泡亮了，但是比较暗。`;
+    } else {
+        reading.textContent = `${label}：灯泡亮了！`;
+    }
+}
+
+// --- Results Table ---
+// The student fills in what the bulb did and what that makes the material;
+// checking compares the entries with what the tests really showed.
+const BULB_CHOICES = ['', '亮', '不亮'];
+const KIND_CHOICES = ['', '导体', '绝缘体'];
+
+function createChoice(options) {
+    const select = document.createElement('select');
+    options.forEach(text => {
+        const option = document.createElement('option');
+        option.value = text;
+        option.textContent = text || '—';
+        select.appendChild(option);
+    });
+    return select;
+}
+
+const resultRows = Object.entries(MATERIAL_SAMPLES).map(([material, { label }]) => {
+    const row = document.createElement('tr');
+    const name = document.createElement('td');
+    name.textContent = label;
+    row.appendChild(name);
+
+    const [bulbCell, kindCell] = [createChoice(BULB_CHOICES), createChoice(KIND_CHOICES)].map(select => {
+        const cell = document.createElement('td');
+        cell.appendChild(select);
+        select.addEventListener('change', () => cell.classList.remove('right', 'wrong'));
+        row.appendChild(cell);
+        return cell;
+    });
+    document.querySelector('#results-table tbody').appendChild(row);
+    return { material, label, bulbCell, kindCell };
+});
+
+function markCell(cell, expected) {
+    const right = cell.querySelector('select').value === expected;
+    cell.classList.toggle('right', right);
+    cell.classList.toggle('wrong', !right);
+    return right;
+}
+
+function checkResults() {
+    const note = document.getElementById('results-note');
+    const untested = resultRows.filter(r => !observations[r.material]).map(r => r.label);
+    let allRight = true;
+
+    resultRows.forEach(({ material, bulbCell, kindCell }) => {
+        const seen = observations[material];
+        if (!seen) {
+            bulbCell.classList.remove('right', 'wrong');
+            kindCell.classList.remove('right', 'wrong');
+            allRight = false;
+            return;
+        }
+        const bulbRight = markCell(bulbCell, seen.lit ? '亮' : '不亮');
+        const kindRight = markCell(kindCell, isConductor(material) ? '导体' : '绝缘体');
+        allRight = allRight && bulbRight && kindRight;
+    });
+
+    if (untested.length) {
+        note.textContent = `还没测过：${untested.join('、')}。把它放到检测器上，闭合开关试一试。`;
+    } else {
+        note.textContent = allRight ? '' : '标红的格子和实验结果不一样，再看看灯泡。';
+    }
+    updateConclusion(allRight);
+}
+
+function updateConclusion(allRight) {
+    const msg = document.getElementById('success-msg');
+    if (!allRight) {
+        msg.style.display = 'none';
+        return;
+    }
+    let text = '🎉 全对！容易导电的物体叫<strong>导体</strong>，比如金属和石墨；不容易导电的物体叫<strong>绝缘体</strong>，比如橡胶、塑料和玻璃。';
+    const graphite = observations.graphite;
+    if (graphite && graphite.ratio < DIM_RATIO) {
+        text += '<br>铅笔芯让灯泡亮得比较暗：它能导电，但电阻比金属大得多。';
+    }
+    msg.innerHTML = text;
+    msg.style.display = 'block';
+}
+
+document.getElementById('check-btn').addEventListener('click', checkResults);
+
+function resetLab() {
+    samples.forEach(sendHome);
+    setSwitch(false);
+    Object.keys(observations).forEach(material => delete observations[material]);
+    resultRows.forEach(({ bulbCell, kindCell }) => [bulbCell, kindCell].forEach(cell => {
+        cell.querySelector('select').value = '';
+        cell.classList.remove('right', 'wrong');
+    }));
+    document.getElementById('results-note').textContent = '';
+    updateConclusion(false);
+    checkCircuit();
+}
+
+document.getElementById('reset-btn').addEventListener('click', resetLab);
+
+// --- Save / Load ---
+function serializeCircuit() {
+    return createCircuitDocument('lesson9', [
+        { id: 'switch', type: 'switch', ...placementOf(switchObj), closed: isSwitchClosed },
+        { id: 'gap', type: 'gap', ...placementOf(gap), sample: sampleInGap ? sampleInGap.name : null },
+        ...samples.map(s => ({ id: s.name, type: 'sample', ...placementOf(s), material: s.userData.material }))
+    ], netWires.map(({ from, to }) => ({ from, to })));
+}
+
+// The circuit is fixed by the lesson; the switch and where the samples lie come back
+function restoreCircuit(doc) {
+    samples.forEach(sendHome);
+    const saved = id => doc.components.find(c => c.id === id) || {};
+
+    setSwitch(!!saved('switch').closed);
+    samples.forEach(sample => {
+        const entry = saved(sample.name);
+        if (Array.isArray(entry.position)) applyPlacement(sample, entry);
+    });
+    const seated = samples.find(s => s.name === saved('gap').sample);
+    if (seated) seatSample(seated);
+    checkCircuit();
+}
+
+const storage = createCircuitStorage({
+    lesson: 'lesson9',
+    serialize: serializeCircuit,
+    restore: restoreCircuit,
+    saveButton: document.getElementById('save-btn'),
+    loadButton: document.getElementById('load-btn'),
+    shareButton: document.getElementById('share-btn')
+});
+if (!storage.restoreAutosave()) checkCircuit();
+storage.restoreShared();
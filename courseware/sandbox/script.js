@@ -0,0 +1,996 @@
+import * as THREE from 'three';
+import {
+    createBattery, createBatteryBox, batteryBoxWires, createBulb, createLed, createResistor, createSwitch,
+    createMotor, createBuzzer
+} from '../shared/components.js';
+import { createLab } from '../shared/lab.js';
+import { bulbParameters, setBulbGlow, ledParameters, setLedGlow, solveWithBurnout, isBurntOut } from '../shared/bulb-glow.js';
+import {
+    attachConnectionPoints, updateWireMesh, wireEndKey, isSameEnd, pulseHalos,
+    POINT_COLOR, POINT_HOVER_COLOR, POINT_OCCUPIED_COLOR
+} from '../shared/wiring.js';
+import { createShortCircuitWarning } from '../shared/short-circuit.js';
+import { createCircuitDocument, createCircuitStorage, placementOf, applyPlacement } from '../shared/circuit-file.js';
+import { SYMBOL_TERMINALS } from '../shared/schematic.js';
+import { createSchematicEditor } from '../shared/schematic-editor.js';
+import { createMultimeter, meterWires, pickProbe, findProbeTarget } from '../shared/multimeter.js';
+import { setMotorSpin, animateMotor } from '../shared/motor-spin.js';
+import { setBuzzerSound, animateBuzzer, releaseBuzzer } from '../shared/buzzer-sound.js';
+
+// --- Scene Setup ---
+const BENCH_WIDTH = 40;
+const BENCH_DEPTH = 30;
+
+const lab = createLab({
+    camera: { position: [0, 16, 18] },
+    controls: { maxPolarAngle: Math.PI / 2.2, minDistance: 5, maxDistance: 45 },
+    floor: { width: BENCH_WIDTH, depth: BENCH_DEPTH }
+});
+const { scene, controls, floor, input } = lab;
+
+// --- Part Types ---
+// What the toolbox can place: the model factory and the height the part rests at
+const PART_TYPES = {
+    battery: {
+        prefix: 'battery',
+        restY: 0.5,
+        create: name => createBattery({ pose: 'lying', name })
+    },
+    batteryBox: {
+        prefix: 'box',
+        restY: 0,
+        create: (name, { slotCount = 2, arrangement = 'series', groupSize = 2 } = {}) =>
+            createBatteryBox({ slotCount, arrangement, groupSize, name })
+    },
+    bulb: {
+        prefix: 'bulb',
+        restY: 0,
+        create: name => createBulb({ mount: 'posts', name })
+    },
+    led: {
+        prefix: 'led',
+        restY: 0,
+        create: (name, { color = 'red' } = {}) => createLed({ color, mount: 'posts', name })
+    },
+    motor: {
+        prefix: 'motor',
+        restY: 0,
+        create: name => createMotor({ mount: 'posts', name })
+    },
+    buzzer: {
+        prefix: 'buzzer',
+        restY: 0,
+        create: name => createBuzzer({ mount: 'posts', name })
+    },
+    resistor: {
+        prefix: 'resistor',
+        restY: 0,
+        create: (name, { resistance = 100 } = {}) => createResistor({ resistance, name })
+    },
+    switch: {
+        prefix: 'switch',
+        restY: 0,
+        create: name => createSwitch({ mount: 'posts', openAngle: Math.PI / 3, name })
+    },
+    multimeter: {
+        prefix: 'meter',
+        restY: 0,
+        create: name => {
+            const meter = createMultimeter({ name });
+            return { group: meter.group, terminals: {}, meter };
+        }
+    }
+};
+
+const DRAG_LIFT = 1.0; // Parts float a little while being carried
+
+// --- Global State ---
+const parts = []; // { id, type, group, points, closed (switch), box/slot (battery), meter (multimeter) }
+let wires = []; // { start, end, startPoint, endPoint, mesh }
+let nextPartNumber = 1;
+let wireMode = false;
+let selectedPart = null;
+
+// Pointer State
+let pressed = null; // { part, object } under the pointer when pressed, until it is dragged or tapped
+let dragPart = null;
+let dragFromToolbox = null; // toolbox element the part was pulled from
+let dragProbe = null; // { meter, color } while a multimeter probe is carried
+const dragPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const dragOffset = new THREE.Vector3();
+
+// Wire Drawing State
+let isDrawing = false;
+let currentLine = null;
+let startPoint = null;
+
+const selectionBox = new THREE.BoxHelper(undefined, 0x3498db);
+selectionBox.visible = false;
+scene.add(selectionBox);
+
+// --- Parts ---
+
+// id is only given when restoring a saved bench
+// options go to the factory, e.g. a battery box's { slotCount, arrangement }
+function addPart(type, position, id = null, options = {}) {
+    const def = PART_TYPES[type];
+    if (!id) id = def.prefix + nextPartNumber++;
+    const { group, terminals, meter } = def.create(id, options);
+    group.userData.partId = id;
+    group.position.set(position.x, def.restY, position.z);
+    scene.add(group);
+
+    const part = { id, type, group, points: attachConnectionPoints(group, terminals, id) };
+    if (type === 'switch') part.closed = false;
+    if (meter) {
+        part.meter = meter;
+        scene.add(meter.cables);
+        meter.follow();
+    }
+    if (type === 'battery') {
+        part.box = null;
+        part.slot = null;
+    }
+    parts.push(part);
+    updatePointVisibility();
+    return part;
+}
+
+function deletePart(part) {
+    if (part.type === 'batteryBox') {
+        // Cells sitting in the box go with it
+        parts.filter(p => p.box === part).forEach(deletePart);
+    }
+    if (part.slot) unseatBattery(part);
+    removeWiresOf(part);
+    metersOf().forEach(meter => meter.detachFrom(part.points));
+    if (part.meter) scene.remove(part.meter.cables);
+    if (part.type === 'buzzer') releaseBuzzer(part.group);
+
+    part.group.parent.remove(part.group);
+    parts.splice(parts.indexOf(part), 1);
+    if (selectedPart === part) selectPart(null);
+}
+
+function findPart(object) {
+    while (object) {
+        const found = parts.find(p => p.group === object);
+        if (found) return found;
+        object = object.parent;
+    }
+    return null;
+}
+
+// Is the object part of the named child, e.g. a switch's 'lever' or a meter's 'dial'?
+function isInNamed(object, name) {
+    while (object) {
+        if (object.name === name) return true;
+        object = object.parent;
+    }
+    return false;
+}
+
+// Keep a part on the bench
+function clampToBench(v) {
+    v.x = THREE.MathUtils.clamp(v.x, -BENCH_WIDTH / 2 + 2, BENCH_WIDTH / 2 - 2);
+    v.z = THREE.MathUtils.clamp(v.z, -BENCH_DEPTH / 2 + 2, BENCH_DEPTH / 2 - 2);
+    return v;
+}
+
+// First spot in a grid around the centre that no other part is close to
+function findFreeSpot() {
+    for (let ring = 0; ring < 6; ring++) {
+        for (let x = -ring; x <= ring; x++) {
+            for (let z = -ring; z <= ring; z++) {
+                if (Math.max(Math.abs(x), Math.abs(z)) !== ring) continue;
+                const spot = new THREE.Vector3(x * 4, 0, z * 4);
+                const taken = parts.some(p => p.group.getWorldPosition(new THREE.Vector3()).setY(0).distanceTo(spot) < 3);
+                if (!taken) return clampToBench(spot);
+            }
+        }
+    }
+    return new THREE.Vector3();
+}
+
+function selectPart(part) {
+    selectedPart = part;
+    selectionBox.visible = !!part;
+    if (part) selectionBox.setFromObject(part.group);
+    document.getElementById('selection-tools').classList.toggle('hidden', !part);
+}
+
+function rotatePart(part) {
+    // A cell in a box can only be flipped end to end
+    part.group.rotation.y += part.slot ? Math.PI : Math.PI / 2;
+    updateWiresOf(part);
+    checkCircuit();
+}
+
+// --- Battery Box Slots ---
+
+function seatBattery(part) {
+    const battPos = part.group.getWorldPosition(new THREE.Vector3());
+    const battDir = new THREE.Vector3(1, 0, 0).applyQuaternion(part.group.getWorldQuaternion(new THREE.Quaternion()));
+
+    for (const box of parts.filter(p => p.type === 'batteryBox')) {
+        for (const slot of box.group.userData.slots) {
+            const slotWorldPos = box.group.localToWorld(slot.pos.clone());
+            battPos.y = slotWorldPos.y;
+            if (slot.occupied || battPos.distanceTo(slotWorldPos) > 1.2) continue;
+
+            // Square the cell up with the slot, keeping the end it was pointing
+            const boxRight = new THREE.Vector3(1, 0, 0).applyQuaternion(box.group.getWorldQuaternion(new THREE.Quaternion()));
+            placeInSlot(part, box, slot, battDir.dot(boxRight) >= 0 ? 0 : Math.PI);
+            return true;
+        }
+    }
+    return false;
+}
+
+// rotation is relative to the box: 0 puts the cell's (+) towards the box's +X
+function placeInSlot(part, box, slot, rotation) {
+    // The cell's own terminals end up inside the box, so its wires and probes come off
+    removeWiresOf(part);
+    metersOf().forEach(meter => meter.detachFrom(part.points));
+
+    box.group.add(part.group);
+    part.group.position.copy(slot.pos);
+    part.group.rotation.set(0, rotation, 0);
+
+    slot.occupied = true;
+    part.box = box;
+    part.slot = slot;
+    updatePointVisibility();
+}
+
+function unseatBattery(part) {
+    scene.attach(part.group);
+    part.slot.occupied = false;
+    part.box = null;
+    part.slot = null;
+    updatePointVisibility();
+}
+
+function isCellOriented(part) {
+    const dir = new THREE.Vector3(1, 0, 0).applyEuler(part.group.rotation);
+    return dir.dot(part.slot.expectedDir) > 0.8;
+}
+
+// --- Wires ---
+
+// Connection points only show (and take clicks) in wire mode or while a probe
+// is carried; cells in a box have none
+function updatePointVisibility() {
+    const shown = wireMode || !!dragProbe;
+    parts.forEach(part => {
+        part.points.forEach(p => {
+            p.parent.visible = shown && !part.slot;
+        });
+    });
+}
+
+function activePoints() {
+    if (!wireMode && !dragProbe) return [];
+    return parts.filter(p => !p.slot).flatMap(p => p.points);
+}
+
+function isPointOccupied(userData) {
+    return wires.some(w => isSameEnd(w.start, userData) || isSameEnd(w.end, userData));
+}
+
+function wiresOf(part) {
+    return wires.filter(w => w.start.parent === part.id || w.end.parent === part.id);
+}
+
+function updateWiresOf(part) {
+    wiresOf(part).forEach(w => {
+        const startPos = w.startPoint.getWorldPosition(new THREE.Vector3());
+        const endPos = w.endPoint.getWorldPosition(new THREE.Vector3());
+        updateWireMesh(w.mesh, startPos, endPos, w.mesh.userData.bendFactor);
+    });
+}
+
+function removeWire(wire) {
+    scene.remove(wire.mesh);
+    wire.mesh.geometry.dispose();
+    wires = wires.filter(w => w !== wire);
+}
+
+function removeWiresOf(part) {
+    wiresOf(part).forEach(removeWire);
+}
+
+function setWireMode(on) {
+    wireMode = on;
+    document.getElementById('wire-tool').classList.toggle('active', on);
+    if (on) selectPart(null);
+    updatePointVisibility();
+}
+
+// --- Multimeter Probes ---
+
+function metersOf() {
+    return parts.filter(p => p.meter).map(p => p.meter);
+}
+
+function probeAt(event) {
+    setRay(event);
+    return pickProbe(raycaster, metersOf());
+}
+
+function probeTarget(event) {
+    setRay(event);
+    return findProbeTarget(raycaster, activePoints());
+}
+
+function beginProbeDrag(probe) {
+    dragProbe = probe;
+    controls.enabled = false;
+    document.body.style.cursor = 'grabbing';
+    updatePointVisibility();
+}
+
+function moveProbe(event) {
+    const target = probeTarget(event);
+    activePoints().forEach(p => p.material.color.set(p === target ? POINT_HOVER_COLOR : POINT_COLOR));
+
+    const position = new THREE.Vector3();
+    if (target) {
+        target.getWorldPosition(position);
+    } else if (raycaster.ray.intersectPlane(dragPlane, position)) {
+        clampToBench(position).setY(DRAG_LIFT);
+    } else {
+        return;
+    }
+    dragProbe.meter.hold(dragProbe.color, position);
+}
+
+function endProbeDrag(event) {
+    const { meter, color } = dragProbe;
+    const target = probeTarget(event);
+    activePoints().forEach(p => p.material.color.set(POINT_COLOR));
+    dragProbe = null;
+    document.body.style.cursor = 'default';
+
+    // Dropped away from any point: the probe goes back by the meter
+    meter.attach(color, target);
+    updatePointVisibility();
+    checkCircuit();
+}
+
+// --- Interaction ---
+const raycaster = new THREE.Raycaster();
+
+function setRay(event) {
+    input.aim(raycaster, event);
+}
+
+function pickPoint(event) {
+    setRay(event);
+    const hit = raycaster.intersectObjects(activePoints(), false)[0];
+    return hit ? hit.object : null;
+}
+
+function pickPart(event) {
+    setRay(event);
+    for (const hit of raycaster.intersectObjects(parts.map(p => p.group), true)) {
+        const part = findPart(hit.object);
+        if (part) return { part, object: hit.object };
+    }
+    return null;
+}
+
+// The page element under the pointer: while a press is followed its events all
+// go to the canvas, wherever the pointer is
+function elementAt(event) {
+    return document.elementFromPoint(event.clientX, event.clientY);
+}
+
+function isOverToolbox(event) {
+    const element = elementAt(event);
+    return !!(element && element.closest('#toolbox'));
+}
+
+// Start carrying a part; the grab point stays under the pointer
+function beginDrag(part, event) {
+    if (part.slot) unseatBattery(part);
+    setRay(event);
+    raycaster.ray.intersectPlane(dragPlane, dragOffset);
+    dragOffset.sub(part.group.position).setY(0);
+    dragPart = part;
+    controls.enabled = false;
+    document.body.style.cursor = 'grabbing';
+}
+
+function moveDrag(event) {
+    setRay(event);
+    const target = new THREE.Vector3();
+    if (!raycaster.ray.intersectPlane(dragPlane, target)) return;
+    clampToBench(target.sub(dragOffset));
+
+    dragPart.group.position.set(target.x, PART_TYPES[dragPart.type].restY + DRAG_LIFT, target.z);
+    if (dragFromToolbox) dragPart.group.visible = !isOverToolbox(event);
+    updateWiresOf(dragPart);
+}
+
+function endDrag(event) {
+    const part = dragPart;
+    const fromTool = dragFromToolbox;
+    dragPart = null;
+    dragFromToolbox = null;
+    document.body.style.cursor = 'default';
+
+    if (isOverToolbox(event)) {
+        // Clicked a tool without dragging it out: put the part somewhere free
+        if (fromTool && !part.group.visible && elementAt(event).closest('.tool') === fromTool) {
+            part.group.visible = true;
+            const spot = findFreeSpot();
+            part.group.position.set(spot.x, PART_TYPES[part.type].restY, spot.z);
+        } else {
+            // Dragged back onto the toolbox: put it away
+            deletePart(part);
+            checkCircuit();
+            return;
+        }
+    }
+
+    part.group.visible = true;
+    part.group.position.y = PART_TYPES[part.type].restY;
+    if (part.type === 'battery') seatBattery(part);
+    updateWiresOf(part);
+    selectPart(part);
+    checkCircuit();
+}
+
+// Tools can carry options: a battery box its layout (data-slots="4" data-arrangement="mixed"),
+// an LED its colour (data-color="green"), a resistor its value in ohms (data-resistance="100")
+function toolOptions(tool) {
+    const { slots, arrangement, color, resistance } = tool.dataset;
+    if (slots) return { slotCount: Number(slots), arrangement };
+    if (color) return { color };
+    if (resistance) return { resistance: Number(resistance) };
+    return {};
+}
+
+// Toolbox: press on a component and pull it onto the bench
+document.querySelectorAll('.tool[data-part]').forEach(tool => {
+    tool.addEventListener('pointerdown', (e) => {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        e.preventDefault();
+        setWireMode(false);
+        input.follow(e);
+
+        const part = addPart(tool.dataset.part, new THREE.Vector3(), null, toolOptions(tool));
+        part.group.visible = false; // Appears once the pointer reaches the bench
+        dragOffset.set(0, 0, 0);
+        dragPart = part;
+        dragFromToolbox = tool;
+        controls.enabled = false;
+        document.body.style.cursor = 'grabbing';
+    });
+});
+
+document.getElementById('wire-tool').addEventListener('click', () => setWireMode(!wireMode));
+
+input.onDown((e) => {
+    pressed = null;
+
+    if (wireMode) {
+        const point = pickPoint(e);
+        if (point) {
+            if (!isPointOccupied(point.userData)) startWire(point);
+            return;
+        }
+    }
+
+    const probe = probeAt(e);
+    if (probe) {
+        beginProbeDrag(probe);
+        return;
+    }
+
+    pressed = pickPart(e);
+    if (pressed && !wireMode) controls.enabled = false;
+});
+
+input.onMove((e) => {
+    if (isDrawing) {
+        drawWire(e);
+        return;
+    }
+    if (dragProbe) {
+        moveProbe(e);
+        return;
+    }
+    if (dragPart) {
+        moveDrag(e);
+        return;
+    }
+    if (pressed && input.travelled()) {
+        // Past the tap slop the pressed part goes along with the pointer
+        beginDrag(pressed.part, e);
+        pressed = null;
+        moveDrag(e);
+        return;
+    }
+    updateHover(e);
+});
+
+input.onUp((e) => {
+    if (isDrawing) {
+        finishWire(e);
+        return;
+    }
+    controls.enabled = true;
+
+    if (dragProbe) {
+        endProbeDrag(e);
+    } else if (dragPart) {
+        endDrag(e);
+    }
+});
+
+// A tap on a part works its lever or dial or selects it; on the bench it clears the selection
+input.onTap(() => {
+    if (!pressed) {
+        selectPart(null);
+        return;
+    }
+    const { part, object } = pressed;
+    pressed = null;
+    if (part.type === 'switch' && isInNamed(object, 'lever')) {
+        toggleSwitch(part);
+    } else if (part.type === 'multimeter' && isInNamed(object, 'dial')) {
+        // Turn the dial to the next mode
+        part.meter.nextMode();
+        checkCircuit();
+    } else if (!wireMode) {
+        selectPart(part);
+    }
+});
+
+// A second finger came down to zoom or turn the view: give up a wire, set down
+// whatever was carried where it is, and forget the press
+input.onCancel((e) => {
+    if (isDrawing) {
+        isDrawing = false;
+        discardWire();
+    } else if (dragProbe) {
+        endProbeDrag(e);
+    } else if (dragPart) {
+        endDrag(e);
+    }
+    pressed = null;
+});
+
+function updateHover(e) {
+    const points = activePoints();
+    points.forEach(p => p.material.color.set(POINT_COLOR));
+    document.body.style.cursor = 'default';
+
+    if (wireMode) {
+        const point = pickPoint(e);
+        if (point) {
+            if (!isPointOccupied(point.userData)) {
+                point.material.color.set(POINT_HOVER_COLOR);
+                document.body.style.cursor = 'crosshair';
+                controls.enabled = false;
+            } else {
+                point.material.color.set(POINT_OCCUPIED_COLOR);
+                document.body.style.cursor = 'not-allowed';
+                controls.enabled = true;
+            }
+            return;
+        }
+        controls.enabled = true;
+    }
+
+    if (probeAt(e)) {
+        document.body.style.cursor = 'grab';
+        return;
+    }
+
+    const hit = pickPart(e);
+    if (hit) {
+        const isLever = hit.part.type === 'switch' && isInNamed(hit.object, 'lever');
+        const isDial = hit.part.type === 'multimeter' && isInNamed(hit.object, 'dial');
+        if (isLever || isDial) document.body.style.cursor = 'pointer';
+        else if (!wireMode) document.body.style.cursor = 'grab';
+    }
+}
+
+// --- Wire Drawing ---
+
+function startWire(point) {
+    isDrawing = true;
+    startPoint = point;
+    controls.enabled = false;
+
+    const startPos = startPoint.getWorldPosition(new THREE.Vector3());
+    const bendFactor = (wires.length % 2 === 0) ? 1 : -1;
+
+    currentLine = updateWireMesh(null, startPos, startPos, bendFactor);
+    currentLine.userData.bendFactor = bendFactor;
+    scene.add(currentLine);
+}
+
+function drawWire(e) {
+    const targetPos = new THREE.Vector3();
+    const points = activePoints();
+    const point = pickPoint(e);
+    let snapped = false;
+
+    // Snap to a free connection point under the pointer
+    if (point && point !== startPoint && !isPointOccupied(point.userData)) {
+        targetPos.copy(point.getWorldPosition(new THREE.Vector3()));
+        point.material.color.set(POINT_HOVER_COLOR);
+        snapped = true;
+    }
+
+    if (!snapped) {
+        points.forEach(p => {
+            if (p !== startPoint) p.material.color.set(POINT_COLOR);
+        });
+        const hit = raycaster.intersectObjects([floor, ...points], true)[0];
+        if (hit) {
+            targetPos.copy(hit.point);
+        } else {
+            raycaster.ray.at(5, targetPos);
+        }
+    }
+
+    const startPos = startPoint.getWorldPosition(new THREE.Vector3());
+    updateWireMesh(currentLine, startPos, targetPos, currentLine.userData.bendFactor);
+}
+
+function finishWire(e) {
+    isDrawing = false;
+    controls.enabled = true;
+
+    let endPoint = pickPoint(e);
+    if (endPoint && isPointOccupied(endPoint.userData)) endPoint = null;
+
+    if (endPoint && endPoint !== startPoint) {
+        const startPos = startPoint.getWorldPosition(new THREE.Vector3());
+        const endPos = endPoint.getWorldPosition(new THREE.Vector3());
+        updateWireMesh(currentLine, startPos, endPos, currentLine.userData.bendFactor);
+
+        wires.push({
+            start: startPoint.userData,
+            end: endPoint.userData,
+            startPoint,
+            endPoint,
+            mesh: currentLine
+        });
+        checkCircuit();
+        currentLine = null;
+    }
+    discardWire();
+}
+
+// Drop the line being drawn, if it never became a wire
+function discardWire() {
+    if (currentLine) {
+        currentLine.geometry.dispose();
+        scene.remove(currentLine);
+    }
+    activePoints().forEach(p => p.material.color.set(POINT_COLOR));
+    currentLine = null;
+    startPoint = null;
+}
+
+// Double click (or long press) to remove wire
+input.onDelete((e) => {
+    setRay(e);
+    const hit = raycaster.intersectObjects(wires.map(w => w.mesh), false)[0];
+    if (hit) {
+        removeWire(wires.find(w => w.mesh === hit.object));
+        checkCircuit();
+    }
+});
+
+window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        selectPart(null);
+        setWireMode(false);
+    }
+    if (!selectedPart) return;
+    if (e.key === 'r' || e.key === 'R') {
+        rotatePart(selectedPart);
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        deletePart(selectedPart);
+        checkCircuit();
+    }
+});
+
+document.getElementById('rotate-btn').addEventListener('click', () => {
+    if (selectedPart) rotatePart(selectedPart);
+});
+
+document.getElementById('delete-btn').addEventListener('click', () => {
+    if (!selectedPart) return;
+    deletePart(selectedPart);
+    checkCircuit();
+});
+
+function clearBench() {
+    // Loose parts first; cells in a box are removed with their box
+    [...parts].filter(p => !p.slot).forEach(deletePart);
+    shortWarning.clear();
+}
+
+document.getElementById('clear-btn').addEventListener('click', () => {
+    clearBench();
+    checkCircuit();
+});
+
+function toggleSwitch(part) {
+    part.closed = !part.closed;
+    const lever = part.group.getObjectByName('lever');
+    const targetRot = part.closed ? 0 : part.group.userData.openAngle;
+    const startRot = lever.rotation.x;
+    const duration = 200;
+    const startTime = Date.now();
+
+    function animateSwitch() {
+        const progress = Math.min((Date.now() - startTime) / duration, 1);
+        lever.rotation.x = startRot + (targetRot - startRot) * progress;
+
+        if (progress < 1) {
+            requestAnimationFrame(animateSwitch);
+        } else {
+            checkCircuit();
+        }
+    }
+    animateSwitch();
+}
+
+// --- Circuit Logic ---
+const shortWarning = createShortCircuitWarning(scene);
+
+function buildNetlist() {
+    const components = [];
+    // Student wires first so result.wires lines up with the wire meshes
+    const netWires = wires.map(w => ({ from: wireEndKey(w.start), to: wireEndKey(w.end) }));
+
+    parts.forEach(part => {
+        if (part.type === 'battery' && !part.slot) {
+            components.push({ id: part.id, type: 'battery' });
+        } else if (part.type === 'bulb') {
+            components.push({ id: part.id, type: 'bulb', ...bulbParameters(part.group) });
+        } else if (part.type === 'led') {
+            components.push({ id: part.id, type: 'led', ...ledParameters(part.group) });
+        } else if (part.type === 'motor' || part.type === 'buzzer') {
+            components.push({ id: part.id, type: part.type });
+        } else if (part.type === 'resistor') {
+            components.push({ id: part.id, type: 'resistor', resistance: part.group.userData.resistance });
+        } else if (part.type === 'switch') {
+            components.push({ id: part.id, type: 'switch', closed: part.closed });
+        } else if (part.type === 'multimeter') {
+            components.push({ id: part.id, type: 'meter', mode: part.meter.mode });
+            netWires.push(...meterWires(part.meter, part.id));
+        } else if (part.type === 'batteryBox') {
+            // The box's own wiring joins the cells: an empty slot leaves a gap,
+            // a reversed cell works against the others
+            const cells = parts.filter(p => p.box === part);
+            cells.forEach(cell => components.push({ id: cell.id, type: 'battery' }));
+            netWires.push(...batteryBoxWires(part.group, part.id, slot => {
+                const cell = cells.find(p => p.slot === slot);
+                return cell && { id: cell.id, reversed: !isCellOriented(cell) };
+            }));
+        }
+    });
+
+    return { components, wires: netWires };
+}
+
+function checkCircuit() {
+    const bulbParts = parts.filter(p => p.type === 'bulb');
+    const ledParts = parts.filter(p => p.type === 'led');
+    const lamps = Object.fromEntries([...bulbParts, ...ledParts].map(p => [p.id, p.group]));
+    const { result } = solveWithBurnout(buildNetlist, lamps);
+
+    const batteries = {};
+    parts.filter(p => p.type === 'battery').forEach(p => {
+        batteries[p.id] = p.group;
+    });
+    shortWarning.update(result, { wireMeshes: wires.map(w => w.mesh), batteries });
+
+    let litCount = 0;
+    bulbParts.forEach(part => {
+        if (setBulbGlow(part.group, result.components[part.id]) > 0) litCount++;
+    });
+    ledParts.forEach(part => {
+        if (setLedGlow(part.group, result.components[part.id]) > 0) litCount++;
+    });
+    const running = parts.filter(p => p.type === 'motor' && setMotorSpin(p.group, result.components[p.id]) !== 0).length;
+    const sounding = parts.filter(p => p.type === 'buzzer' && setBuzzerSound(p.group, result.components[p.id]) > 0).length;
+    const burntCount = bulbParts.filter(p => isBurntOut(p.group)).length;
+    const burntLedCount = ledParts.filter(p => isBurntOut(p.group)).length;
+    parts.filter(p => p.meter).forEach(p => p.meter.showReading(result.components[p.id]));
+
+    const msg = document.getElementById('success-msg');
+    const notes = [];
+    if (litCount > 0) notes.push(`💡 亮了 ${litCount} 盏灯！`);
+    if (running > 0) notes.push(`🌀 ${running} 台电动机在转！`);
+    if (sounding > 0) notes.push(`🔔 ${sounding} 个蜂鸣器在响！`);
+    if (burntCount > 0) notes.push(`💥 烧坏了 ${burntCount} 盏，电池太多了！`);
+    if (burntLedCount > 0) notes.push(`💥 烧坏了 ${burntLedCount} 个LED，记得给LED串联一个电阻！`);
+    msg.innerText = notes.join(' ');
+    msg.style.display = notes.length > 0 ? 'block' : 'none';
+
+    storage.changed();
+}
+
+// --- Save / Load ---
+function serializeBench() {
+    const components = parts.map(part => {
+        const entry = { id: part.id, type: part.type, ...placementOf(part.group) };
+        if (part.type === 'switch') entry.closed = part.closed;
+        if (part.type === 'led') entry.color = part.group.userData.ledColor;
+        if (part.type === 'resistor') entry.resistance = part.group.userData.resistance;
+        if (part.type === 'multimeter') {
+            entry.mode = part.meter.mode;
+            entry.probes = {};
+            Object.entries(part.meter.probes).forEach(([color, probe]) => {
+                entry.probes[color] = probe.userData.point ? wireEndKey(probe.userData.point.userData) : null;
+            });
+        }
+        if (part.type === 'batteryBox') {
+            const { slotCount, arrangement, groupSize } = part.group.userData;
+            Object.assign(entry, { slotCount, arrangement, groupSize });
+            entry.slots = part.group.userData.slots.map(slot => {
+                const cell = parts.find(p => p.box === part && p.slot === slot);
+                return { id: slot.id, battery: cell ? cell.id : null, reversed: cell ? !isCellOriented(cell) : false };
+            });
+        }
+        return entry;
+    });
+    return createCircuitDocument('sandbox', components, wires.map(w => ({ from: wireEndKey(w.start), to: wireEndKey(w.end) })));
+}
+
+function restoreBench(doc) {
+    clearBench();
+    setWireMode(false);
+
+    // Parts, keeping their saved ids so the wires still match
+    doc.components.forEach(entry => {
+        if (!PART_TYPES[entry.type] || parts.some(p => p.id === entry.id)) return;
+        const { slotCount, arrangement, groupSize, color, resistance } = entry;
+        const part = addPart(entry.type, new THREE.Vector3(), entry.id, { slotCount, arrangement, groupSize, color, resistance });
+        applyPlacement(part.group, entry);
+
+        if (part.type === 'switch' && entry.closed) closeSwitch(part);
+        if (part.type === 'multimeter' && entry.mode) part.meter.setMode(entry.mode);
+        reservePartId(entry.id);
+    });
+
+    // Cells back into their boxes
+    doc.components.filter(entry => entry.type === 'batteryBox' && Array.isArray(entry.slots)).forEach(entry => {
+        const box = parts.find(p => p.id === entry.id);
+        entry.slots.forEach(saved => {
+            const slot = box.group.userData.slots.find(s => s.id === saved.id);
+            const cell = parts.find(p => p.id === saved.battery && p.type === 'battery');
+            if (!slot || slot.occupied || !cell || cell.slot) return;
+            placeInSlot(cell, box, slot, (slot.expectedDir.x > 0) !== !!saved.reversed ? 0 : Math.PI);
+        });
+    });
+
+    connectAll(doc.wires);
+
+    // Probes back on the points they touched
+    const points = parts.filter(p => !p.slot).flatMap(p => p.points);
+    doc.components.filter(entry => entry.type === 'multimeter' && entry.probes).forEach(entry => {
+        const part = parts.find(p => p.id === entry.id && p.meter);
+        if (!part) return;
+        Object.entries(entry.probes).forEach(([color, key]) => {
+            const point = points.find(p => wireEndKey(p.userData) === key);
+            if (point && part.meter.probes[color]) part.meter.attach(color, point);
+        });
+    });
+    checkCircuit();
+}
+
+// Parts restored or built with a given id must not collide with new ones
+function reservePartId(id) {
+    const number = parseInt(id.replace(/^\D+/, ''), 10);
+    if (number >= nextPartNumber) nextPartNumber = number + 1;
+}
+
+function closeSwitch(part) {
+    part.closed = true;
+    part.group.getObjectByName('lever').rotation.x = 0;
+}
+
+// Lay wires given as terminal keys between free connection points
+function connectAll(wireList) {
+    const points = parts.filter(p => !p.slot).flatMap(p => p.points);
+    wireList.forEach(w => {
+        const from = points.find(p => wireEndKey(p.userData) === w.from);
+        const to = points.find(p => wireEndKey(p.userData) === w.to);
+        if (!from || !to || from === to || isPointOccupied(from.userData) || isPointOccupied(to.userData)) return;
+
+        const bendFactor = (wires.length % 2 === 0) ? 1 : -1;
+        const mesh = updateWireMesh(null, from.getWorldPosition(new THREE.Vector3()), to.getWorldPosition(new THREE.Vector3()), bendFactor);
+        mesh.userData.bendFactor = bendFactor;
+        scene.add(mesh);
+        wires.push({ start: from.userData, end: to.userData, startPoint: from, endPoint: to, mesh });
+    });
+}
+
+// --- Schematic Editor ---
+// Students draw a circuit diagram and build it on the bench in one go.
+
+// Turn and place a part so its terminals lie where the symbol's do
+function alignToSymbol(part, symbol) {
+    const terminals = part.group.userData.terminals;
+    const [a, b] = SYMBOL_TERMINALS[symbol.type].map(id => terminals[id].position);
+
+    // rotation.y turns the bench's atan2(z, x) heading the other way
+    const heading = Math.atan2(b.z - a.z, b.x - a.x);
+    part.group.rotation.y = heading - THREE.MathUtils.degToRad(symbol.angle);
+
+    const mid = new THREE.Vector3().addVectors(a, b).multiplyScalar(0.5).setY(0);
+    mid.applyQuaternion(part.group.quaternion);
+    part.group.position.x = symbol.x - mid.x;
+    part.group.position.z = symbol.y - mid.z;
+}
+
+function buildFromSchematic(drawing) {
+    clearBench();
+    setWireMode(false);
+
+    drawing.components.forEach(symbol => {
+        if (!PART_TYPES[symbol.type] || !SYMBOL_TERMINALS[symbol.type]) return;
+        const part = addPart(symbol.type, new THREE.Vector3(), symbol.id);
+        alignToSymbol(part, symbol);
+        if (part.type === 'switch' && symbol.closed) closeSwitch(part);
+        reservePartId(symbol.id);
+    });
+
+    connectAll(drawing.wires);
+    checkCircuit();
+}
+
+createSchematicEditor({
+    container: document.getElementById('schematic-board'),
+    bounds: {
+        x1: -BENCH_WIDTH / 2, y1: -BENCH_DEPTH / 2,
+        x2: BENCH_WIDTH / 2, y2: BENCH_DEPTH / 2
+    },
+    paletteButtons: [...document.querySelectorAll('[data-symbol]')],
+    rotateButton: document.getElementById('schematic-rotate-btn'),
+    deleteButton: document.getElementById('schematic-delete-btn'),
+    clearButton: document.getElementById('schematic-clear-btn'),
+    buildButton: document.getElementById('schematic-build-btn'),
+    onBuild: buildFromSchematic
+});
+
+document.getElementById('schematic-tool').addEventListener('click', () => {
+    const panel = document.getElementById('schematic-editor');
+    panel.classList.toggle('hidden');
+    document.getElementById('schematic-tool').classList.toggle('active', !panel.classList.contains('hidden'));
+});
+
+const storage = createCircuitStorage({
+    lesson: 'sandbox',
+    serialize: serializeBench,
+    restore: restoreBench,
+    saveButton: document.getElementById('save-btn'),
+    loadButton: document.getElementById('load-btn'),
+    shareButton: document.getElementById('share-btn')
+});
+storage.restoreAutosave();
+storage.restoreShared();
+
+// Animation Loop
+lab.onFrame((time, delta) => {
+    pulseHalos(activePoints(), time);
+    parts.forEach(part => {
+        if (part.type === 'motor') animateMotor(part.group, delta);
+        if (part.type === 'buzzer') animateBuzzer(part.group, time);
+    });
+    shortWarning.animate(time);
+    metersOf().forEach(meter => meter.follow());
+    if (selectedPart) selectionBox.setFromObject(selectedPart.group);
+});
@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+import { BATTERY_DEFAULTS, CURRENT_THRESHOLD } from './circuit-solver.js';
+
+// --- Battery Charge ---
+// A cell that runs down while current flows. createBattery() keeps one of
+// these in group.userData.cell:
+//
+//   { emf: 1.5, internalResistance: 0.1, capacity: 2000, charge: 2000 }
+//
+// emf and internalResistance are the values of a fresh cell, capacity and
+// charge are in mAh. cellParameters() gives what the solver needs right now:
+// an emptier cell has a lower EMF and a higher internal resistance, so the
+// bulb dims as it runs down.
+//
+//   components.push({ id: 'cell1', type: 'battery', ...cellParameters(cell), cell });
+//   ...
+//   const timeline = createDischargeTimeline({ onStep: seconds => {
+//       drainNetlist(netlist, result, seconds);   // then solve again
+//   } });
+//   lab.onFrame((time, delta) => timeline.update(delta));
+
+export const CELL_CAPACITY = 2000; // mAh, a typical AA alkaline cell
+export const OLD_CELL_CHARGE = 0.15; // An "old" cell has 15% left
+
+const EMPTY_EMF_RATIO = 0.6; // A nearly flat cell still shows 60% of its EMF...
+const EMPTY_RESISTANCE_RATIO = 10; // ...but its internal resistance is 10x higher
+
+// Simulated seconds per real second
+export const TIME_SCALES = [
+    { scale: 0, label: '暂停' },
+    { scale: 1, label: '真实时间' },
+    { scale: 60, label: '1秒 = 1分钟' },
+    { scale: 600, label: '1秒 = 10分钟' },
+    { scale: 3600, label: '1秒 = 1小时' }
+];
+const DEFAULT_TIME_SCALE = 600; // A fresh cell lighting one bulb lasts about a minute
+const STEP = 1; // Real seconds between two discharge steps
+
+export function createCellState({
+    emf = BATTERY_DEFAULTS.emf,
+    internalResistance = BATTERY_DEFAULTS.internalResistance,
+    capacity = CELL_CAPACITY
+} = {}) {
+    return { emf, internalResistance, capacity, charge: capacity };
+}
+
+// 0 = flat, 1 = fresh
+export function stateOfCharge(cell) {
+    return cell.capacity > 0 ? cell.charge / cell.capacity : 0;
+}
+
+export function setStateOfCharge(cell, soc) {
+    cell.charge = cell.capacity * Math.min(Math.max(soc, 0), 1);
+}
+
+export function cellParameters(cell) {
+    const soc = stateOfCharge(cell);
+    if (soc <= 0) return { emf: 0, internalResistance: cell.internalResistance * EMPTY_RESISTANCE_RATIO };
+    return {
+        emf: cell.emf * (EMPTY_EMF_RATIO + (1 - EMPTY_EMF_RATIO) * soc),
+        internalResistance: cell.internalResistance * (1 + (EMPTY_RESISTANCE_RATIO - 1) * (1 - soc))
+    };
+}
+
+// Take `seconds` of `current` (A, the solver's sign: positive while the cell
+// delivers) out of the cell. Returns true if it changed. The solver leaves a
+// few nA leaking through an open circuit, and current forced backwards
+// through a reversed cell doesn't use it up, so neither drains anything.
+export function drainCell(cell, current, seconds) {
+    if (cell.charge <= 0 || seconds <= 0 || current < CURRENT_THRESHOLD) return false;
+    const before = cell.charge;
+    cell.charge = Math.max(0, cell.charge - current * seconds / 3.6); // A*s -> mAh
+    return cell.charge !== before;
+}
+
+// Drain every netlist battery that carries its cell by the current it delivered
+export function drainNetlist(netlist, result, seconds) {
+    let changed = false;
+    netlist.components.forEach(comp => {
+        if (comp.type !== 'battery' || !comp.cell) return;
+        const state = result.components[comp.id];
+        if (state && drainCell(comp.cell, state.current, seconds)) changed = true;
+    });
+    return changed;
+}
+
+// --- Timeline ---
+// Runs the discharge in steps of STEP real seconds, each worth
+// STEP * timeScale simulated seconds. A <select> lets the class pick the speed.
+export function createDischargeTimeline({ onStep, timeScale = DEFAULT_TIME_SCALE, timeScaleSelect = null }) {
+    let elapsed = 0;
+
+    function setTimeScale(scale) {
+        timeScale = scale;
+        if (timeScaleSelect) timeScaleSelect.value = String(scale);
+    }
+
+    function update(delta) {
+        if (timeScale <= 0) return;
+        elapsed += delta;
+        if (elapsed < STEP) return;
+        onStep(elapsed * timeScale);
+        elapsed = 0;
+    }
+
+    if (timeScaleSelect) {
+        TIME_SCALES.forEach(({ scale, label }) => {
+            const option = document.createElement('option');
+            option.value = String(scale);
+            option.textContent = label;
+            timeScaleSelect.appendChild(option);
+        });
+        timeScaleSelect.addEventListener('change', () => setTimeScale(Number(timeScaleSelect.value)));
+    }
+    setTimeScale(timeScale);
+
+    return {
+        update,
+        setTimeScale,
+        get timeScale() {
+            return timeScale;
+        }
+    };
+}
+
+// --- Charge Label ---
+// A "85%" tag floating over a battery, green -> orange -> red as it runs down
+
+function chargeColor(soc) {
+    if (soc > 0.5) return '#27ae60';
+    if (soc > 0.2) return '#e67e22';
+    return '#e74c3c';
+}
+
+function drawChargeLabel(sprite, cell) {
+    const soc = stateOfCharge(cell);
+    const percent = Math.round(soc * 100);
+    if (sprite.userData.percent === percent) return;
+    sprite.userData.percent = percent;
+
+    const canvas = sprite.material.map.image;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(0, 8, canvas.width, canvas.height - 16);
+    ctx.fillStyle = chargeColor(soc);
+    ctx.font = 'bold 40px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(percent + '%', canvas.width / 2, canvas.height / 2);
+    sprite.material.map.needsUpdate = true;
+}
+
+export function attachChargeLabel(battery, position = new THREE.Vector3(0, 1.1, 0)) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128; canvas.height = 64;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas) }));
+    sprite.name = 'chargeLabel';
+    sprite.scale.set(1, 0.5, 1);
+    sprite.position.copy(position);
+    battery.add(sprite);
+    drawChargeLabel(sprite, battery.userData.cell);
+    return sprite;
+}
+
+export function updateChargeLabel(battery) {
+    const sprite = battery.getObjectByName('chargeLabel');
+    if (sprite) drawChargeLabel(sprite, battery.userData.cell);
+}
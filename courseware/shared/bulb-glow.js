@@ -0,0 +1,199 @@
+import * as THREE from 'three';
+import { solveCircuit, bulbBrightness, ledBrightness, BULB_DEFAULTS } from './circuit-solver.js';
+import { LED_COLORS } from './components.js';
+import { isUnscrewed } from './bulb-socket.js';
+
+// --- Bulb Glow ---
+// Lights a bulb from its solved state. The filament runs from dull red through
+// orange to white as the power nears the bulb's rating (group.userData.rating,
+// see createBulb). Far above the rating the filament snaps: the bulb shows a
+// broken coil, stays dark and leaves a gap in the circuit until repairBulb().
+//
+//   components.push({ id: 'bulb', type: 'bulb', ...bulbParameters(bulb) });
+//   const { result } = solveWithBurnout(buildNetlist, { bulb });
+//   setBulbGlow(bulb, result.components.bulb);
+//
+// LEDs (createLed) work the same way with ledParameters() / setLedGlow(); an LED
+// glows in its own colour as the current nears its rating and burns out far above it.
+
+export const BURNOUT_RATIO = 2; // Twice the rated power (about 1.4x the rated voltage)
+export const LED_BURNOUT_RATIO = 2.5; // 50 mA through a 20 mA LED
+
+// Small bulbs found in school kits
+export const BULB_RATINGS = [
+    { ratedVoltage: 1.5, ratedPower: 0.3, label: '1.5V 0.2A' },
+    { ratedVoltage: 2.5, ratedPower: 0.75, label: '2.5V 0.3A' },
+    { ratedVoltage: 3.8, ratedPower: 1.14, label: '3.8V 0.3A' }
+];
+
+const LIGHT_INTENSITY = 5; // PointLight intensity per rated power
+const LIGHT_DISTANCE = 10;
+
+// Filament colour by power relative to the rating
+const GLOW_STOPS = [
+    [0, new THREE.Color(0x551100)],
+    [0.1, new THREE.Color(0xaa2200)],
+    [0.3, new THREE.Color(0xff5500)],
+    [0.6, new THREE.Color(0xffa030)],
+    [1, new THREE.Color(0xffe0a0)],
+    [BURNOUT_RATIO, new THREE.Color(0xffffff)]
+];
+const OFF_FILAMENT_COLOR = 0x555555;
+const GLASS_COLOR = 0xffffff;
+const BURNT_GLASS_COLOR = 0x777766; // Smoky glass
+
+function ratingOf(bulb) {
+    return bulb.userData.rating || BULB_DEFAULTS;
+}
+
+export function glowColor(ratio, target = new THREE.Color()) {
+    const upper = GLOW_STOPS.findIndex(([stop]) => stop >= ratio);
+    if (upper <= 0) return target.copy(GLOW_STOPS[upper < 0 ? GLOW_STOPS.length - 1 : 0][1]);
+    const [from, fromColor] = GLOW_STOPS[upper - 1];
+    const [to, toColor] = GLOW_STOPS[upper];
+    return target.copy(fromColor).lerp(toColor, (ratio - from) / (to - from));
+}
+
+// What the solver needs to know about a bulb; one out of its socket is a gap too
+export function bulbParameters(bulb) {
+    return { ...ratingOf(bulb), broken: isBurntOut(bulb) || isUnscrewed(bulb) };
+}
+
+// Light the bulb from its solved { voltage, current, power } (or null for off).
+// Returns the power relative to the rating, 0 when dark.
+export function setBulbGlow(bulb, state) {
+    const { bulb: glass, filament } = bulb.userData.materials;
+    const ratio = isBurntOut(bulb) ? 0 : bulbBrightness(state, ratingOf(bulb));
+    let light = bulb.getObjectByName('bulbLight');
+
+    if (ratio <= 0) {
+        glass.emissive.set(0x000000);
+        glass.opacity = 0.3;
+        filament.color.set(OFF_FILAMENT_COLOR);
+        filament.emissive.set(0x000000);
+        filament.emissiveIntensity = 0;
+        if (light) bulb.remove(light);
+        return 0;
+    }
+
+    const color = glowColor(ratio);
+    glass.emissive.copy(color);
+    glass.emissiveIntensity = 0.2 + ratio;
+    glass.opacity = 0.5 + 0.3 * Math.min(ratio, 1);
+    filament.color.copy(color);
+    filament.emissive.copy(color);
+    filament.emissiveIntensity = (0.2 + ratio) * 2;
+
+    if (!light) {
+        light = new THREE.PointLight(color, 0, LIGHT_DISTANCE);
+        light.name = 'bulbLight';
+        light.position.set(0, 1.8, 0); // Centre of the glass
+        bulb.add(light);
+    }
+    light.color.copy(color);
+    light.intensity = LIGHT_INTENSITY * (0.2 + ratio);
+    return ratio;
+}
+
+// --- LED Glow ---
+
+const LED_LIGHT_INTENSITY = 3; // PointLight intensity at the rated current
+const LED_LIGHT_DISTANCE = 6;
+
+export function isLed(group) {
+    return !!group.userData.ledColor;
+}
+
+export function ledParameters(led) {
+    return { ...ratingOf(led), broken: isBurntOut(led) };
+}
+
+// Light the LED from its solved { voltage, current } (or null for off).
+// Returns the current relative to the rating, 0 when dark.
+export function setLedGlow(led, state) {
+    const { dome, chip } = led.userData.materials;
+    const ratio = isBurntOut(led) ? 0 : ledBrightness(state, ratingOf(led));
+    const chipObject = led.getObjectByName('chip');
+    let light = led.getObjectByName('ledLight');
+
+    if (ratio <= 0) {
+        dome.emissive.set(0x000000);
+        chip.emissive.set(0x000000);
+        if (light) light.parent.remove(light);
+        return 0;
+    }
+
+    const color = new THREE.Color(LED_COLORS[led.userData.ledColor].color);
+    dome.emissive.copy(color);
+    dome.emissiveIntensity = 0.3 + Math.min(ratio, 2);
+    chip.emissive.copy(color).lerp(new THREE.Color(0xffffff), Math.min(ratio, 1) * 0.6);
+    chip.emissiveIntensity = 1 + ratio;
+
+    if (!light) {
+        light = new THREE.PointLight(color, 0, LED_LIGHT_DISTANCE);
+        light.name = 'ledLight';
+        light.position.copy(chipObject.position);
+        chipObject.parent.add(light);
+    }
+    light.color.copy(color);
+    light.intensity = LED_LIGHT_INTENSITY * Math.min(ratio, 2);
+    return ratio;
+}
+
+// --- Burnout ---
+
+export function isBurntOut(bulb) {
+    return !!bulb.userData.burntOut;
+}
+
+function setBurntOut(bulb, burntOut) {
+    bulb.userData.burntOut = burntOut;
+    if (isLed(bulb)) {
+        // A scorched chip behind clouded epoxy
+        bulb.getObjectByName('scorch').visible = burntOut;
+        const color = new THREE.Color(LED_COLORS[bulb.userData.ledColor].color);
+        bulb.userData.materials.dome.color.copy(burntOut ? color.multiplyScalar(0.35) : color);
+        return;
+    }
+    bulb.getObjectByName('filament').visible = !burntOut;
+    bulb.getObjectByName('brokenFilament').visible = burntOut;
+    bulb.userData.materials.bulb.color.set(burntOut ? BURNT_GLASS_COLOR : GLASS_COLOR);
+}
+
+// How close a bulb or LED is to burning out: 1 means it just does
+function overloadOf(bulb, state) {
+    if (isLed(bulb)) return state.current / ratingOf(bulb).ratedCurrent / LED_BURNOUT_RATIO;
+    return state.power / ratingOf(bulb).ratedPower / BURNOUT_RATIO;
+}
+
+// A new bulb in the same socket (or a new LED on the same spot)
+export function repairBulb(bulb) {
+    if (isBurntOut(bulb)) setBurntOut(bulb, false);
+}
+
+// Solve, then burn out the most overloaded bulb and solve again until every
+// bulb left copes: once one filament snaps the currents through the others change.
+// bulbs maps netlist ids to bulb (or LED) groups. Returns { netlist, result, burntOut: [ids] }.
+export function solveWithBurnout(buildNetlist, bulbs) {
+    const burntOut = [];
+    for (;;) {
+        const netlist = buildNetlist();
+        const result = solveCircuit(netlist);
+
+        let worst = null;
+        let worstRatio = 1;
+        Object.entries(bulbs).forEach(([id, bulb]) => {
+            const state = result.components[id];
+            if (isBurntOut(bulb) || !state) return;
+            const ratio = overloadOf(bulb, state);
+            if (ratio >= worstRatio) {
+                worst = id;
+                worstRatio = ratio;
+            }
+        });
+
+        if (!worst) return { netlist, result, burntOut };
+        setBurntOut(bulbs[worst], true);
+        burntOut.push(worst);
+    }
+}
@@ -0,0 +1,69 @@
+// --- Bulb Socket ---
+// A bulb on posts (createBulb) can be unscrewed: its 'lamp' group turns
+// anticlockwise and rises out of the socket. The contact breaks on the first
+// turn, so the bulb leaves a gap in the circuit at once (bulbParameters() reports
+// it as broken); screwed back in, it only closes the gap once it is seated again.
+//
+//   unscrewBulb(bulb); checkCircuit();          // or toggleBulbScrew(bulb)
+//   screwInBulb(bulb);
+//   lab.onFrame((time, delta) => {
+//       if (animateBulbSocket(bulb, delta)) checkCircuit();  // true once it is seated
+//   });
+
+const SCREW_TIME = 0.8; // s to unscrew or screw in all the way
+const SCREW_TURNS = 2.5;
+const LIFT = 0.9; // How high the lamp sits once out of the socket
+
+export function isUnscrewed(bulb) {
+    return !!bulb.userData.unscrewed;
+}
+
+function target(bulb) {
+    return bulb.userData.screwTarget ?? (isUnscrewed(bulb) ? 1 : 0);
+}
+
+function placeLamp(bulb, out) {
+    const lamp = bulb.getObjectByName('lamp');
+    lamp.position.y = out * LIFT;
+    lamp.rotation.y = out * SCREW_TURNS * Math.PI * 2;
+}
+
+export function unscrewBulb(bulb) {
+    bulb.userData.unscrewed = true;
+    bulb.userData.screwTarget = 1;
+}
+
+export function screwInBulb(bulb) {
+    bulb.userData.screwTarget = 0;
+}
+
+// Unscrew a bulb that is in (or going in), screw in one that is out (or coming out)
+export function toggleBulbScrew(bulb) {
+    if (target(bulb) > 0) screwInBulb(bulb);
+    else unscrewBulb(bulb);
+}
+
+// Straight into place, no animation (e.g. when restoring or resetting)
+export function setUnscrewed(bulb, unscrewed) {
+    bulb.userData.unscrewed = unscrewed;
+    bulb.userData.screwTarget = unscrewed ? 1 : 0;
+    bulb.userData.screwOut = unscrewed ? 1 : 0;
+    placeLamp(bulb, bulb.userData.screwOut);
+}
+
+// Call every frame. Returns true the moment a bulb being screwed in is seated,
+// so the circuit can be solved again with it.
+export function animateBulbSocket(bulb, delta) {
+    const out = bulb.userData.screwOut || 0;
+    const goal = target(bulb);
+    if (out === goal) return false;
+
+    const step = delta / SCREW_TIME;
+    const next = goal > out ? Math.min(out + step, goal) : Math.max(out - step, goal);
+    bulb.userData.screwOut = next;
+    placeLamp(bulb, next);
+
+    if (next > 0 || !isUnscrewed(bulb)) return false;
+    bulb.userData.unscrewed = false;
+    return true;
+}
@@ -0,0 +1,110 @@
+import { BUZZER_DEFAULTS } from './circuit-solver.js';
+
+// --- Buzzer Sound ---
+// Makes a buzzer (createBuzzer) beep through the Web Audio API while current
+// flows through it, either way round. The tone gets louder with the current up
+// to the rating; rings rise off the buzzer while it sounds.
+//
+//   components.push({ id: 'buzzer', type: 'buzzer' });
+//   setBuzzerSound(buzzer, result.components.buzzer);   // null silences it
+//   lab.onFrame((time) => animateBuzzer(buzzer, time));
+//
+// Browsers only start audio after the page has been clicked, so the first
+// beep may wait for the student's first click.
+
+const TONE = 2400; // Hz, the usual piezo buzzer pitch
+const MASTER_VOLUME = 0.15;
+const START_RATIO = 0.2; // Below 20% of the rated current it stays silent
+const FADE = 0.02; // s, avoids clicks when the tone starts and stops
+
+let audio = null; // { context, master } shared by every buzzer on the page
+
+function getAudio() {
+    if (audio) return audio;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    const context = new AudioContextClass();
+    const master = context.createGain();
+    master.gain.value = MASTER_VOLUME;
+    master.connect(context.destination);
+    audio = { context, master };
+
+    // Started before any click or tap: wake up with the first one (browsers
+    // count a mouse press but only a finger's release as the student's go-ahead)
+    const resume = () => {
+        context.resume();
+        window.removeEventListener('pointerdown', resume);
+        window.removeEventListener('pointerup', resume);
+    };
+    if (context.state === 'suspended') {
+        window.addEventListener('pointerdown', resume);
+        window.addEventListener('pointerup', resume);
+    }
+    return audio;
+}
+
+function ratingOf(buzzer) {
+    return buzzer.userData.rating || BUZZER_DEFAULTS;
+}
+
+// One oscillator per buzzer, kept running; its gain switches it on and off
+function voiceOf(buzzer) {
+    if (buzzer.userData.voice) return buzzer.userData.voice;
+    const sound = getAudio();
+    if (!sound) return null;
+
+    const oscillator = sound.context.createOscillator();
+    oscillator.type = 'square';
+    oscillator.frequency.value = TONE;
+    const gain = sound.context.createGain();
+    gain.gain.value = 0;
+    oscillator.connect(gain);
+    gain.connect(sound.master);
+    oscillator.start();
+    buzzer.userData.voice = { oscillator, gain };
+    return buzzer.userData.voice;
+}
+
+// Sound the buzzer from its solved { current } (or null for off).
+// Returns the current relative to the rating, 0 when silent.
+export function setBuzzerSound(buzzer, state) {
+    const ratio = state ? Math.abs(state.current) / ratingOf(buzzer).ratedCurrent : 0;
+    const sounding = ratio >= START_RATIO;
+    buzzer.getObjectByName('soundWaves').visible = sounding;
+    buzzer.userData.sounding = sounding;
+
+    const voice = sounding ? voiceOf(buzzer) : buzzer.userData.voice;
+    if (voice) {
+        const { context } = audio;
+        if (sounding && context.state === 'suspended') context.resume();
+        voice.gain.gain.setTargetAtTime(sounding ? Math.min(ratio, 1) : 0, context.currentTime, FADE);
+    }
+    return sounding ? ratio : 0;
+}
+
+export function isSounding(buzzer) {
+    return !!buzzer.userData.sounding;
+}
+
+// Rings rising and fading above a sounding buzzer
+export function animateBuzzer(buzzer, time) {
+    if (!buzzer.userData.sounding) return;
+    const rings = buzzer.getObjectByName('soundWaves').children;
+    rings.forEach((ring, i) => {
+        const phase = (time * 1.5 + i / rings.length) % 1;
+        ring.position.y = phase * 0.8;
+        ring.scale.setScalar(1 + phase * 1.5);
+        ring.material.opacity = 1 - phase;
+    });
+}
+
+// A buzzer leaving the bench: stop its oscillator for good
+export function releaseBuzzer(buzzer) {
+    const voice = buzzer.userData.voice;
+    buzzer.userData.sounding = false;
+    if (!voice) return;
+    voice.oscillator.stop();
+    voice.gain.disconnect();
+    buzzer.userData.voice = null;
+}
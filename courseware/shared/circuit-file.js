@@ -0,0 +1,289 @@
+import * as THREE from 'three';
+
+// --- Circuit Documents ---
+// A saved circuit is a plain JSON document:
+//   {
+//     format: 'circuit-fun-3d', version: 1, lesson: 'lesson3',
+//     components: [{ id, type, position: [x, y, z], rotation, ... }],
+//     wires: [{ from: 'battery.pos', to: 'switch.front' }]
+//   }
+// position is in world space, rotation the turn about the vertical axis (radians).
+// Switches add `closed`, two-way switches the `contact` ('a' / 'b') their blade
+// is on, LEDs their `color`, resistors their `resistance`, material samples their
+// `material`, test gaps the `sample` lying across them, fuses their `rating`
+// and whether they have `blown`, and bulbs taken out of their socket are
+// `unscrewed`; battery boxes add
+//   slots: [{ id, battery: componentId | null, reversed }]
+// and multimeters add `mode` and the terminal key each probe touches:
+//   probes: { red: 'bulb1.1' | null, black: ... }
+// Wire ends are the solver's terminal keys (componentId.terminalId).
+// Bump CIRCUIT_VERSION whenever the shape changes and upgrade old documents in
+// parseCircuitDocument().
+
+export const CIRCUIT_FORMAT = 'circuit-fun-3d';
+export const CIRCUIT_VERSION = 1;
+
+function round(n) {
+    return Math.round(n * 1000) / 1000;
+}
+
+export function createCircuitDocument(lesson, components = [], wires = []) {
+    return { format: CIRCUIT_FORMAT, version: CIRCUIT_VERSION, lesson, components, wires };
+}
+
+// Accepts JSON text or an already parsed object; throws if it isn't a circuit for this lesson
+export function parseCircuitDocument(data, lesson) {
+    const doc = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!doc || doc.format !== CIRCUIT_FORMAT) {
+        throw new Error('Not a circuit document');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > CIRCUIT_VERSION) {
+        throw new Error(`Unsupported circuit document version: ${doc.version}`);
+    }
+    if (lesson && doc.lesson !== lesson) {
+        throw new Error(`Circuit was saved in ${doc.lesson}, not ${lesson}`);
+    }
+    if (!Array.isArray(doc.components) || !doc.components.every(c => c && typeof c.id === 'string' && typeof c.type === 'string')) {
+        throw new Error('Circuit document has invalid components');
+    }
+    if (!Array.isArray(doc.wires) || !doc.wires.every(w => w && typeof w.from === 'string' && typeof w.to === 'string')) {
+        throw new Error('Circuit document has invalid wires');
+    }
+    return doc;
+}
+
+// --- Placement ---
+
+// World position and heading of an object, ready to spread into a component entry
+export function placementOf(object) {
+    const position = object.getWorldPosition(new THREE.Vector3());
+    const heading = new THREE.Euler().setFromQuaternion(object.getWorldQuaternion(new THREE.Quaternion()), 'YXZ').y;
+    return { position: position.toArray().map(round), rotation: round(heading) };
+}
+
+// Inverse of placementOf() for objects that only turn about the vertical axis
+export function applyPlacement(object, { position, rotation }) {
+    if (object.parent) object.parent.updateWorldMatrix(true, false);
+
+    if (Array.isArray(position)) {
+        const target = new THREE.Vector3().fromArray(position);
+        if (object.parent) object.parent.worldToLocal(target);
+        object.position.copy(target);
+    }
+    if (typeof rotation === 'number') {
+        const parentHeading = object.parent
+            ? new THREE.Euler().setFromQuaternion(object.parent.getWorldQuaternion(new THREE.Quaternion()), 'YXZ').y
+            : 0;
+        object.rotation.y = rotation - parentHeading;
+    }
+}
+
+// --- Files ---
+
+export function downloadCircuit(doc) {
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${doc.lesson}-circuit.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Resolves with the parsed document the student picked
+export function pickCircuitFile(lesson) {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            file.text()
+                .then(text => resolve(parseCircuitDocument(text, lesson)))
+                .catch(reject);
+        });
+        input.click();
+    });
+}
+
+// --- Share Links ---
+// A circuit travels in the URL hash as #circuit=<codec>.<base64url>, where codec
+// is 'z' for deflate-compressed JSON or 'j' for plain JSON (browsers without
+// CompressionStream).
+
+const HASH_PREFIX = '#circuit=';
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function pipeBytes(bytes, stream) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()
+        .then(buffer => new Uint8Array(buffer));
+}
+
+export function encodeCircuitHash(doc) {
+    const bytes = new TextEncoder().encode(JSON.stringify(doc));
+    if (typeof CompressionStream === 'undefined') {
+        return Promise.resolve(`${HASH_PREFIX}j.${toBase64Url(bytes)}`);
+    }
+    return pipeBytes(bytes, new CompressionStream('deflate-raw'))
+        .then(packed => `${HASH_PREFIX}z.${toBase64Url(packed)}`);
+}
+
+// Resolves with the document in the hash, or null when the hash holds no circuit
+export function decodeCircuitHash(hash, lesson) {
+    if (!hash || !hash.startsWith(HASH_PREFIX)) return Promise.resolve(null);
+
+    return Promise.resolve().then(() => {
+        const [codec, payload = ''] = hash.slice(HASH_PREFIX.length).split('.');
+        const bytes = fromBase64Url(payload);
+        if (codec === 'j') return bytes;
+        if (codec === 'z') return pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+        throw new Error(`Unknown circuit link encoding: ${codec}`);
+    }).then(bytes => parseCircuitDocument(new TextDecoder().decode(bytes), lesson));
+}
+
+function copyText(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        return navigator.clipboard.writeText(text).then(() => true, () => false);
+    }
+    return Promise.resolve(false);
+}
+
+// --- Storage ---
+// Wires a page's save / open / share buttons and keeps an autosave in localStorage.
+// serialize() returns the page's circuit document, restore(doc) rebuilds it.
+// Call changed() after every edit; once the scene is built call restoreAutosave()
+// and then restoreShared(), so a shared link wins over the autosave.
+// What went wrong, and a share link that could not be copied, are shown in the
+// page's #file-status panel (a <p>, a readonly <input> and a close button).
+export function createCircuitStorage({ lesson, serialize, restore, saveButton, loadButton, shareButton, delay = 500 }) {
+    const key = `${CIRCUIT_FORMAT}:${lesson}`;
+    const shareLabel = shareButton ? shareButton.textContent : '';
+    const statusPanel = document.getElementById('file-status');
+    const urlField = statusPanel ? statusPanel.querySelector('input') : null;
+    let timer = null;
+    let shareLabelTimer = null;
+    let saveFailed = false; // Tell the student once, not on every edit
+
+    if (statusPanel) {
+        statusPanel.querySelector('button').addEventListener('click', () => statusPanel.classList.add('hidden'));
+        urlField.addEventListener('focus', () => urlField.select());
+    }
+
+    function showStatus(message, { failed = true, url = null } = {}) {
+        if (!statusPanel) return;
+        statusPanel.querySelector('p').textContent = message;
+        statusPanel.classList.toggle('failed', failed);
+        urlField.hidden = !url;
+        urlField.value = url || '';
+        statusPanel.classList.remove('hidden');
+        if (url) urlField.select();
+    }
+
+    function saveNow() {
+        clearTimeout(timer);
+        try {
+            localStorage.setItem(key, JSON.stringify(serialize()));
+            saveFailed = false;
+        } catch (err) {
+            if (!saveFailed) showStatus('电路没能自动保存，关掉页面前记得点“保存”把它下载下来。');
+            saveFailed = true;
+        }
+    }
+
+    function changed() {
+        clearTimeout(timer);
+        timer = setTimeout(saveNow, delay);
+    }
+
+    function restoreAutosave() {
+        let text = null;
+        try {
+            text = localStorage.getItem(key);
+        } catch (err) {
+            return false;
+        }
+        if (!text) return false;
+
+        try {
+            restore(parseCircuitDocument(text, lesson));
+            return true;
+        } catch (err) {
+            localStorage.removeItem(key);
+            showStatus('上次自动保存的电路无法恢复，这次从头开始吧。');
+            return false;
+        }
+    }
+
+    // Restore the circuit carried in the URL hash, then drop the hash so a reload
+    // keeps the student's own changes (the shared circuit becomes the autosave)
+    function restoreShared() {
+        return decodeCircuitHash(location.hash, lesson)
+            .then(doc => {
+                if (!doc) return false;
+                restore(doc);
+                saveNow();
+                history.replaceState(null, '', location.pathname + location.search);
+                return true;
+            })
+            .catch(() => {
+                showStatus('这个分享链接无法打开，可能不完整或者不是这一课的电路。');
+                return false;
+            });
+    }
+
+    function share() {
+        return encodeCircuitHash(serialize()).then(hash => {
+            const url = location.origin + location.pathname + location.search + hash;
+            return copyText(url).then(copied => {
+                if (copied && shareButton) {
+                    shareButton.textContent = '✅ 链接已复制';
+                    clearTimeout(shareLabelTimer);
+                    shareLabelTimer = setTimeout(() => { shareButton.textContent = shareLabel; }, 1500);
+                } else if (!copied) {
+                    showStatus('复制下面的链接分享这个电路：', { failed: false, url });
+                }
+                return url;
+            });
+        });
+    }
+
+    if (saveButton) {
+        saveButton.addEventListener('click', () => downloadCircuit(serialize()));
+    }
+    if (loadButton) {
+        loadButton.addEventListener('click', () => {
+            pickCircuitFile(lesson)
+                .then(doc => {
+                    restore(doc);
+                    saveNow();
+                })
+                .catch(() => {
+                    showStatus('无法打开这个电路文件，请确认它是在这一课保存的电路。');
+                });
+        });
+    }
+
+    if (shareButton) {
+        shareButton.addEventListener('click', () => {
+            share().catch(() => showStatus('没能生成分享链接，请用“保存”把电路下载下来再分享。'));
+        });
+    }
+    window.addEventListener('hashchange', () => {
+        if (location.hash.startsWith(HASH_PREFIX)) restoreShared();
+    });
+
+    return { changed, saveNow, restoreAutosave, restoreShared, share };
+}
+
@@ -0,0 +1,554 @@
+// --- Circuit Solver ---
+// Modified nodal analysis (MNA) shared by all lessons.
+//
+// A netlist is a plain object:
+//   {
+//     components: [{ id: 'battery', type: 'battery', emf: 1.5 }, { id: 'bulb', type: 'bulb' }, ...],
+//     wires: [{ from: 'battery.pos', to: 'bulb.1' }, ...]
+//   }
+// Terminals are addressed as "<componentId>.<terminalId>" (see terminalKey);
+// a wire may also end on a bare junction name such as 'split'.
+// Every terminal starts as its own node; wires are tiny resistors between them,
+// so each wire gets its own branch current.
+
+export const WIRE_RESISTANCE = 0.01; // Ohm
+export const CLOSED_SWITCH_RESISTANCE = 0.01; // Ohm
+export const CURRENT_THRESHOLD = 0.001; // Below 1 mA a load counts as "off"
+export const SHORT_CIRCUIT_CURRENT = 2; // Amps through a zero-resistance loop = short circuit
+
+const MIN_CONDUCTANCE = 1e-9; // Keeps open/floating nodes solvable
+const PIVOT_EPSILON = 1e-12;
+const NEWTON_TOLERANCE = 1e-6; // Volts across a junction between two iterations
+const NEWTON_MAX_ITERATIONS = 100;
+
+export function terminalKey(componentId, terminalId) {
+    return `${componentId}.${terminalId}`;
+}
+
+// --- Element Models ---
+// stamp(ctx, comp, t) adds the element to the matrix and returns a probe
+// that reads { voltage, current } (meters add { reading }) back from the solution.
+// For two-terminal loads the current is positive from terminals[0] to terminals[1].
+// For batteries the current is the one delivered out of the positive terminal.
+
+function stampResistor(ctx, a, b, resistance) {
+    ctx.conductance(a, b, 1 / Math.max(resistance, WIRE_RESISTANCE));
+    if (resistance <= WIRE_RESISTANCE) ctx.idealLink(a, b);
+    return (sol) => {
+        const voltage = sol.v(a) - sol.v(b);
+        return { voltage, current: voltage / Math.max(resistance, WIRE_RESISTANCE) };
+    };
+}
+
+// School digital multimeter
+export const VOLTMETER_RESISTANCE = 10e6; // Ohm
+export const AMMETER_RESISTANCE = 0.05; // Ohm
+export const OHMMETER_VOLTAGE = 0.5; // Test voltage, too low to light a bulb
+export const OHMMETER_RESISTANCE = 1000; // Ohm, limits the test current
+export const OHMMETER_MAX = 20e6; // Ohm, anything above shows as open
+
+// AA cell: 1.5 V with a little internal resistance
+export const BATTERY_DEFAULTS = { emf: 1.5, internalResistance: 0.1 };
+
+const ELEMENTS = {
+    battery: {
+        terminals: ['pos', 'neg'],
+        stamp(ctx, comp, t) {
+            const emf = comp.emf ?? BATTERY_DEFAULTS.emf;
+            const r = comp.internalResistance ?? BATTERY_DEFAULTS.internalResistance;
+            const pos = ctx.node(t.pos);
+            const neg = ctx.node(t.neg);
+
+            // Ideal source between an internal node and (-), internal resistance up to (+)
+            const inner = r > 0 ? ctx.internalNode() : pos;
+            const branch = ctx.voltageSource(inner, neg, emf);
+            if (r > 0) ctx.conductance(inner, pos, 1 / r);
+            ctx.registerSource(comp.id, pos, neg);
+
+            return (sol) => ({
+                voltage: sol.v(pos) - sol.v(neg),
+                current: -sol.i(branch)
+            });
+        }
+    },
+
+    bulb: {
+        terminals: ['1', '2'],
+        stamp(ctx, comp, t) {
+            const a = ctx.node(t['1']);
+            const b = ctx.node(t['2']);
+            // A burnt-out filament leaves a gap: no current, but the full voltage across it
+            if (comp.broken) {
+                return (sol) => ({ voltage: sol.v(a) - sol.v(b), current: 0 });
+            }
+            return stampResistor(ctx, a, b, bulbResistance(comp));
+        }
+    },
+
+    resistor: {
+        terminals: ['1', '2'],
+        stamp(ctx, comp, t) {
+            return stampResistor(ctx, ctx.node(t['1']), ctx.node(t['2']), comp.resistance ?? 10);
+        }
+    },
+
+    // Toy DC motor: to the circuit just its coil's resistance. The spin follows
+    // the current, forwards from '1' to '2' (see motor-spin.js).
+    motor: {
+        terminals: ['1', '2'],
+        stamp(ctx, comp, t) {
+            return stampResistor(ctx, ctx.node(t['1']), ctx.node(t['2']), comp.resistance ?? MOTOR_DEFAULTS.resistance);
+        }
+    },
+
+    // Active buzzer: sounds whichever way round it is wired (see buzzer-sound.js)
+    buzzer: {
+        terminals: ['1', '2'],
+        stamp(ctx, comp, t) {
+            return stampResistor(ctx, ctx.node(t['1']), ctx.node(t['2']), comp.resistance ?? BUZZER_DEFAULTS.resistance);
+        }
+    },
+
+    // Test gap: two contacts and whatever lies across them. `resistance` is the
+    // sample's; Infinity (nothing there, or an insulator) leaves the gap open.
+    gap: {
+        terminals: ['1', '2'],
+        stamp(ctx, comp, t) {
+            const a = ctx.node(t['1']);
+            const b = ctx.node(t['2']);
+            const resistance = comp.resistance ?? Infinity;
+            if (!Number.isFinite(resistance)) {
+                return (sol) => ({ voltage: sol.v(a) - sol.v(b), current: 0 });
+            }
+            return stampResistor(ctx, a, b, resistance);
+        }
+    },
+
+    // Cartridge fuse: a thin wire of small resistance; once blown it is open
+    // (see fuse-melt.js for what blows it)
+    fuse: {
+        terminals: ['1', '2'],
+        stamp(ctx, comp, t) {
+            const a = ctx.node(t['1']);
+            const b = ctx.node(t['2']);
+            if (comp.blown) {
+                return (sol) => ({ voltage: sol.v(a) - sol.v(b), current: 0 });
+            }
+            return stampResistor(ctx, a, b, comp.resistance ?? FUSE_DEFAULTS.resistance);
+        }
+    },
+
+    // Sliding rheostat: a coil from a to b and the bar c, whose wiper touches
+    // the coil `wiper` of the way from a (0..1). Reads the a-c section.
+    rheostat: {
+        terminals: ['a', 'b', 'c'],
+        stamp(ctx, comp, t) {
+            const max = comp.maxResistance ?? 20;
+            const wiper = Math.min(Math.max(comp.wiper ?? 0.5, 0), 1);
+            const c = ctx.node(t.c);
+            const probe = stampResistor(ctx, ctx.node(t.a), c, max * wiper);
+            stampResistor(ctx, c, ctx.node(t.b), max * (1 - wiper));
+            return probe;
+        }
+    },
+
+    // Multimeter on two probe leads, read back as { reading }:
+    // 'voltage'    a very high resistance, so it hardly changes the circuit
+    // 'current'    next to no resistance; it belongs in series, across a battery it is a short
+    // 'resistance' pushes a small test current of its own and reads V / I (Infinity when open)
+    meter: {
+        terminals: ['red', 'black'],
+        stamp(ctx, comp, t) {
+            const red = ctx.node(t.red);
+            const black = ctx.node(t.black);
+
+            if (comp.mode === 'current') {
+                ctx.idealLink(red, black);
+                const probe = stampResistor(ctx, red, black, AMMETER_RESISTANCE);
+                return (sol) => {
+                    const state = probe(sol);
+                    return { ...state, reading: state.current };
+                };
+            }
+
+            if (comp.mode === 'resistance') {
+                const inner = ctx.internalNode();
+                const branch = ctx.voltageSource(inner, black, OHMMETER_VOLTAGE);
+                ctx.conductance(inner, red, 1 / OHMMETER_RESISTANCE);
+                return (sol) => {
+                    const voltage = sol.v(red) - sol.v(black);
+                    const testCurrent = -sol.i(branch); // Out of the red probe
+                    const resistance = testCurrent > 0 ? voltage / testCurrent : Infinity;
+                    return { voltage, current: -testCurrent, reading: resistance > OHMMETER_MAX ? Infinity : resistance };
+                };
+            }
+
+            const probe = stampResistor(ctx, red, black, VOLTMETER_RESISTANCE);
+            return (sol) => {
+                const state = probe(sol);
+                return { ...state, reading: state.voltage };
+            };
+        }
+    },
+
+    // Light-emitting diode: a junction in series with a small bulk resistance.
+    // Current only flows from anode to cathode, and hardly at all below the
+    // forward voltage; a burnt-out LED is an open circuit.
+    led: {
+        terminals: ['anode', 'cathode'],
+        stamp(ctx, comp, t) {
+            const anode = ctx.node(t.anode);
+            const cathode = ctx.node(t.cathode);
+            if (comp.broken) {
+                return (sol) => ({ voltage: sol.v(anode) - sol.v(cathode), current: 0 });
+            }
+
+            const { forwardVoltage, ratedCurrent, seriesResistance } = { ...LED_DEFAULTS, ...comp };
+            const junction = ctx.internalNode();
+            ctx.conductance(anode, junction, 1 / seriesResistance);
+            const diode = ctx.diode(junction, cathode, {
+                // Passes ratedCurrent at forwardVoltage across the legs
+                saturationCurrent: ratedCurrent / Math.exp((forwardVoltage - ratedCurrent * seriesResistance) / LED_THERMAL_VOLTAGE),
+                thermalVoltage: LED_THERMAL_VOLTAGE
+            });
+            return (sol) => ({ voltage: sol.v(anode) - sol.v(cathode), current: sol.diode(diode) });
+        }
+    },
+
+    switch: {
+        terminals: ['front', 'rear'],
+        stamp(ctx, comp, t) {
+            const a = ctx.node(t.front);
+            const b = ctx.node(t.rear);
+            if (!comp.closed) {
+                // Open: the supply voltage shows up across the gap
+                return (sol) => ({ voltage: sol.v(a) - sol.v(b), current: 0 });
+            }
+            return stampResistor(ctx, a, b, CLOSED_SWITCH_RESISTANCE);
+        }
+    },
+
+    // Two-way (single-pole double-throw) switch: 'common' connects to whichever
+    // of 'a' / 'b' the blade is thrown onto (`contact`), the other stays open.
+    // Reads the current through the closed side, from common; with the blade
+    // between the clips, the voltage from common to 'a' and no current.
+    spdt: {
+        terminals: ['common', 'a', 'b'],
+        stamp(ctx, comp, t) {
+            const common = ctx.node(t.common);
+            if (comp.contact !== 'a' && comp.contact !== 'b') {
+                const a = ctx.node(t.a);
+                return (sol) => ({ voltage: sol.v(common) - sol.v(a), current: 0, contact: null });
+            }
+            const probe = stampResistor(ctx, common, ctx.node(t[comp.contact]), CLOSED_SWITCH_RESISTANCE);
+            return (sol) => ({ ...probe(sol), contact: comp.contact });
+        }
+    }
+};
+
+// Small bulb used in school labs: 2.5 V / 0.3 A
+export const BULB_DEFAULTS = { ratedVoltage: 2.5, ratedPower: 0.75 };
+
+function bulbResistance(comp) {
+    if (comp.resistance) return comp.resistance;
+    const v = comp.ratedVoltage ?? BULB_DEFAULTS.ratedVoltage;
+    const p = comp.ratedPower ?? BULB_DEFAULTS.ratedPower;
+    return (v * v) / p;
+}
+
+// Power relative to the bulb's rating: 0 = dark, 1 = rated brightness.
+// Below 2% of the rating the filament shows no visible glow.
+export function bulbBrightness(state, comp = {}) {
+    if (!state || Math.abs(state.current) < CURRENT_THRESHOLD) return 0;
+    const brightness = state.power / (comp.ratedPower ?? BULB_DEFAULTS.ratedPower);
+    return brightness < 0.02 ? 0 : brightness;
+}
+
+// Toy motor (3 V, 0.3 A) and active buzzer (3 V, 30 mA) from school kits
+export const MOTOR_DEFAULTS = { resistance: 10, ratedCurrent: 0.3 };
+export const BUZZER_DEFAULTS = { resistance: 100, ratedCurrent: 0.03 };
+
+// Glass cartridge fuse: melts above 1 A
+export const FUSE_DEFAULTS = { ratedCurrent: 1, resistance: 0.05 };
+
+// 5 mm red LED: 1.8 V at 20 mA
+export const LED_DEFAULTS = { forwardVoltage: 1.8, ratedCurrent: 0.02, seriesResistance: 5 };
+const LED_THERMAL_VOLTAGE = 0.03; // Emission coefficient times kT/q
+
+// Current relative to the LED's rating: 0 = dark, 1 = rated brightness
+export function ledBrightness(state, comp = {}) {
+    if (!state || state.current < CURRENT_THRESHOLD) return 0;
+    return state.current / (comp.ratedCurrent ?? LED_DEFAULTS.ratedCurrent);
+}
+
+// --- Diodes ---
+// Shockley diode I = Is (e^(V/Vt) - 1). Newton's method replaces it with its
+// tangent at the last guess: a conductance in parallel with a current source.
+
+function diodeCurrent({ saturationCurrent, thermalVoltage }, v) {
+    return saturationCurrent * (Math.exp(v / thermalVoltage) - 1);
+}
+
+function diodeConductance({ saturationCurrent, thermalVoltage }, v) {
+    return saturationCurrent / thermalVoltage * Math.exp(v / thermalVoltage);
+}
+
+// Keep a forward-biased junction from jumping up the exponential in one step
+// (the usual SPICE voltage limiting)
+function limitJunction(next, last, { saturationCurrent, thermalVoltage }) {
+    const critical = thermalVoltage * Math.log(thermalVoltage / (Math.SQRT2 * saturationCurrent));
+    if (next <= critical || Math.abs(next - last) <= 2 * thermalVoltage) return next;
+    if (last > 0) {
+        const arg = 1 + (next - last) / thermalVoltage;
+        return arg > 0 ? last + thermalVoltage * Math.log(arg) : critical;
+    }
+    return thermalVoltage * Math.log(next / thermalVoltage);
+}
+
+// --- Solver ---
+
+export function solveCircuit(netlist) {
+    const nodeIndex = new Map(); // terminal key -> node index
+    const nodeKeys = [];
+    const unionParent = [];
+    const groundCandidates = new Set();
+
+    const conductances = [];
+    const sources = [];
+    const diodes = []; // { a, b, model, v }: v is the junction voltage being iterated
+    const idealLinks = []; // Wires and closed switches
+    const sourceTerminals = []; // { id, pos, neg } per battery
+
+    function find(i) {
+        while (unionParent[i] !== i) {
+            unionParent[i] = unionParent[unionParent[i]];
+            i = unionParent[i];
+        }
+        return i;
+    }
+
+    function union(a, b) {
+        const ra = find(a);
+        const rb = find(b);
+        if (ra !== rb) unionParent[rb] = ra;
+    }
+
+    function addNode(key) {
+        const index = nodeKeys.length;
+        nodeKeys.push(key);
+        unionParent.push(index);
+        if (key !== null) nodeIndex.set(key, index);
+        return index;
+    }
+
+    const ctx = {
+        node(key) {
+            return nodeIndex.has(key) ? nodeIndex.get(key) : addNode(key);
+        },
+        internalNode() {
+            return addNode(null);
+        },
+        conductance(a, b, g) {
+            conductances.push([a, b, g]);
+            union(a, b);
+        },
+        voltageSource(pos, neg, emf) {
+            sources.push([pos, neg, emf]);
+            union(pos, neg);
+            groundCandidates.add(neg);
+            return sources.length - 1;
+        },
+        diode(a, b, model) {
+            diodes.push({ a, b, model, v: 0 });
+            union(a, b);
+            return diodes.length - 1;
+        },
+        idealLink(a, b) {
+            idealLinks.push([a, b]);
+        },
+        registerSource(id, pos, neg) {
+            sourceTerminals.push({ id, pos, neg });
+        }
+    };
+
+    // Stamp components
+    const probes = [];
+    (netlist.components || []).forEach(comp => {
+        const model = ELEMENTS[comp.type];
+        if (!model) throw new Error(`Unknown component type: ${comp.type}`);
+
+        const terminals = {};
+        model.terminals.forEach(id => {
+            terminals[id] = terminalKey(comp.id, id);
+        });
+        probes.push({ comp, probe: model.stamp(ctx, comp, terminals) });
+    });
+
+    // Stamp wires
+    const wireProbes = (netlist.wires || []).map(w => {
+        return stampResistor(ctx, ctx.node(w.from), ctx.node(w.to), w.resistance ?? WIRE_RESISTANCE);
+    });
+
+    // Assemble matrix: [G B; B^T 0] [v; i] = [0; e]
+    const n = nodeKeys.length;
+    const size = n + sources.length;
+
+    // One reference (0 V) node per connected group, preferring a battery (-)
+    const groupRefs = new Map();
+    for (let i = 0; i < n; i++) {
+        const root = find(i);
+        if (!groupRefs.has(root) || (groundCandidates.has(i) && !groundCandidates.has(groupRefs.get(root)))) {
+            groupRefs.set(root, i);
+        }
+    }
+
+    function stampConductance(A, a, b, g) {
+        A[a][a] += g;
+        A[b][b] += g;
+        A[a][b] -= g;
+        A[b][a] -= g;
+    }
+
+    function assemble() {
+        const A = Array.from({ length: size }, () => new Float64Array(size));
+        const rhs = new Float64Array(size);
+
+        for (let i = 0; i < n; i++) A[i][i] += MIN_CONDUCTANCE;
+
+        conductances.forEach(([a, b, g]) => stampConductance(A, a, b, g));
+
+        sources.forEach(([pos, neg, emf], k) => {
+            const row = n + k;
+            A[pos][row] += 1;
+            A[neg][row] -= 1;
+            A[row][pos] += 1;
+            A[row][neg] -= 1;
+            rhs[row] = emf;
+        });
+
+        // Each diode linearised at its current guess
+        diodes.forEach(({ a, b, model, v }) => {
+            const g = diodeConductance(model, v);
+            const i = diodeCurrent(model, v) - g * v;
+            stampConductance(A, a, b, g);
+            rhs[a] -= i;
+            rhs[b] += i;
+        });
+
+        groupRefs.forEach(ref => {
+            A[ref].fill(0);
+            A[ref][ref] = 1;
+            rhs[ref] = 0;
+        });
+        return { A, rhs };
+    }
+
+    // Linear circuits solve in one go; diodes need Newton iterations
+    let x;
+    for (let iteration = 0; ; iteration++) {
+        const { A, rhs } = assemble();
+        x = gaussianSolve(A, rhs);
+
+        let converged = true;
+        diodes.forEach(d => {
+            const next = limitJunction(x[d.a] - x[d.b], d.v, d.model);
+            if (Math.abs(next - d.v) > NEWTON_TOLERANCE) converged = false;
+            d.v = next;
+        });
+        if (converged || iteration >= NEWTON_MAX_ITERATIONS) break;
+    }
+
+    const sol = {
+        v: (i) => x[i],
+        i: (k) => x[n + k],
+        // Along the tangent the last matrix was built with, so currents add up at every node
+        diode: (k) => {
+            const { a, b, model, v } = diodes[k];
+            return diodeCurrent(model, v) + diodeConductance(model, v) * (x[a] - x[b] - v);
+        }
+    };
+
+    // Collect results
+    const voltages = {};
+    nodeIndex.forEach((index, key) => {
+        voltages[key] = x[index];
+    });
+
+    const components = {};
+    probes.forEach(({ comp, probe }) => {
+        const state = probe(sol);
+        components[comp.id] = { ...state, power: state.voltage * state.current };
+    });
+
+    const wires = wireProbes.map(probe => probe(sol));
+
+    // Short circuit: a battery closed on itself through nothing but wires,
+    // switches and other batteries, with a large current flowing.
+    // (Equal cells in parallel form such a loop too, but carry no current.)
+    const shorts = sourceTerminals
+        .filter(s => isZeroResistanceLoop(s, n + sources.length, idealLinks, sourceTerminals))
+        .filter(s => Math.abs(components[s.id].current) > SHORT_CIRCUIT_CURRENT)
+        .map(s => s.id);
+
+    return {
+        voltages,
+        components,
+        wires,
+        shorts,
+        voltageBetween(a, b) {
+            return (voltages[a] ?? 0) - (voltages[b] ?? 0);
+        }
+    };
+}
+
+function isZeroResistanceLoop(source, nodeCount, idealLinks, sourceTerminals) {
+    const parent = Array.from({ length: nodeCount }, (_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+        return i;
+    };
+    const link = (a, b) => {
+        parent[find(a)] = find(b);
+    };
+
+    idealLinks.forEach(([a, b]) => link(a, b));
+    sourceTerminals.forEach(s => {
+        if (s !== source) link(s.pos, s.neg);
+    });
+    return find(source.pos) === find(source.neg);
+}
+
+// Gaussian elimination with partial pivoting (matrices here are tiny)
+function gaussianSolve(A, b) {
+    const n = b.length;
+    const M = A.map(row => Float64Array.from(row));
+    const x = Float64Array.from(b);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        if (Math.abs(M[pivot][col]) < PIVOT_EPSILON) {
+            throw new Error('Circuit matrix is singular');
+        }
+        if (pivot !== col) {
+            [M[pivot], M[col]] = [M[col], M[pivot]];
+            [x[pivot], x[col]] = [x[col], x[pivot]];
+        }
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            if (factor === 0) continue;
+            for (let k = col; k < n; k++) M[row][k] -= factor * M[col][k];
+            x[row] -= factor * x[col];
+        }
+    }
+
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = x[row];
+        for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+        x[row] = sum / M[row][row];
+    }
+    return x;
+}
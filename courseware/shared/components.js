@@ -0,0 +1,1184 @@
+import * as THREE from 'three';
+import { BULB_DEFAULTS, LED_DEFAULTS, MOTOR_DEFAULTS, BUZZER_DEFAULTS, FUSE_DEFAULTS, terminalKey } from './circuit-solver.js';
+import { createCellState } from './battery-charge.js';
+
+// --- Component Library ---
+// Parameterized factories for the lab components. Every factory returns
+//   { group, terminals }
+// where terminals maps a terminal id (the same ids the circuit solver uses)
+// to { id, type, position }: type is 'positive', 'negative' or 'contact' and
+// position is local to the group. The map is also kept in group.userData.terminals.
+
+const metalMat = new THREE.MeshStandardMaterial({ color: 0xc0c0c0, metalness: 0.8, roughness: 0.2 });
+const boxMetalMat = new THREE.MeshStandardMaterial({ color: 0xeeeeee, metalness: 0.8, roughness: 0.2 });
+
+function terminal(id, type, x, y, z) {
+    return { id, type, position: new THREE.Vector3(x, y, z) };
+}
+
+function withTerminals(group, terminals) {
+    group.userData.terminals = terminals;
+    return { group, terminals };
+}
+
+// --- Labels ---
+
+// Billboard "+" / "-" label that always faces the camera
+export function createSpriteLabel(text, color, depthTest = true) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64; canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = color;
+    ctx.font = 'bold 48px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 32, 32);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest }));
+    sprite.scale.set(0.5, 0.5, 0.5);
+    return sprite;
+}
+
+// Label printed flat on a surface (e.g. the battery box floor)
+export function createFlatLabel(text, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64; canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = color;
+    ctx.font = 'bold 56px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 32, 32);
+    const tex = new THREE.CanvasTexture(canvas);
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(0.5, 0.5), new THREE.MeshBasicMaterial({ map: tex, transparent: true }));
+    mesh.rotation.x = -Math.PI / 2;
+    return mesh;
+}
+
+// --- Battery Box Parts ---
+
+export function createSpring() {
+    const points = [];
+    const turns = 6;
+    const length = 0.5;
+    const radius = 0.25;
+    for (let i = 0; i <= 60; i++) {
+        const t = i / 60;
+        const angle = t * Math.PI * 2 * turns;
+        const x = t * length;
+        const y = Math.cos(angle) * radius;
+        const z = Math.sin(angle) * radius;
+        points.push(new THREE.Vector3(x, y, z));
+    }
+    const curve = new THREE.CatmullRomCurve3(points);
+    const geo = new THREE.TubeGeometry(curve, 60, 0.04, 8, false);
+    const mat = new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.9, roughness: 0.1 });
+    return new THREE.Mesh(geo, mat);
+}
+
+export function createPlate() {
+    const mat = new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.9, roughness: 0.1 });
+    return new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.6, 0.6), mat);
+}
+
+// --- Battery ---
+// pose 'upright': AA cell standing on its (-) end, (+) up along local Y (lessons 1-3,
+//                 lay it down with rotation.z = -PI/2)
+// pose 'lying':   smaller cell centered on the origin, (+) along local +X (battery box lessons)
+// The electrical side (EMF, internal resistance, mAh left) lives in
+// group.userData.cell, see battery-charge.js.
+export function createBattery({ pose = 'upright', name = 'battery', emf, internalResistance, capacity } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+    group.userData.cell = createCellState({ emf, internalResistance, capacity });
+
+    if (pose === 'lying') {
+        const body = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.5, 0.5, 2.8, 32),
+            new THREE.MeshStandardMaterial({ color: 0x333333 })
+        );
+        body.rotation.z = -Math.PI / 2;
+        body.castShadow = true;
+        group.add(body);
+
+        const label = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.51, 0.51, 1.8, 32, 1, true),
+            new THREE.MeshStandardMaterial({ color: 0xffcc00 })
+        );
+        label.rotation.z = -Math.PI / 2;
+        group.add(label);
+
+        const pos = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, 0.2, 16), metalMat);
+        pos.name = 'posCap';
+        pos.rotation.z = -Math.PI / 2;
+        pos.position.x = 1.5;
+        group.add(pos);
+
+        const labelPos = createSpriteLabel('+', '#ff0000');
+        labelPos.position.set(0.8, 0.6, 0);
+        group.add(labelPos);
+
+        const neg = new THREE.Mesh(new THREE.CylinderGeometry(0.45, 0.45, 0.05, 32), metalMat);
+        neg.name = 'negCap';
+        neg.rotation.z = -Math.PI / 2;
+        neg.position.x = -1.4;
+        group.add(neg);
+
+        return withTerminals(group, {
+            pos: terminal('pos', 'positive', 1.6, 0, 0),
+            neg: terminal('neg', 'negative', -1.45, 0, 0)
+        });
+    }
+
+    // Main Body
+    const body = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.6, 0.6, 2.5, 32),
+        new THREE.MeshStandardMaterial({ color: 0x333333 }) // Black wrapper
+    );
+    body.position.y = 1.25;
+    body.castShadow = true;
+    group.add(body);
+
+    // Label (Yellow stripe)
+    const label = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.61, 0.61, 1.5, 32, 1, true),
+        new THREE.MeshStandardMaterial({ color: 0xffcc00 })
+    );
+    label.position.y = 1.25;
+    group.add(label);
+
+    // Positive Terminal (Top bump)
+    const pos = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, 0.2, 16), metalMat);
+    pos.name = 'posCap';
+    pos.position.y = 2.6;
+    pos.castShadow = true;
+    group.add(pos);
+
+    // Negative Terminal (Bottom plate)
+    const neg = new THREE.Mesh(new THREE.CylinderGeometry(0.55, 0.55, 0.1, 32), metalMat);
+    neg.name = 'negCap';
+    neg.position.y = 0.05;
+    group.add(neg);
+
+    return withTerminals(group, {
+        pos: terminal('pos', 'positive', 0, 2.8, 0),
+        neg: terminal('neg', 'negative', 0, -0.2, 0)
+    });
+}
+
+// --- Bulb ---
+// mount 'bare':  loose bulb, contacts on the screw thread ('1') and the bottom tip ('2')
+// mount 'posts': bulb in a socket with two binding posts left ('2') and right ('1')
+// The glass, filament and screw base are grouped as 'lamp', which unscrews out of
+// the socket (see bulb-socket.js).
+// The glass and filament materials are exposed in group.userData.materials.
+// The rating (rated voltage / power) lives in group.userData.rating, see bulb-glow.js.
+export function createBulb({
+    mount = 'bare',
+    name = 'bulb',
+    ratedVoltage = BULB_DEFAULTS.ratedVoltage,
+    ratedPower = BULB_DEFAULTS.ratedPower
+} = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+    group.userData.rating = { ratedVoltage, ratedPower };
+
+    // Everything that screws out of the socket
+    const lamp = new THREE.Group();
+    lamp.name = 'lamp';
+    group.add(lamp);
+
+    // Glass
+    const bulbMaterial = new THREE.MeshPhysicalMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.3,
+        transmission: 0.9,
+        roughness: 0,
+        metalness: 0,
+        emissive: 0x000000
+    });
+    const glass = new THREE.Mesh(new THREE.SphereGeometry(0.8, 32, 32), bulbMaterial);
+    glass.position.y = 1.8;
+    glass.castShadow = true;
+    lamp.add(glass);
+
+    // Filament (Tungsten Wire) - "M" shape
+    const filamentMaterial = new THREE.MeshStandardMaterial({
+        color: 0x555555, // Dark grey when off
+        emissive: 0x000000
+    });
+
+    // Filament supports
+    const supportGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.8, 8);
+    const supportMat = new THREE.MeshStandardMaterial({ color: 0x888888 });
+    const s1 = new THREE.Mesh(supportGeo, supportMat);
+    s1.position.set(-0.2, 1.4, 0);
+    lamp.add(s1);
+    const s2 = new THREE.Mesh(supportGeo, supportMat);
+    s2.position.set(0.2, 1.4, 0);
+    lamp.add(s2);
+
+    // The coil itself
+    const filamentPath = new THREE.CatmullRomCurve3([
+        new THREE.Vector3(-0.2, 1.8, 0),
+        new THREE.Vector3(-0.1, 2.0, 0),
+        new THREE.Vector3(0, 1.8, 0),
+        new THREE.Vector3(0.1, 2.0, 0),
+        new THREE.Vector3(0.2, 1.8, 0)
+    ]);
+    const filament = new THREE.Mesh(new THREE.TubeGeometry(filamentPath, 20, 0.015, 8, false), filamentMaterial);
+    filament.name = 'filament';
+    lamp.add(filament);
+
+    // Burnt-out coil: snapped in the middle, both halves sagging (hidden until it burns)
+    const brokenFilament = new THREE.Group();
+    brokenFilament.name = 'brokenFilament';
+    brokenFilament.visible = false;
+    [
+        [new THREE.Vector3(-0.2, 1.8, 0), new THREE.Vector3(-0.1, 1.95, 0), new THREE.Vector3(-0.06, 1.75, 0), new THREE.Vector3(-0.08, 1.6, 0)],
+        [new THREE.Vector3(0.2, 1.8, 0), new THREE.Vector3(0.1, 2.0, 0), new THREE.Vector3(0.03, 1.82, 0), new THREE.Vector3(0.05, 1.68, 0)]
+    ].forEach(points => {
+        const half = new THREE.Mesh(new THREE.TubeGeometry(new THREE.CatmullRomCurve3(points), 12, 0.015, 8, false), filamentMaterial);
+        brokenFilament.add(half);
+    });
+    lamp.add(brokenFilament);
+
+    // Metal Base (Screw part)
+    const base = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, 0.8, 32), metalMat);
+    base.position.y = 1.0;
+    base.castShadow = true;
+    lamp.add(base);
+
+    // Bottom Contact
+    const contact = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.1, 0.05, 0.2, 16),
+        new THREE.MeshStandardMaterial({ color: 0x000000 })
+    );
+    contact.position.y = 0.5;
+    lamp.add(contact);
+
+    group.userData.materials = { bulb: bulbMaterial, filament: filamentMaterial };
+
+    if (mount === 'posts') {
+        // Socket collar the lamp screws into, clear of the posts below
+        const socket = new THREE.Mesh(new THREE.CylinderGeometry(0.46, 0.46, 0.35, 32), new THREE.MeshStandardMaterial({ color: 0x222222 }));
+        socket.name = 'socket';
+        socket.position.y = 0.97;
+        socket.castShadow = true;
+        group.add(socket);
+
+        const postMat = new THREE.MeshStandardMaterial({ color: 0x000000 });
+        const t1 = new THREE.Mesh(new THREE.SphereGeometry(0.15), postMat);
+        t1.position.set(0.4, 0.5, 0);
+        group.add(t1);
+        const t2 = new THREE.Mesh(new THREE.SphereGeometry(0.15), postMat);
+        t2.position.set(-0.4, 0.5, 0);
+        group.add(t2);
+
+        return withTerminals(group, {
+            1: terminal('1', 'contact', 0.4, 0.5, 0),
+            2: terminal('2', 'contact', -0.4, 0.5, 0)
+        });
+    }
+
+    return withTerminals(group, {
+        1: terminal('1', 'contact', 0.4, 1.0, 0),
+        2: terminal('2', 'contact', 0, 0.5, 0)
+    });
+}
+
+// --- LED ---
+// A 5 mm LED standing on its legs: the long leg is the anode ('anode', +), the
+// short one the cathode ('cathode', -), on the side where the rim is flattened.
+// mount 'bare':  terminals at the ends of the legs
+// mount 'posts': LED on a holder with binding posts, anode right, cathode left
+// The dome and chip materials are exposed in group.userData.materials,
+// the rating (forward voltage / rated current) lives in group.userData.rating.
+export const LED_COLORS = {
+    red: { color: 0xff2020, forwardVoltage: 1.8 },
+    yellow: { color: 0xffc000, forwardVoltage: 2.0 },
+    green: { color: 0x20e040, forwardVoltage: 2.2 },
+    blue: { color: 0x3070ff, forwardVoltage: 3.0 }
+};
+
+export function createLed({ color = 'red', mount = 'bare', name = 'led', ratedCurrent = LED_DEFAULTS.ratedCurrent } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+    const { color: hex, forwardVoltage } = LED_COLORS[color];
+    group.userData.ledColor = color;
+    group.userData.rating = { forwardVoltage, ratedCurrent };
+
+    // Everything above the legs hangs off one group so the holder can lift it
+    const lamp = new THREE.Group();
+    lamp.position.y = mount === 'posts' ? 0.5 : 1.2;
+    group.add(lamp);
+
+    // Epoxy dome, tinted in the LED's colour
+    const domeMaterial = new THREE.MeshPhysicalMaterial({
+        color: hex,
+        transparent: true,
+        opacity: 0.6,
+        roughness: 0.1,
+        emissive: 0x000000
+    });
+    const dome = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, 0.5, 32), domeMaterial);
+    dome.position.y = 0.35;
+    dome.castShadow = true;
+    lamp.add(dome);
+    const cap = new THREE.Mesh(new THREE.SphereGeometry(0.4, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2), domeMaterial);
+    cap.position.y = 0.6;
+    lamp.add(cap);
+
+    // Rim with a flat on the cathode side
+    const chord = Math.acos(-0.38 / 0.48);
+    const rimShape = new THREE.Shape();
+    rimShape.absarc(0, 0, 0.48, -chord, chord, false);
+    rimShape.closePath();
+    const rim = new THREE.Mesh(new THREE.ExtrudeGeometry(rimShape, { depth: 0.1, bevelEnabled: false }), domeMaterial);
+    rim.rotation.x = -Math.PI / 2;
+    lamp.add(rim);
+
+    // Chip in its reflector cup on top of the cathode post, bonded to the anode post
+    const chipMaterial = new THREE.MeshStandardMaterial({ color: 0x333333, emissive: 0x000000 });
+    const chip = new THREE.Mesh(new THREE.BoxGeometry(0.12, 0.06, 0.12), chipMaterial);
+    chip.name = 'chip';
+    chip.position.set(-0.12, 0.45, 0);
+    lamp.add(chip);
+    const cup = new THREE.Mesh(new THREE.CylinderGeometry(0.16, 0.08, 0.12, 16, 1, true), metalMat);
+    cup.position.set(-0.12, 0.42, 0);
+    lamp.add(cup);
+    const bond = new THREE.Mesh(new THREE.CylinderGeometry(0.01, 0.01, 0.3, 6), metalMat);
+    bond.rotation.z = Math.PI / 2.5;
+    bond.position.set(0.02, 0.5, 0);
+    lamp.add(bond);
+
+    // Burnt-out chip: a black scorch in the cup (hidden until it burns)
+    const scorch = new THREE.Mesh(new THREE.SphereGeometry(0.1, 12, 8), new THREE.MeshStandardMaterial({ color: 0x111111 }));
+    scorch.name = 'scorch';
+    scorch.scale.y = 0.5;
+    scorch.position.set(-0.12, 0.48, 0);
+    scorch.visible = false;
+    lamp.add(scorch);
+
+    group.userData.materials = { dome: domeMaterial, chip: chipMaterial };
+
+    // Legs run up into the dome; below the rim the anode is long, the cathode short
+    const legLength = mount === 'posts' ? { anode: 0.3, cathode: 0.3 } : { anode: 1.1, cathode: 0.6 };
+    const legX = { anode: 0.25, cathode: -0.25 };
+    const legGeo = new THREE.CylinderGeometry(0.03, 0.03, 1, 8);
+    ['anode', 'cathode'].forEach(id => {
+        const leg = new THREE.Mesh(legGeo, metalMat);
+        leg.scale.y = legLength[id] + 0.3;
+        leg.position.set(legX[id], (0.3 - legLength[id]) / 2, 0);
+        lamp.add(leg);
+    });
+
+    if (mount === 'posts') {
+        const holder = new THREE.Mesh(new THREE.BoxGeometry(2, 0.2, 0.8), new THREE.MeshStandardMaterial({ color: 0xeeeeee }));
+        holder.position.y = 0.1;
+        holder.castShadow = true;
+        group.add(holder);
+
+        const posts = { anode: [0.8, 0xff0000], cathode: [-0.8, 0x000000] };
+        Object.values(posts).forEach(([x, postColor]) => {
+            const post = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.3), new THREE.MeshStandardMaterial({ color: postColor }));
+            post.position.set(x, 0.35, 0);
+            group.add(post);
+        });
+        // Printed tracks from the legs out to the posts
+        [-0.52, 0.52].forEach(x => {
+            const track = new THREE.Mesh(new THREE.BoxGeometry(0.55, 0.01, 0.08), boxMetalMat);
+            track.position.set(x, 0.205, 0);
+            group.add(track);
+        });
+        const plus = createFlatLabel('+', '#cc0000');
+        plus.scale.setScalar(0.6);
+        plus.position.set(0.8, 0.21, 0.3);
+        group.add(plus);
+
+        return withTerminals(group, {
+            anode: terminal('anode', 'positive', 0.8, 0.5, 0),
+            cathode: terminal('cathode', 'negative', -0.8, 0.5, 0)
+        });
+    }
+
+    return withTerminals(group, {
+        anode: terminal('anode', 'positive', legX.anode, lamp.position.y - legLength.anode, 0),
+        cathode: terminal('cathode', 'negative', legX.cathode, lamp.position.y - legLength.cathode, 0)
+    });
+}
+
+// --- Output Parts ---
+// Loads that do something other than glow, with the same terminals as a bulb
+// ('1', '2') and the same mounts:
+// mount 'bare':  terminals on two solder tabs low on either side
+// mount 'posts': on a holder with binding posts, '1' (red) right, '2' left
+// The rating (rated current) lives in group.userData.rating.
+
+function addHolder(group, width) {
+    const holder = new THREE.Mesh(new THREE.BoxGeometry(width, 0.2, 1.2), new THREE.MeshStandardMaterial({ color: 0xdddddd }));
+    holder.position.y = 0.1;
+    holder.castShadow = true;
+    group.add(holder);
+
+    [[0.9, 0xff0000], [-0.9, 0x000000]].forEach(([x, color]) => {
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.3), new THREE.MeshStandardMaterial({ color }));
+        post.position.set(x, 0.35, 0);
+        group.add(post);
+    });
+    return {
+        1: terminal('1', 'contact', 0.9, 0.5, 0),
+        2: terminal('2', 'contact', -0.9, 0.5, 0)
+    };
+}
+
+function addSolderTabs(group, y) {
+    [0.5, -0.5].forEach(x => {
+        const tab = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.04, 0.12), metalMat);
+        tab.position.set(x, y, 0);
+        group.add(tab);
+    });
+    return {
+        1: terminal('1', 'contact', 0.6, y, 0),
+        2: terminal('2', 'contact', -0.6, y, 0)
+    };
+}
+
+// --- DC Motor ---
+// A small can motor standing shaft-up with a three-blade fan on top.
+// The fan group is named 'fan' and turns about Y, see motor-spin.js.
+export function createMotor({ mount = 'bare', name = 'motor', ratedCurrent = MOTOR_DEFAULTS.ratedCurrent } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+    group.userData.rating = { ratedCurrent };
+    const base = mount === 'posts' ? 0.2 : 0;
+
+    const can = new THREE.Mesh(new THREE.CylinderGeometry(0.45, 0.45, 1.0, 32), metalMat);
+    can.position.y = base + 0.5;
+    can.castShadow = true;
+    group.add(can);
+
+    const endCap = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.35, 0.12, 24), new THREE.MeshStandardMaterial({ color: 0xf5f5f5 }));
+    endCap.position.y = base + 1.06;
+    group.add(endCap);
+
+    const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 0.5, 8), metalMat);
+    shaft.position.y = base + 1.3;
+    group.add(shaft);
+
+    // Fan: hub and three pitched blades, one with a white tip to follow by eye
+    const fan = new THREE.Group();
+    fan.name = 'fan';
+    fan.position.y = base + 1.55;
+    const bladeMat = new THREE.MeshStandardMaterial({ color: 0xff7f27 });
+    const hub = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.14, 16), bladeMat);
+    fan.add(hub);
+    [0, 1, 2].forEach(i => {
+        const arm = new THREE.Group();
+        arm.rotation.y = i * Math.PI * 2 / 3;
+        const blade = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.03, 0.28), bladeMat);
+        blade.position.x = 0.5;
+        blade.rotation.x = 0.35;
+        blade.castShadow = true;
+        arm.add(blade);
+        if (i === 0) {
+            const tip = new THREE.Mesh(new THREE.BoxGeometry(0.12, 0.04, 0.29), new THREE.MeshStandardMaterial({ color: 0xffffff }));
+            tip.position.x = 0.34;
+            blade.add(tip);
+        }
+        fan.add(arm);
+    });
+    group.add(fan);
+
+    return withTerminals(group, mount === 'posts' ? addHolder(group, 2.2) : addSolderTabs(group, 0.15));
+}
+
+// --- Buzzer ---
+// A round active buzzer. The 'soundWaves' rings above it are hidden until it
+// sounds, see buzzer-sound.js.
+export function createBuzzer({ mount = 'bare', name = 'buzzer', ratedCurrent = BUZZER_DEFAULTS.ratedCurrent } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+    group.userData.rating = { ratedCurrent };
+    const base = mount === 'posts' ? 0.2 : 0;
+
+    const body = new THREE.Mesh(new THREE.CylinderGeometry(0.45, 0.45, 0.45, 32), new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.6 }));
+    body.position.y = base + 0.225;
+    body.castShadow = true;
+    group.add(body);
+
+    const hole = new THREE.Mesh(new THREE.CircleGeometry(0.08, 16), new THREE.MeshBasicMaterial({ color: 0x000000 }));
+    hole.rotation.x = -Math.PI / 2;
+    hole.position.y = base + 0.455;
+    group.add(hole);
+
+    const plus = createFlatLabel('+', '#ffffff');
+    plus.scale.setScalar(0.5);
+    plus.position.set(0.25, base + 0.46, 0);
+    group.add(plus);
+
+    const waves = new THREE.Group();
+    waves.name = 'soundWaves';
+    waves.position.y = base + 0.6;
+    waves.visible = false;
+    [0, 1, 2].forEach(() => {
+        const ring = new THREE.Mesh(
+            new THREE.TorusGeometry(0.3, 0.025, 8, 32),
+            new THREE.MeshBasicMaterial({ color: 0x3498db, transparent: true, opacity: 1 })
+        );
+        ring.rotation.x = Math.PI / 2;
+        waves.add(ring);
+    });
+    group.add(waves);
+
+    return withTerminals(group, mount === 'posts' ? addHolder(group, 2.2) : addSolderTabs(group, 0.1));
+}
+
+// --- Fuse ---
+// A glass cartridge fuse lying in a holder with spring clips and binding posts
+// '1' (right) and '2' (left). The cartridge group is named 'cartridge' so it can
+// be lifted out and swapped; inside it the thin 'fuseWire' gives way to the
+// 'meltedWire' stubs when the fuse blows (see fuse-melt.js).
+// The rating (rated current) lives in group.userData.rating.
+export function createFuse({ name = 'fuse', ratedCurrent = FUSE_DEFAULTS.ratedCurrent } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+    group.userData.rating = { ratedCurrent };
+
+    const holder = new THREE.Mesh(new THREE.BoxGeometry(2.6, 0.2, 1.0), new THREE.MeshStandardMaterial({ color: 0x333333 }));
+    holder.position.y = 0.1;
+    holder.castShadow = true;
+    group.add(holder);
+
+    [-1, 1].forEach(side => {
+        const clip = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.45, 0.5), boxMetalMat);
+        clip.position.set(side * 0.6, 0.4, 0);
+        group.add(clip);
+
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.3), new THREE.MeshStandardMaterial({ color: side > 0 ? 0xff0000 : 0x000000 }));
+        post.position.set(side * 1.1, 0.35, 0);
+        group.add(post);
+    });
+
+    // Cartridge: glass tube between two metal caps, the fuse wire along its axis
+    const cartridge = new THREE.Group();
+    cartridge.name = 'cartridge';
+    cartridge.position.y = 0.55;
+
+    const glassMat = new THREE.MeshStandardMaterial({ color: 0xffffff, transparent: true, opacity: 0.3, roughness: 0.05 });
+    const glass = new THREE.Mesh(new THREE.CylinderGeometry(0.18, 0.18, 1.1, 24), glassMat);
+    glass.rotation.z = Math.PI / 2;
+    cartridge.add(glass);
+
+    [-1, 1].forEach(side => {
+        const cap = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, 0.25, 24), metalMat);
+        cap.rotation.z = Math.PI / 2;
+        cap.position.x = side * 0.65;
+        cap.castShadow = true;
+        cartridge.add(cap);
+    });
+
+    const wireMat = new THREE.MeshStandardMaterial({ color: 0x999999, metalness: 0.6, roughness: 0.4 });
+    const wire = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 1.1, 8), wireMat);
+    wire.name = 'fuseWire';
+    wire.rotation.z = Math.PI / 2;
+    cartridge.add(wire);
+
+    // What is left once it blows: two stubs and beads of molten metal
+    const melted = new THREE.Group();
+    melted.name = 'meltedWire';
+    melted.visible = false;
+    const stubMat = new THREE.MeshStandardMaterial({ color: 0x555555, metalness: 0.6, roughness: 0.4 });
+    [-1, 1].forEach(side => {
+        const stub = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 0.35, 8), stubMat);
+        stub.rotation.z = Math.PI / 2;
+        stub.position.x = side * 0.375;
+        melted.add(stub);
+
+        const bead = new THREE.Mesh(new THREE.SphereGeometry(0.04, 8, 8), stubMat);
+        bead.position.x = side * 0.2;
+        melted.add(bead);
+    });
+    const drop = new THREE.Mesh(new THREE.SphereGeometry(0.035, 8, 8), stubMat);
+    drop.position.set(0.05, -0.14, 0.03);
+    melted.add(drop);
+    cartridge.add(melted);
+
+    group.add(cartridge);
+    group.userData.materials = { glass: glassMat, wire: wireMat };
+
+    return withTerminals(group, {
+        1: terminal('1', 'contact', 1.1, 0.5, 0),
+        2: terminal('2', 'contact', -1.1, 0.5, 0)
+    });
+}
+
+// --- Knife Switch ---
+// The lever group is named 'lever' and pivots at the rear hinge:
+// rotation.x = 0 is closed, group.userData.openAngle is open.
+// mount 'bare':  terminals just beyond the clips
+// mount 'posts': hinge pin plus two binding posts on the base
+export function createSwitch({ mount = 'bare', openAngle = Math.PI / 4, name = 'switch' } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+
+    // Base
+    const base = new THREE.Mesh(
+        new THREE.BoxGeometry(1.5, 0.2, 3),
+        new THREE.MeshStandardMaterial({ color: 0x333333 }) // Black plastic base
+    );
+    base.position.y = 0.1;
+    base.castShadow = true;
+    group.add(base);
+
+    // Contacts (Metal clips)
+    const clipGeo = new THREE.BoxGeometry(0.4, 0.4, 0.4);
+
+    // Rear hinge
+    const rearClip = new THREE.Mesh(clipGeo, metalMat);
+    rearClip.position.set(0, 0.4, 1.0);
+    group.add(rearClip);
+
+    // Front contact
+    const frontClip = new THREE.Mesh(clipGeo, metalMat);
+    frontClip.position.set(0, 0.4, -1.0);
+    group.add(frontClip);
+
+    // Lever Group (Pivot at rear)
+    const lever = new THREE.Group();
+    lever.name = 'lever';
+    lever.position.set(0, 0.5, 1.0);
+
+    // Blade, geometry moved so its origin is at the hinge end
+    const bladeGeo = new THREE.BoxGeometry(0.2, 0.1, 2.2);
+    bladeGeo.translate(0, 0, -1.0);
+    const blade = new THREE.Mesh(bladeGeo, metalMat);
+    lever.add(blade);
+
+    // Handle
+    const handle = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.15, 0.1, 0.8),
+        new THREE.MeshStandardMaterial({ color: 0xff0000 }) // Red handle
+    );
+    handle.rotation.x = -Math.PI / 2;
+    handle.position.set(0, 0, -2.2);
+    lever.add(handle);
+
+    // Initial state: Open
+    lever.rotation.x = openAngle;
+    group.add(lever);
+    group.userData.openAngle = openAngle;
+
+    if (mount === 'posts') {
+        const pin = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 0.6), metalMat);
+        pin.rotation.z = Math.PI / 2;
+        pin.position.set(0, 0.5, 1.0);
+        group.add(pin);
+
+        const t1 = new THREE.Mesh(new THREE.SphereGeometry(0.15), metalMat);
+        t1.position.set(0, 0.2, 1.2);
+        group.add(t1);
+        const t2 = new THREE.Mesh(new THREE.SphereGeometry(0.15), metalMat);
+        t2.position.set(0, 0.2, -1.2);
+        group.add(t2);
+
+        return withTerminals(group, {
+            front: terminal('front', 'contact', 0, 0.2, -1.2),
+            rear: terminal('rear', 'contact', 0, 0.2, 1.2)
+        });
+    }
+
+    return withTerminals(group, {
+        front: terminal('front', 'contact', 0, 0.4, -1.5),
+        rear: terminal('rear', 'contact', 0, 0.4, 1.5)
+    });
+}
+
+// --- Two-Way Switch ---
+// Single-pole double-throw knife switch: the blade is hinged in the middle
+// ('common') and thrown forwards onto clip 'a' or backwards onto clip 'b'.
+// group.userData.contact is 'a', 'b' or null (blade standing up, touching
+// neither); setSpdtContact() throws the lever, the solver reads { contact }
+// (see the 'spdt' element).
+// mount 'bare':  terminals just beyond the clips, common at the side of the hinge
+// mount 'posts': three binding posts on the base
+const SPDT_CONTACT_ANGLES = { a: 0, b: Math.PI };
+
+export function createSpdtSwitch({ mount = 'bare', contact = 'a', name = 'spdt' } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+
+    const base = new THREE.Mesh(new THREE.BoxGeometry(1.5, 0.2, 4), new THREE.MeshStandardMaterial({ color: 0x333333 }));
+    base.position.y = 0.1;
+    base.castShadow = true;
+    group.add(base);
+
+    const clipGeo = new THREE.BoxGeometry(0.4, 0.4, 0.4);
+    const hinge = new THREE.Mesh(clipGeo, metalMat);
+    hinge.position.set(0, 0.4, 0);
+    group.add(hinge);
+    [['a', -1.4], ['b', 1.4]].forEach(([id, z]) => {
+        const clip = new THREE.Mesh(clipGeo, metalMat);
+        clip.position.set(0, 0.4, z);
+        group.add(clip);
+
+        const label = createFlatLabel(id, '#ffffff');
+        label.position.set(0.5, 0.21, z);
+        group.add(label);
+    });
+
+    // Lever pivots at the hinge; at rotation.x = 0 it lies on clip 'a'
+    const lever = new THREE.Group();
+    lever.name = 'lever';
+    lever.position.set(0, 0.5, 0);
+    const bladeGeo = new THREE.BoxGeometry(0.2, 0.1, 1.6);
+    bladeGeo.translate(0, 0, -0.8);
+    lever.add(new THREE.Mesh(bladeGeo, metalMat));
+    const handle = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.1, 0.6), new THREE.MeshStandardMaterial({ color: 0xff0000 }));
+    handle.rotation.x = -Math.PI / 2;
+    handle.position.set(0, 0, -1.7);
+    lever.add(handle);
+    group.add(lever);
+
+    setSpdtContact(group, contact);
+
+    if (mount === 'posts') {
+        [[0.55, 0], [0, -1.8], [0, 1.8]].forEach(([x, z]) => {
+            const post = new THREE.Mesh(new THREE.SphereGeometry(0.15), metalMat);
+            post.position.set(x, 0.2, z);
+            group.add(post);
+        });
+        return withTerminals(group, {
+            common: terminal('common', 'contact', 0.55, 0.2, 0),
+            a: terminal('a', 'contact', 0, 0.2, -1.8),
+            b: terminal('b', 'contact', 0, 0.2, 1.8)
+        });
+    }
+
+    return withTerminals(group, {
+        common: terminal('common', 'contact', 0.4, 0.4, 0),
+        a: terminal('a', 'contact', 0, 0.4, -1.9),
+        b: terminal('b', 'contact', 0, 0.4, 1.9)
+    });
+}
+
+// Lever angle for a contact: 'a', 'b', or null for upright
+export function spdtLeverAngle(contact) {
+    return contact in SPDT_CONTACT_ANGLES ? SPDT_CONTACT_ANGLES[contact] : Math.PI / 2;
+}
+
+export function setSpdtContact(spdt, contact) {
+    spdt.userData.contact = contact in SPDT_CONTACT_ANGLES ? contact : null;
+    spdt.getObjectByName('lever').rotation.x = spdtLeverAngle(spdt.userData.contact);
+}
+
+// --- Resistor ---
+// A fixed resistor on a little board with a binding post at each end ('1' left,
+// '2' right). The value is painted on in colour bands (two digits, multiplier,
+// gold tolerance) and lives in group.userData.resistance; setResistance()
+// changes both.
+const BAND_COLORS = [0x111111, 0x8b4513, 0xdd0000, 0xff8c00, 0xffd700, 0x2e8b57, 0x1e5bc6, 0x8a2be2, 0x808080, 0xffffff];
+const GOLD = 0xd4af37;
+const SILVER = 0xc0c0c0;
+
+// Band colours for a value in ohms, e.g. 10 -> brown, black, black, gold
+export function resistorBands(resistance) {
+    let exponent = Math.floor(Math.log10(resistance)) - 1;
+    let digits = Math.round(resistance / 10 ** exponent);
+    if (digits >= 100) {
+        digits /= 10;
+        exponent++;
+    }
+    const multiplier = exponent === -1 ? GOLD : exponent === -2 ? SILVER : BAND_COLORS[exponent];
+    return [BAND_COLORS[Math.floor(digits / 10)], BAND_COLORS[digits % 10], multiplier, GOLD];
+}
+
+export function createResistor({ resistance = 10, name = 'resistor' } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+
+    const board = new THREE.Mesh(new THREE.BoxGeometry(2.8, 0.2, 1), new THREE.MeshStandardMaterial({ color: 0x2d5a27 }));
+    board.position.y = 0.1;
+    board.castShadow = true;
+    group.add(board);
+
+    // Body lying along X with its leads running down to the posts
+    const body = new THREE.Mesh(new THREE.CylinderGeometry(0.22, 0.22, 1.2, 24), new THREE.MeshStandardMaterial({ color: 0xe8d5a8 }));
+    body.rotation.z = Math.PI / 2;
+    body.position.y = 0.6;
+    group.add(body);
+
+    const lead = new THREE.CylinderGeometry(0.03, 0.03, 0.6, 8);
+    [-0.9, 0.9].forEach(x => {
+        const wire = new THREE.Mesh(lead, metalMat);
+        wire.rotation.z = Math.PI / 2;
+        wire.position.set(x, 0.6, 0);
+        group.add(wire);
+
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.4), metalMat);
+        post.position.set(x * 1.3, 0.4, 0);
+        group.add(post);
+    });
+
+    const bands = [-0.4, -0.25, -0.1, 0.4].map(x => {
+        const band = new THREE.Mesh(new THREE.CylinderGeometry(0.23, 0.23, 0.08, 24), new THREE.MeshStandardMaterial());
+        band.rotation.z = Math.PI / 2;
+        band.position.set(x, 0.6, 0);
+        group.add(band);
+        return band;
+    });
+    group.userData.bands = bands;
+    setResistance(group, resistance);
+
+    return withTerminals(group, {
+        1: terminal('1', 'contact', -1.17, 0.6, 0),
+        2: terminal('2', 'contact', 1.17, 0.6, 0)
+    });
+}
+
+export function setResistance(resistor, resistance) {
+    resistor.userData.resistance = resistance;
+    resistorBands(resistance).forEach((color, i) => resistor.userData.bands[i].material.color.set(color));
+}
+
+// --- Sliding Rheostat ---
+// A coil wound on a porcelain tube with a metal bar above it. The wiper rides
+// on the bar and touches the coil, so between a coil end ('a' left, 'b' right)
+// and the bar ('c') only part of the coil is in the circuit.
+// group.userData.wiper runs from 0 (at 'a') to 1 (at 'b'); setRheostatWiper()
+// moves the slider (the group named 'wiper'), the solver reads
+// { maxResistance, wiper } (see the 'rheostat' element).
+const RHEOSTAT_LENGTH = 4;
+
+export function createRheostat({ maxResistance = 20, wiper = 0.5, name = 'rheostat' } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+
+    const darkMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
+    const base = new THREE.Mesh(new THREE.BoxGeometry(RHEOSTAT_LENGTH + 1.2, 0.3, 1.6), darkMat);
+    base.position.y = 0.15;
+    base.castShadow = true;
+    group.add(base);
+
+    // End blocks holding the tube and the bar
+    [-1, 1].forEach(side => {
+        const block = new THREE.Mesh(new THREE.BoxGeometry(0.3, 1.4, 0.9), darkMat);
+        block.position.set(side * (RHEOSTAT_LENGTH / 2 + 0.2), 1.0, 0);
+        group.add(block);
+    });
+
+    // Porcelain tube and the coil around it
+    const tube = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.35, RHEOSTAT_LENGTH, 24), new THREE.MeshStandardMaterial({ color: 0xe8e0d0 }));
+    tube.rotation.z = Math.PI / 2;
+    tube.position.y = 0.8;
+    group.add(tube);
+
+    const points = [];
+    const turns = 40;
+    for (let i = 0; i <= turns * 8; i++) {
+        const t = i / (turns * 8);
+        const angle = t * Math.PI * 2 * turns;
+        points.push(new THREE.Vector3((t - 0.5) * RHEOSTAT_LENGTH, 0.8 + Math.cos(angle) * 0.37, Math.sin(angle) * 0.37));
+    }
+    const coil = new THREE.Mesh(
+        new THREE.TubeGeometry(new THREE.CatmullRomCurve3(points), turns * 8, 0.025, 6, false),
+        new THREE.MeshStandardMaterial({ color: 0xb87333, metalness: 0.7, roughness: 0.3 })
+    );
+    group.add(coil);
+
+    const bar = new THREE.Mesh(new THREE.BoxGeometry(RHEOSTAT_LENGTH + 0.4, 0.12, 0.12), metalMat);
+    bar.position.y = 1.55;
+    group.add(bar);
+
+    // Slider: a block on the bar with a blue knob and a spring contact down to the coil
+    const slider = new THREE.Group();
+    slider.name = 'wiper';
+    const block = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.3, 0.5), metalMat);
+    block.position.y = 1.55;
+    slider.add(block);
+    const knob = new THREE.Mesh(new THREE.CylinderGeometry(0.18, 0.18, 0.25, 16), new THREE.MeshStandardMaterial({ color: 0x2980b9 }));
+    knob.position.y = 1.85;
+    slider.add(knob);
+    const contact = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.4, 0.2), boxMetalMat);
+    contact.position.y = 1.2;
+    slider.add(contact);
+    group.add(slider);
+
+    // Binding posts: both coil ends at the front, the bar at its right end
+    [-1, 1].forEach(side => {
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.3), metalMat);
+        post.position.set(side * (RHEOSTAT_LENGTH / 2 + 0.2), 0.45, 0.6);
+        group.add(post);
+    });
+    const barPost = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.3), metalMat);
+    barPost.position.set(RHEOSTAT_LENGTH / 2 + 0.2, 1.85, 0);
+    group.add(barPost);
+
+    group.userData.maxResistance = maxResistance;
+    setRheostatWiper(group, wiper);
+
+    return withTerminals(group, {
+        a: terminal('a', 'contact', -(RHEOSTAT_LENGTH / 2 + 0.2), 0.6, 0.6),
+        b: terminal('b', 'contact', RHEOSTAT_LENGTH / 2 + 0.2, 0.6, 0.6),
+        c: terminal('c', 'contact', RHEOSTAT_LENGTH / 2 + 0.2, 2.0, 0)
+    });
+}
+
+export function setRheostatWiper(rheostat, wiper) {
+    wiper = THREE.MathUtils.clamp(wiper, 0, 1);
+    rheostat.userData.wiper = wiper;
+    rheostat.getObjectByName('wiper').position.x = (wiper - 0.5) * RHEOSTAT_LENGTH;
+}
+
+// Wiper position under a point given in the rheostat's local space
+export function rheostatWiperAt(localPoint) {
+    return THREE.MathUtils.clamp(localPoint.x / RHEOSTAT_LENGTH + 0.5, 0, 1);
+}
+
+// --- Test Gap ---
+// Two copper plates on a wooden block with a gap between them, and binding
+// posts '1' (right) and '2' (left). A sample laid across the plates closes the
+// gap; group.userData.seat is where it lies, in the group's space. The solver
+// reads the sample's resistance (see the 'gap' element).
+export function createTestGap({ name = 'gap' } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+
+    const block = new THREE.Mesh(new THREE.BoxGeometry(3.2, 0.3, 1.4), new THREE.MeshStandardMaterial({ color: 0xc8a165 }));
+    block.position.y = 0.15;
+    block.castShadow = true;
+    group.add(block);
+
+    const copperMat = new THREE.MeshStandardMaterial({ color: 0xb87333, metalness: 0.7, roughness: 0.3 });
+    [-1, 1].forEach(side => {
+        const plate = new THREE.Mesh(new THREE.BoxGeometry(0.7, 0.06, 1.0), copperMat);
+        plate.position.set(side * 0.65, 0.33, 0);
+        group.add(plate);
+
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.3), metalMat);
+        post.position.set(side * 1.35, 0.45, 0);
+        group.add(post);
+    });
+
+    group.userData.seat = new THREE.Vector3(0, 0.36, 0);
+
+    return withTerminals(group, {
+        1: terminal('1', 'contact', 1.35, 0.6, 0),
+        2: terminal('2', 'contact', -1.35, 0.6, 0)
+    });
+}
+
+// --- Material Samples ---
+// Everyday things to lay across a test gap. resistance is what the gap sees
+// end to end (Ohm); insulators are Infinity.
+export const MATERIAL_SAMPLES = {
+    coin: { label: '硬币', resistance: 0.02 },
+    paperClip: { label: '回形针', resistance: 0.05 },
+    graphite: { label: '铅笔芯', resistance: 15 },
+    eraser: { label: '橡皮', resistance: Infinity },
+    ruler: { label: '塑料尺', resistance: Infinity },
+    glass: { label: '玻璃棒', resistance: Infinity }
+};
+
+export function isConductor(material) {
+    return Number.isFinite(MATERIAL_SAMPLES[material].resistance);
+}
+
+// Every sample lies along X, long enough to reach both plates of a test gap.
+// Its origin is at the bottom, so it rests on whatever it is put on.
+// group.userData: { material, resistance }
+export function createSample(material, { name = material } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+    const { resistance } = MATERIAL_SAMPLES[material];
+    group.userData.material = material;
+    group.userData.resistance = resistance;
+
+    let mesh;
+    if (material === 'coin') {
+        mesh = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.55, 0.55, 0.08, 32),
+            new THREE.MeshStandardMaterial({ color: 0xd4af37, metalness: 0.9, roughness: 0.3 })
+        );
+        mesh.position.y = 0.04;
+    } else if (material === 'paperClip') {
+        // Two nested loops bent from one wire
+        const points = [
+            [0.8, -0.12], [-0.75, -0.12], [-0.75, 0.16], [0.65, 0.16], [0.65, -0.05], [-0.55, -0.05], [-0.55, 0.08], [0.35, 0.08]
+        ].map(([x, z]) => new THREE.Vector3(x, 0.03, z));
+        const curve = new THREE.CatmullRomCurve3(points, false, 'catmullrom', 0.1);
+        mesh = new THREE.Mesh(new THREE.TubeGeometry(curve, 64, 0.03, 6, false), metalMat);
+    } else if (material === 'graphite') {
+        mesh = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.05, 0.05, 2.0, 12),
+            new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.5, roughness: 0.4 })
+        );
+        mesh.rotation.z = Math.PI / 2;
+        mesh.position.y = 0.05;
+    } else if (material === 'eraser') {
+        mesh = new THREE.Mesh(new THREE.BoxGeometry(1.6, 0.35, 0.7), new THREE.MeshStandardMaterial({ color: 0xf8c8d0, roughness: 0.9 }));
+        mesh.position.y = 0.175;
+    } else if (material === 'ruler') {
+        mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(2.6, 0.05, 0.6),
+            new THREE.MeshStandardMaterial({ color: 0x5dade2, transparent: true, opacity: 0.7 })
+        );
+        mesh.position.y = 0.025;
+    } else {
+        mesh = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.09, 0.09, 2.4, 16),
+            new THREE.MeshStandardMaterial({ color: 0xddeeff, transparent: true, opacity: 0.45, roughness: 0.05 })
+        );
+        mesh.rotation.z = Math.PI / 2;
+        mesh.position.y = 0.09;
+    }
+    mesh.castShadow = true;
+    group.add(mesh);
+
+    // Samples touch the gap's plates instead of taking wires
+    return withTerminals(group, {});
+}
+
+// --- Battery Box ---
+// slotCount slots side by side, slot 1 at the back (-z), wired by arrangement:
+//   'series'   one chain from box(+) through every slot to box(-)
+//   'parallel' every slot straight across box(+) and box(-)
+//   'mixed'    groups of groupSize slots in parallel, the groups in series
+// type 'single' (one slot) and 'double' (two in series) are shorthands.
+// Neighbouring slots face opposite ways where they are in series, so every
+// joint is a short metal bar along one side of the box.
+// userData.slots lists the slots (local pos + expected (+) direction),
+// userData.groups the slot ids from box(+) to box(-), one array per parallel group,
+// userData.links the box's own wiring (see batteryBoxWires).
+const SLOT_PITCH = 2.0;
+
+function arrangeSlots(slotCount, arrangement, groupSize) {
+    const ids = Array.from({ length: slotCount }, (_, i) => i + 1);
+    const size = arrangement === 'parallel' ? slotCount : arrangement === 'mixed' ? groupSize : 1;
+    const groups = [];
+    for (let i = 0; i < slotCount; i += size) groups.push(ids.slice(i, i + size));
+    return groups.reverse(); // Box(+) sits at the front slots
+}
+
+export function createBatteryBox({
+    circuitId = 0,
+    type = 'double',
+    slotCount = type === 'single' ? 1 : 2,
+    arrangement = 'series',
+    groupSize = 2,
+    name = 'batteryBox'
+} = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+
+    // Common Dimensions
+    const boxWidth = 3.6;
+    const boxDepth = Math.max(slotCount * SLOT_PITCH, 2.2);
+    const slotDepth = 1.6;
+    const caseMat = new THREE.MeshStandardMaterial({ color: 0x222222 });
+    const slotMat = new THREE.MeshStandardMaterial({ color: 0x111111 });
+    const termBaseMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
+    const slotGeo = new THREE.BoxGeometry(3.3, 0.5, slotDepth);
+
+    function addPart(mesh, x, y, z) {
+        mesh.position.set(x, y, z);
+        group.add(mesh);
+        return mesh;
+    }
+
+    // One slot at depth z; plusLeft puts the (+) plate on the left and the spring on the right
+    function addSlot(z, plusLeft) {
+        addPart(new THREE.Mesh(slotGeo, slotMat), 0, 0.6, z);
+
+        const side = plusLeft ? -1 : 1;
+        addPart(createPlate(), 1.6 * side, 0.6, z);
+        const spring = addPart(createSpring(), -1.6 * side, 0.6, z);
+        if (plusLeft) spring.rotation.y = Math.PI;
+
+        addPart(createFlatLabel('+', '#555555'), 1.0 * side, 0.36, z);
+        addPart(createFlatLabel('-', '#555555'), -1.0 * side, 0.36, z);
+    }
+
+    function addPost(color, x, z) {
+        return addPart(new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.3), new THREE.MeshStandardMaterial({ color })), x, 0.7, z);
+    }
+
+    const base = addPart(new THREE.Mesh(new THREE.BoxGeometry(boxWidth, 0.8, boxDepth), caseMat), 0, 0.4, 0);
+    base.castShadow = true;
+
+    // Slots: the group next to box(-) has (+) on the left, then every group turns around
+    const groups = arrangeSlots(slotCount, arrangement, groupSize);
+    const slotZ = id => (id - 1 - (slotCount - 1) / 2) * SLOT_PITCH;
+    const plusLeftOf = gi => (groups.length - 1 - gi) % 2 === 0;
+    const slots = [];
+    groups.forEach((ids, gi) => ids.forEach(id => {
+        const plusLeft = plusLeftOf(gi);
+        addSlot(slotZ(id), plusLeft);
+        slots[id - 1] = { id, pos: new THREE.Vector3(0, 0.6, slotZ(id)), occupied: false, expectedDir: new THREE.Vector3(plusLeft ? -1 : 1, 0, 0) };
+    }));
+
+    // Joints between the groups: box(+), bar1, bar2, ..., box(-)
+    const links = [];
+    const jointName = k => (k === 0 ? 'pos' : k === groups.length ? 'neg' : 'bar' + k);
+    groups.forEach((ids, gi) => ids.forEach(id => {
+        links.push({ from: jointName(gi), to: `slot${id}.pos` });
+        links.push({ from: `slot${id}.neg`, to: jointName(gi + 1) });
+    }));
+
+    // Terminal posts: box(+) by the front slot of the first group, box(-) by the back slot of the last
+    const posSide = plusLeftOf(0) ? -1 : 1;
+    const negSide = plusLeftOf(groups.length - 1) ? 1 : -1;
+    const posZ = Math.max(...groups[0].map(slotZ));
+    const negZ = Math.min(...groups[groups.length - 1].map(slotZ));
+    new Set([posSide, negSide]).forEach(side => {
+        addPart(new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, boxDepth), termBaseMat), 1.9 * side, 0.4, 0);
+    });
+    addPost(0xff0000, 1.9 * posSide, posZ);
+    addPost(0x000000, 1.9 * negSide, negZ);
+
+    // Metal bars along the side of every joint that touches more than one contact
+    for (let k = 0; k <= groups.length; k++) {
+        const zs = [];
+        if (k > 0) zs.push(...groups[k - 1].map(slotZ));
+        if (k < groups.length) zs.push(...groups[k].map(slotZ));
+        const span = Math.max(...zs) - Math.min(...zs);
+        if (span < 0.01) continue;
+        const side = k < groups.length ? (plusLeftOf(k) ? -1 : 1) : negSide;
+        addPart(new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.05, span + 0.2), boxMetalMat), 1.75 * side, 0.6, (Math.max(...zs) + Math.min(...zs)) / 2);
+    }
+
+    group.userData = {
+        circuitId: circuitId,
+        type: slotCount === 1 ? 'single' : arrangement === 'series' && slotCount === 2 ? 'double' : arrangement,
+        slotCount,
+        arrangement,
+        groupSize,
+        slots,
+        groups,
+        links
+    };
+
+    return withTerminals(group, {
+        pos: terminal('pos', 'positive', 1.9 * posSide, 0.7, posZ),
+        neg: terminal('neg', 'negative', 1.9 * negSide, 0.7, negZ)
+    });
+}
+
+// Netlist wires for a box's own wiring. cellIn(slot) gives { id, reversed } of
+// the cell sitting in the slot, or nothing for an empty slot, which leaves a
+// gap. A reversed cell touches the contacts back to front, so its EMF works
+// against the others. Box terminals and bars become boxId.pos, boxId.bar1, ...
+export function batteryBoxWires(box, boxId, cellIn) {
+    const { slots, links } = box.userData;
+
+    function node(end) {
+        const [name, contact] = end.split('.');
+        if (!contact) return terminalKey(boxId, name);
+        const slot = slots.find(s => 'slot' + s.id === name);
+        const cell = cellIn(slot);
+        if (!cell) return terminalKey(`${boxId}_${name}`, contact);
+        return terminalKey(cell.id, cell.reversed ? (contact === 'pos' ? 'neg' : 'pos') : contact);
+    }
+
+    return links.map(link => ({ from: node(link.from), to: node(link.to) }));
+}
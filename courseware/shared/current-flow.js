@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+import { CURRENT_THRESHOLD } from './circuit-solver.js';
+
+// --- Current Flow ---
+// Little particles that travel along the wires while current flows, fed with
+// solveCircuit(...).wires. A wire mesh is a TubeGeometry, so its centre line is
+// mesh.geometry.parameters.path; the path must run from the wire's `from`
+// terminal to its `to` terminal, the direction the solver's current counts positive.
+//
+//   const flow = createCurrentFlow();
+//   flow.setWires(wireMeshes);
+//   flow.update(result.wires);   // after every solve
+//   lab.onFrame((time, delta) => flow.animate(delta));
+//
+// mode 'conventional' moves red charges from (+) to (-) through the circuit,
+// mode 'electron' moves yellow electrons the other way.
+
+const SPACING = 0.6; // Bench units between particles
+const SPEED_PER_AMP = 8; // Bench units per second for every ampere
+const MAX_SPEED = 6;
+
+const particleGeo = new THREE.SphereGeometry(0.1, 8, 8);
+const MODE_COLORS = {
+    conventional: 0xff3300,
+    electron: 0xffff00
+};
+
+export function createCurrentFlow({ mode = 'conventional' } = {}) {
+    const material = new THREE.MeshBasicMaterial({ color: MODE_COLORS[mode] });
+    let flows = []; // { mesh, curve, length, particles, offset, velocity }
+
+    function clearParticles() {
+        flows.forEach(f => f.particles.forEach(p => p.parent.remove(p)));
+    }
+
+    // Particles live next to the wire mesh so they follow its transform
+    function setWires(wireMeshes) {
+        clearParticles();
+        flows = wireMeshes.map(mesh => {
+            const curve = mesh.geometry.parameters.path;
+            const length = curve.getLength();
+            const count = Math.max(1, Math.floor(length / SPACING));
+            const particles = [];
+            for (let i = 0; i < count; i++) {
+                const p = new THREE.Mesh(particleGeo, material);
+                p.visible = false;
+                mesh.parent.add(p);
+                particles.push(p);
+            }
+            return { mesh, curve, length, particles, offset: 0, velocity: 0 };
+        });
+    }
+
+    // wireResults[i] is the solved { current } of wireMeshes[i]
+    function update(wireResults) {
+        flows.forEach((f, i) => {
+            const current = wireResults[i] ? wireResults[i].current : 0;
+            const flowing = Math.abs(current) > CURRENT_THRESHOLD;
+            const speed = Math.min(Math.abs(current) * SPEED_PER_AMP, MAX_SPEED);
+
+            // Electrons drift against the conventional current
+            const sign = Math.sign(current) * (mode === 'electron' ? -1 : 1);
+            f.velocity = flowing ? sign * speed : 0;
+            f.particles.forEach(p => { p.visible = flowing; });
+        });
+        placeParticles();
+    }
+
+    function placeParticles() {
+        flows.forEach(f => {
+            const n = f.particles.length;
+            f.particles.forEach((p, i) => {
+                const t = (((i / n) + f.offset) % 1 + 1) % 1;
+                f.curve.getPointAt(t, p.position);
+            });
+        });
+    }
+
+    // Call every frame with the seconds since the previous one
+    function animate(delta) {
+        let moved = false;
+        flows.forEach(f => {
+            if (f.velocity === 0) return;
+            f.offset = (f.offset + f.velocity * delta / f.length) % 1;
+            moved = true;
+        });
+        if (moved) placeParticles();
+    }
+
+    function setMode(newMode) {
+        if (!MODE_COLORS[newMode] || newMode === mode) return;
+        mode = newMode;
+        material.color.set(MODE_COLORS[mode]);
+        flows.forEach(f => { f.velocity = -f.velocity; });
+    }
+
+    return {
+        setWires,
+        update,
+        animate,
+        setMode,
+        get mode() {
+            return mode;
+        }
+    };
+}
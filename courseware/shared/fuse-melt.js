@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+import { FUSE_DEFAULTS } from './circuit-solver.js';
+
+// --- Fuse Melting ---
+// A fuse (createFuse) warms up while more than its rated current flows through
+// it and cools off again below the rating. The heat builds with the square of
+// the overload, so a big overload blows it at once and a slight one after a
+// moment; the wire glows red, then white, then melts and opens the circuit.
+//
+//   components.push({ id: 'fuse', type: 'fuse', ...fuseParameters(fuse) });
+//   heatFuse(fuse, result.components.fuse);            // after every solve
+//   lab.onFrame((time, delta) => {
+//       if (animateFuse(fuse, delta)) checkCircuit();  // it blew, or a new one clicked in
+//   });
+//   replaceFuse(fuse);                                  // swap in a new cartridge
+//   setBlown(fuse, saved.blown);                        // no animation
+
+const MELT_TIME = 0.5; // s to blow at 1.4x the rating (twice the rated heat)
+const COOL_TIME = 2; // s for a hot wire to cool right down
+const SWAP_TIME = 0.8; // s to lift the old cartridge out and push the new one in
+const SWAP_LIFT = 1.2;
+
+// Wire colour by heat, 0 cold .. 1 melting
+const HEAT_STOPS = [
+    [0, new THREE.Color(0x000000)],
+    [0.4, new THREE.Color(0x881100)],
+    [0.8, new THREE.Color(0xff6600)],
+    [1, new THREE.Color(0xffffcc)]
+];
+const SMOKY_GLASS = 0x665544;
+
+function ratingOf(fuse) {
+    return fuse.userData.rating || FUSE_DEFAULTS;
+}
+
+function heatColor(heat, target) {
+    const upper = HEAT_STOPS.findIndex(([stop]) => stop >= heat);
+    if (upper <= 0) return target.copy(HEAT_STOPS[upper < 0 ? HEAT_STOPS.length - 1 : 0][1]);
+    const [from, fromColor] = HEAT_STOPS[upper - 1];
+    const [to, toColor] = HEAT_STOPS[upper];
+    return target.copy(fromColor).lerp(toColor, (heat - from) / (to - from));
+}
+
+// What the solver needs to know about a fuse
+export function fuseParameters(fuse) {
+    return { ...ratingOf(fuse), blown: isBlown(fuse) };
+}
+
+export function isBlown(fuse) {
+    return !!fuse.userData.blown;
+}
+
+// Current through the fuse from its solved { current } (or null for none).
+// Returns the current relative to the rating; above 1 the wire starts heating.
+export function heatFuse(fuse, state) {
+    const ratio = state && !isBlown(fuse) ? Math.abs(state.current) / ratingOf(fuse).ratedCurrent : 0;
+    fuse.userData.load = ratio;
+    return ratio;
+}
+
+function showBlown(fuse, blown) {
+    fuse.getObjectByName('fuseWire').visible = !blown;
+    fuse.getObjectByName('meltedWire').visible = blown;
+    fuse.userData.materials.glass.color.set(blown ? SMOKY_GLASS : 0xffffff);
+    fuse.userData.materials.glass.opacity = blown ? 0.5 : 0.3;
+}
+
+// Call every frame. Returns true the moment the fuse blows or a new cartridge
+// clicks into the clips, so the circuit can be solved again.
+export function animateFuse(fuse, delta) {
+    if (isReplacing(fuse)) return animateSwap(fuse, delta);
+    if (isBlown(fuse)) return false;
+
+    const load = fuse.userData.load || 0;
+    const heat = fuse.userData.heat || 0;
+    const next = load > 1
+        ? heat + (load * load - 1) / MELT_TIME * delta
+        : Math.max(0, heat - delta / COOL_TIME);
+    fuse.userData.heat = Math.min(next, 1);
+    heatColor(fuse.userData.heat, fuse.userData.materials.wire.emissive);
+
+    if (next < 1) return false;
+    setBlown(fuse, true);
+    return true;
+}
+
+// Put the fuse straight into a blown or intact state (e.g. when restoring)
+export function setBlown(fuse, blown) {
+    coolDown(fuse);
+    fuse.userData.blown = blown;
+    showBlown(fuse, blown);
+}
+
+function coolDown(fuse) {
+    fuse.userData.heat = 0;
+    fuse.userData.load = 0;
+    fuse.userData.materials.wire.emissive.set(0x000000);
+}
+
+export function isReplacing(fuse) {
+    return fuse.userData.swap !== undefined;
+}
+
+// The old cartridge rises out of the clips, comes back down as a new one, and
+// only conducts once it is seated again
+export function replaceFuse(fuse) {
+    if (isReplacing(fuse)) return;
+    fuse.userData.swap = 0;
+}
+
+function animateSwap(fuse, delta) {
+    const cartridge = fuse.getObjectByName('cartridge');
+    if (cartridge.userData.restY === undefined) cartridge.userData.restY = cartridge.position.y;
+
+    const before = fuse.userData.swap;
+    const t = Math.min(before + delta / SWAP_TIME, 1);
+    fuse.userData.swap = t;
+    cartridge.position.y = cartridge.userData.restY + Math.sin(t * Math.PI) * SWAP_LIFT;
+
+    // Out of the clips: the circuit is open and the new cartridge takes its place
+    if (before === 0) {
+        coolDown(fuse);
+        fuse.userData.blown = true;
+    }
+    if (t >= 0.5) showBlown(fuse, false);
+    if (t < 1) return before === 0;
+
+    delete fuse.userData.swap;
+    fuse.userData.blown = false;
+    return true;
+}
@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { createPointerInput } from './pointer-input.js';
+
+// --- Lab Runtime ---
+// The bench every lesson starts from: scene, camera, renderer, orbit controls,
+// lights, floor and the resize handler. The lab owns the render loop; lessons
+// add their components and register per-frame hooks with onFrame(), and take
+// mouse, touch and pen input from lab.input (see pointer-input.js).
+//
+//   const lab = createLab({
+//       camera: { position: [0, 6, 8] },
+//       controls: { maxPolarAngle: Math.PI / 2.2, minDistance: 3, maxDistance: 15 }
+//   });
+//   lab.add(battery);
+//   lab.onFrame((time, delta) => { ... });
+
+export function createLab({
+    container = document.getElementById('canvas-container'),
+    background = 0xf0f8ff,
+    camera: cameraOptions = {},
+    controls: controlsOptions = {},
+    floor: floorOptions = {}
+} = {}) {
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(background);
+
+    // Camera
+    const { fov = 45, position = [0, 5, 10], target = [0, 0, 0] } = cameraOptions;
+    const camera = new THREE.PerspectiveCamera(fov, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera.position.set(...position);
+    camera.lookAt(...target);
+
+    // Renderer
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.shadowMap.enabled = true;
+    container.appendChild(renderer.domElement);
+
+    // Controls (any OrbitControls property can be passed, e.g. maxPolarAngle, minDistance)
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.05;
+    controls.target.set(...target);
+    // One finger turns the bench; two pinch to zoom and turn it together
+    controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_ROTATE };
+    Object.assign(controls, controlsOptions);
+
+    const input = createPointerInput({ element: renderer.domElement, camera, controls });
+
+    // Lighting
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    scene.add(ambientLight);
+
+    const dirLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    dirLight.position.set(5, 10, 7);
+    dirLight.castShadow = true;
+    dirLight.shadow.mapSize.width = 1024;
+    dirLight.shadow.mapSize.height = 1024;
+    scene.add(dirLight);
+
+    // Floor
+    const { width = 20, depth = 20, color = 0xeeeeee } = floorOptions;
+    const floor = new THREE.Mesh(
+        new THREE.PlaneGeometry(width, depth),
+        new THREE.MeshStandardMaterial({ color, roughness: 0.8 })
+    );
+    floor.rotation.x = -Math.PI / 2;
+    floor.receiveShadow = true;
+    scene.add(floor);
+
+    // Handle Resize
+    window.addEventListener('resize', () => {
+        camera.aspect = window.innerWidth / window.innerHeight;
+        camera.updateProjectionMatrix();
+        renderer.setSize(window.innerWidth, window.innerHeight);
+    });
+
+    // Animation Loop
+    const frameHooks = [];
+    const clock = new THREE.Clock();
+
+    function animate() {
+        requestAnimationFrame(animate);
+        const delta = clock.getDelta();
+        const time = clock.elapsedTime;
+
+        controls.update();
+        frameHooks.forEach(hook => hook(time, delta));
+        renderer.render(scene, camera);
+    }
+    animate();
+
+    return {
+        scene,
+        camera,
+        renderer,
+        controls,
+        input,
+        floor,
+        lights: { ambient: ambientLight, directional: dirLight },
+
+        add(...objects) {
+            scene.add(...objects);
+            return objects[0];
+        },
+
+        // hook(time, delta): seconds since start / since the previous frame
+        onFrame(hook) {
+            frameHooks.push(hook);
+            return () => {
+                const index = frameHooks.indexOf(hook);
+                if (index > -1) frameHooks.splice(index, 1);
+            };
+        }
+    };
+}
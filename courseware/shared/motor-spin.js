@@ -0,0 +1,46 @@
+import { MOTOR_DEFAULTS } from './circuit-solver.js';
+
+// --- Motor Spin ---
+// Turns a motor's fan (createMotor) from its solved state. The speed follows
+// the current relative to the motor's rating and the direction follows its
+// sign: current from '1' to '2' turns the fan anticlockwise seen from above,
+// so swapping the battery round makes it run backwards. A small current
+// can't overcome the friction in the bearings and the fan stays still.
+//
+//   components.push({ id: 'motor', type: 'motor' });
+//   setMotorSpin(motor, result.components.motor);
+//   lab.onFrame((time, delta) => animateMotor(motor, delta));
+
+const FULL_SPEED = 4 * Math.PI; // rad/s at the rated current (two turns a second)
+const START_RATIO = 0.15; // Below 15% of the rated current the fan doesn't move
+const SPIN_UP = 3; // How quickly the fan reaches its new speed, 1/s
+
+function ratingOf(motor) {
+    return motor.userData.rating || MOTOR_DEFAULTS;
+}
+
+// Set the speed the fan heads for from the solved { current } (or null for off).
+// Returns the signed current relative to the rating, 0 when the fan stands still.
+export function setMotorSpin(motor, state) {
+    const ratio = state ? state.current / ratingOf(motor).ratedCurrent : 0;
+    const running = Math.abs(ratio) >= START_RATIO;
+    motor.userData.targetSpeed = running ? FULL_SPEED * Math.sign(ratio) * Math.min(Math.abs(ratio), 1.5) : 0;
+    return running ? ratio : 0;
+}
+
+// Call every frame: the fan speeds up and runs down instead of jumping
+export function animateMotor(motor, delta) {
+    const target = motor.userData.targetSpeed || 0;
+    const speed = motor.userData.speed || 0;
+    if (speed === 0 && target === 0) return;
+
+    let next = speed + (target - speed) * Math.min(1, delta * SPIN_UP);
+    if (target === 0 && Math.abs(next) < 0.05) next = 0;
+    motor.userData.speed = next;
+    motor.getObjectByName('fan').rotation.y += next * delta;
+}
+
+// 1 = forwards, -1 = backwards, 0 = still (or nearly stopped)
+export function spinDirection(motor) {
+    return Math.sign(motor.userData.targetSpeed || 0);
+}
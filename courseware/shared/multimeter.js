@@ -0,0 +1,314 @@
+import * as THREE from 'three';
+import { createFlatLabel } from './components.js';
+import { terminalKey } from './circuit-solver.js';
+import { wireEndKey } from './wiring.js';
+
+// --- Multimeter ---
+// A school digital multimeter: an LCD, a mode dial (DC V, DC A, Ω) and two
+// probe leads. The probes snap onto connection point cores (see wiring.js);
+// in the netlist the meter is a 'meter' component whose red / black terminals
+// are wired to whatever the probes touch:
+//
+//   const meter = createMultimeter({ name: 'meter' });
+//   scene.add(meter.group, meter.cables);   // cables hold the probes and leads, in world space
+//   meter.attach('red', pointCore);        // hold() while the student carries a probe
+//   components.push({ id: 'meter', type: 'meter', mode: meter.mode });
+//   wires.push(...meterWires(meter, 'meter'));
+//   meter.showReading(result.components.meter);
+//   lab.onFrame(() => meter.follow());       // probes ride along with the parts they touch
+//
+// The dial mesh is named 'dial'; a click on it should call nextMode().
+
+export const METER_MODES = [
+    { mode: 'voltage', label: 'V', angle: -50 },
+    { mode: 'current', label: 'A', angle: 0 },
+    { mode: 'resistance', label: 'Ω', angle: 50 }
+];
+
+const AMMETER_RANGE = 10; // A, more than that shows "OL"
+const PROBE_SNAP = 1.0; // A carried probe jumps onto a connection point this close to the pointer ray
+
+const PROBE_COLORS = { red: 0xe74c3c, black: 0x222222 };
+const JACKS = { red: new THREE.Vector3(-0.5, 0.5, 1.3), black: new THREE.Vector3(0.5, 0.5, 1.3) };
+const PROBE_TAIL = new THREE.Vector3(0, 1.6, 0); // Where the lead leaves the handle
+const metalMat = new THREE.MeshStandardMaterial({ color: 0xc0c0c0, metalness: 0.8, roughness: 0.2 });
+
+// Display text for a reading: { value: '1.48', unit: 'V' }
+export function formatReading(mode, reading) {
+    if (reading === undefined || reading === null) return { value: '', unit: '' };
+
+    if (mode === 'current') {
+        if (Math.abs(reading) > AMMETER_RANGE) return { value: 'OL', unit: 'A' };
+        if (Math.abs(reading) < 1) return { value: (reading * 1000).toFixed(1), unit: 'mA' };
+        return { value: reading.toFixed(2), unit: 'A' };
+    }
+
+    if (mode === 'resistance') {
+        if (!Number.isFinite(reading)) return { value: 'OL', unit: 'Ω' };
+        if (reading < 1000) return { value: reading.toFixed(1), unit: 'Ω' };
+        if (reading < 1e6) return { value: (reading / 1000).toFixed(2), unit: 'kΩ' };
+        return { value: (reading / 1e6).toFixed(2), unit: 'MΩ' };
+    }
+
+    return { value: reading.toFixed(2), unit: 'V' };
+}
+
+function createProbe(color) {
+    const probe = new THREE.Group();
+    probe.name = color + 'Probe';
+    probe.userData.probe = color;
+
+    // Origin at the tip, handle straight up
+    const needle = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.01, 0.5, 8), metalMat);
+    needle.position.y = 0.25;
+    probe.add(needle);
+
+    const handle = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.1, 0.12, 1.1, 16),
+        new THREE.MeshStandardMaterial({ color: PROBE_COLORS[color] })
+    );
+    handle.position.y = 1.05;
+    handle.castShadow = true;
+    probe.add(handle);
+
+    return probe;
+}
+
+function drawDisplay(canvas, { value, unit }, modeLabel) {
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#b9c8a8';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#1e2a1e';
+    ctx.textBaseline = 'middle';
+
+    ctx.font = 'bold 20px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText('DC ' + modeLabel, 10, 18);
+
+    ctx.font = 'bold 56px monospace';
+    ctx.textAlign = 'right';
+    ctx.fillText(value, canvas.width - 70, canvas.height / 2 + 8);
+
+    ctx.font = 'bold 28px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText(unit, canvas.width - 64, canvas.height / 2 + 12);
+}
+
+export function createMultimeter({ name = 'multimeter', mode = 'voltage' } = {}) {
+    const group = new THREE.Group();
+    group.name = name;
+
+    // Case
+    const body = new THREE.Mesh(
+        new THREE.BoxGeometry(2.4, 0.5, 3.4),
+        new THREE.MeshStandardMaterial({ color: 0xf1c40f }) // Yellow rubber holster
+    );
+    body.position.y = 0.25;
+    body.castShadow = true;
+    group.add(body);
+
+    const face = new THREE.Mesh(
+        new THREE.BoxGeometry(2.0, 0.02, 3.0),
+        new THREE.MeshStandardMaterial({ color: 0x333333 })
+    );
+    face.position.y = 0.51;
+    group.add(face);
+
+    // LCD
+    const canvas = document.createElement('canvas');
+    canvas.width = 256; canvas.height = 96;
+    const screenTexture = new THREE.CanvasTexture(canvas);
+    const screen = new THREE.Mesh(new THREE.PlaneGeometry(1.8, 0.68), new THREE.MeshBasicMaterial({ map: screenTexture }));
+    screen.rotation.x = -Math.PI / 2;
+    screen.position.set(0, 0.53, -0.95);
+    group.add(screen);
+
+    // Mode dial with a white pointer, the mode letters around it
+    const dial = new THREE.Group();
+    dial.name = 'dial';
+    dial.position.set(0, 0.52, 0.25);
+    const knob = new THREE.Mesh(new THREE.CylinderGeometry(0.45, 0.45, 0.15, 32), new THREE.MeshStandardMaterial({ color: 0x111111 }));
+    knob.position.y = 0.075;
+    dial.add(knob);
+    const pointer = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.03, 0.4), new THREE.MeshBasicMaterial({ color: 0xffffff }));
+    pointer.position.set(0, 0.16, -0.22);
+    dial.add(pointer);
+    group.add(dial);
+
+    METER_MODES.forEach(({ label, angle }) => {
+        const rad = THREE.MathUtils.degToRad(angle);
+        const text = createFlatLabel(label, '#ffffff');
+        text.scale.setScalar(0.7);
+        text.position.set(Math.sin(rad) * 0.72, 0.53, 0.25 - Math.cos(rad) * 0.72);
+        group.add(text);
+    });
+
+    // Jacks
+    Object.entries(JACKS).forEach(([color, pos]) => {
+        const jack = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.12, 0.06, 16), new THREE.MeshStandardMaterial({ color: PROBE_COLORS[color] }));
+        jack.position.copy(pos).setY(0.53);
+        group.add(jack);
+    });
+
+    // Probes and leads live in world space so they can reach any part on the bench
+    const cables = new THREE.Group();
+    cables.name = name + 'Cables';
+    const probes = {};
+    const leads = {};
+    Object.keys(PROBE_COLORS).forEach(color => {
+        probes[color] = createProbe(color);
+        probes[color].userData.point = null; // Connection point core it touches
+        probes[color].userData.held = false;
+        cables.add(probes[color]);
+
+        leads[color] = new THREE.Mesh(new THREE.BufferGeometry(), new THREE.MeshStandardMaterial({ color: PROBE_COLORS[color], roughness: 0.6 }));
+        leads[color].castShadow = true;
+        cables.add(leads[color]);
+    });
+
+    let lastState = null;
+    const leadEnds = {}; // Last jack / tail positions, to skip rebuilding still leads
+
+    // Lead from the jack, up and over, down into the probe's handle
+    function updateLead(color) {
+        const start = group.localToWorld(JACKS[color].clone());
+        const end = probes[color].localToWorld(PROBE_TAIL.clone());
+        const last = leadEnds[color];
+        if (last && last.start.distanceTo(start) < 1e-4 && last.end.distanceTo(end) < 1e-4) return;
+        leadEnds[color] = { start, end };
+
+        const mid = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
+        mid.y = Math.max(start.y, end.y) + 0.5 + start.distanceTo(end) * 0.1;
+        const curve = new THREE.CatmullRomCurve3([start, start.clone().setY(start.y + 0.4), mid, end.clone().setY(end.y + 0.3), end]);
+        leads[color].geometry.dispose();
+        leads[color].geometry = new THREE.TubeGeometry(curve, 32, 0.05, 8, false);
+    }
+
+    function updateLeads() {
+        group.updateMatrixWorld();
+        cables.updateMatrixWorld();
+        Object.keys(probes).forEach(updateLead);
+    }
+
+    // Where a loose probe lies: standing next to its jack, in front of the meter
+    function restPosition(color) {
+        return group.localToWorld(JACKS[color].clone().setY(0).add(new THREE.Vector3(0, 0, 1.2)));
+    }
+
+    // Put a probe on a connection point core (null lets it go back to the meter)
+    function attach(color, point) {
+        const probe = probes[color];
+        probe.userData.point = point;
+        probe.userData.held = false;
+        probe.position.copy(point ? point.getWorldPosition(new THREE.Vector3()) : restPosition(color));
+        updateLeads();
+    }
+
+    // A probe in the student's hand, tip at position
+    function hold(color, position) {
+        const probe = probes[color];
+        probe.userData.point = null;
+        probe.userData.held = true;
+        probe.position.copy(position);
+        updateLeads();
+    }
+
+    function detachFrom(points) {
+        Object.keys(probes).forEach(color => {
+            if (points.includes(probes[color].userData.point)) attach(color, null);
+        });
+    }
+
+    // Keep probes on their points (and loose ones by the meter) while things move
+    function follow() {
+        Object.keys(probes).forEach(color => {
+            if (probes[color].userData.held) return;
+            const point = probes[color].userData.point;
+            const target = point ? point.getWorldPosition(new THREE.Vector3()) : restPosition(color);
+            if (!probes[color].position.equals(target)) probes[color].position.copy(target);
+        });
+        updateLeads();
+    }
+
+    function render() {
+        const { label } = METER_MODES.find(m => m.mode === mode);
+        drawDisplay(canvas, formatReading(mode, lastState ? lastState.reading : null), label);
+        screenTexture.needsUpdate = true;
+    }
+
+    function setMode(newMode) {
+        const def = METER_MODES.find(m => m.mode === newMode);
+        if (!def) return;
+        mode = newMode;
+        dial.rotation.y = -THREE.MathUtils.degToRad(def.angle);
+        lastState = null;
+        render();
+    }
+
+    function nextMode() {
+        const index = METER_MODES.findIndex(m => m.mode === mode);
+        setMode(METER_MODES[(index + 1) % METER_MODES.length].mode);
+    }
+
+    // state: the meter's solved { reading }, or null for a blank display
+    function showReading(state) {
+        lastState = state;
+        render();
+    }
+
+    setMode(mode);
+
+    return {
+        group,
+        cables,
+        probes,
+        attach,
+        hold,
+        detachFrom,
+        follow,
+        setMode,
+        nextMode,
+        showReading,
+        restPosition,
+        get mode() {
+            return mode;
+        }
+    };
+}
+
+// Netlist wires from the meter's terminals to the points its probes touch
+export function meterWires(meter, meterId) {
+    return Object.entries(meter.probes)
+        .filter(([, probe]) => probe.userData.point)
+        .map(([color, probe]) => ({ from: terminalKey(meterId, color), to: wireEndKey(probe.userData.point.userData) }));
+}
+
+// --- Probe Picking ---
+
+// The probe under the raycaster's ray: { meter, color }, or null
+export function pickProbe(raycaster, meters) {
+    const hit = raycaster.intersectObjects(meters.flatMap(m => Object.values(m.probes)), true)[0];
+    if (!hit) return null;
+    let probe = hit.object;
+    while (!probe.userData.probe) probe = probe.parent;
+    const color = probe.userData.probe;
+    return { meter: meters.find(m => m.probes[color] === probe), color };
+}
+
+// The connection point core a carried probe would touch: the one under the ray,
+// else the closest one near it. Free or not, a probe clips on anywhere.
+export function findProbeTarget(raycaster, points) {
+    const hit = raycaster.intersectObjects(points, false)[0];
+    if (hit) return hit.object;
+
+    let best = null;
+    let bestDistance = PROBE_SNAP;
+    points.forEach(p => {
+        const distance = raycaster.ray.distanceToPoint(p.getWorldPosition(new THREE.Vector3()));
+        if (distance < bestDistance) {
+            best = p;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
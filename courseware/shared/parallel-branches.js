@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+
+// --- Parallel Branches ---
+// Any number of loads side by side between a split bus and a merge bus: the
+// supply wire comes in at the split point, every branch leaves the split bus,
+// runs to its load's left terminal ('2'), and comes back from the right
+// terminal ('1') to the merge bus. Loads are laid out along z around zCenter.
+//
+//   const rack = createParallelBranches({ splitX: 2.5, loadX: 5, mergeX: 7, zCenter: 4, spacing: 6 });
+//   group.add(rack.group);
+//   rack.setLoads([bulb1, bulb2]);                 // positions them and redraws the wires
+//   netWires.push({ from: 'switch.rear', to: 'split' }, ...rack.netWires(), { from: 'merge', to: 'batteryBox.neg' });
+
+const WIRE_Y = 0.1;
+const CORNER_INSET = 0.4; // Branch wires turn just before the load (or at a wide load's terminal)
+
+const defaultWireMat = new THREE.MeshStandardMaterial({
+    color: 0x2c3e50,
+    roughness: 0.5,
+    metalness: 0.1
+});
+
+function tube(points, material) {
+    // A branch on the centre line starts right at the bus point; skip the repeat
+    const path = points.filter((p, i) => i === 0 || p.distanceTo(points[i - 1]) > 1e-6);
+    const curve = new THREE.CatmullRomCurve3(path);
+    curve.curveType = 'catmullrom';
+    curve.tension = 0.5;
+
+    const mesh = new THREE.Mesh(new THREE.TubeGeometry(curve, 64, 0.08, 8, false), material);
+    mesh.castShadow = true;
+    return mesh;
+}
+
+function terminalPos(obj, id) {
+    return obj.userData.terminals[id].position.clone().applyQuaternion(obj.quaternion).add(obj.position);
+}
+
+export function createParallelBranches({
+    splitX,
+    loadX,
+    mergeX,
+    zCenter = 0,
+    spacing = 3,
+    split = 'split',
+    merge = 'merge',
+    material = defaultWireMat
+}) {
+    const group = new THREE.Group();
+    group.name = 'parallelBranches';
+    const wires = new THREE.Group();
+    group.add(wires);
+
+    let loads = [];
+
+    const branchZ = (i, n) => zCenter + (i - (n - 1) / 2) * spacing;
+
+    function redraw() {
+        wires.children.forEach(mesh => mesh.geometry.dispose());
+        wires.clear();
+
+        const splitCenter = new THREE.Vector3(splitX, WIRE_Y, zCenter);
+        const mergeCenter = new THREE.Vector3(mergeX, WIRE_Y, zCenter);
+        loads.forEach((load, i) => {
+            const z = branchZ(i, loads.length);
+            const inlet = terminalPos(load, 2);
+            wires.add(tube([
+                splitCenter,
+                new THREE.Vector3(splitX, WIRE_Y, z),
+                new THREE.Vector3(Math.min(loadX - CORNER_INSET, inlet.x), WIRE_Y, z),
+                inlet
+            ], material));
+            wires.add(tube([
+                terminalPos(load, 1),
+                new THREE.Vector3(mergeX, WIRE_Y, z),
+                mergeCenter
+            ], material));
+        });
+    }
+
+    // Lay the loads out in order (back to front) and redraw every branch
+    function setLoads(list) {
+        loads.forEach(load => { if (!list.includes(load)) group.remove(load); });
+        loads = [...list];
+        loads.forEach((load, i) => {
+            load.position.set(loadX, 0, branchZ(i, loads.length));
+            group.add(load);
+        });
+        redraw();
+    }
+
+    // The branch wires for the solver, named after the loads' groups
+    function netWires() {
+        return loads.flatMap(load => [
+            { from: split, to: `${load.name}.2` },
+            { from: `${load.name}.1`, to: merge }
+        ]);
+    }
+
+    // How far back the branches reach, for routing a return wire behind them
+    function extent() {
+        const n = Math.max(loads.length, 1);
+        return { back: branchZ(0, n), front: branchZ(n - 1, n) };
+    }
+
+    return {
+        group,
+        setLoads,
+        netWires,
+        extent,
+        splitPoint: new THREE.Vector3(splitX, WIRE_Y, zCenter),
+        mergePoint: new THREE.Vector3(mergeX, WIRE_Y, zCenter),
+        get loads() { return loads; }
+    };
+}
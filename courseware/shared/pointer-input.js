@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+
+// --- Pointer Input ---
+// One input layer for mouse, touch and pen, built on Pointer Events on the lab's
+// canvas. Pages get a single pointer's press / move / release, plus:
+//   tap       press and release without travelling: the click of touch screens
+//   delete    a mouse double click, or holding a finger or pen still for a moment
+//   cancel    a second finger came down, or the browser took the pointer away:
+//             drop whatever the press started; the fingers now pinch and orbit
+// A page claims a press by turning the orbit controls off in its down handler, as
+// it does to drag a part or draw a wire; moves of an unclaimed press turn the
+// camera and are not passed on. Coordinates are taken relative to the canvas, so
+// it need not fill the window. Without orbit controls (as on the schematic
+// editor's board) every press belongs to the page.
+//
+//   const input = lab.input;
+//   input.onDown((e) => { ... });                 // e is the PointerEvent
+//   input.onMove((e) => { ... });                 // dragging, and hovering with a mouse or pen
+//   input.onUp((e) => { ... });
+//   input.onCancel(() => { ... });
+//   input.onTap((e) => { ... });
+//   input.onDelete((e) => { ... });
+//   input.travelled();                            // the press has gone past TAP_SLOP: a drag, not a tap
+//   input.aim(raycaster, e);                      // point the raycaster through the pointer
+
+export const TAP_SLOP = 8; // px a press may travel and still count as a tap
+export const LONG_PRESS_DELAY = 600; // ms to hold a finger or pen still to delete
+
+export function createPointerInput({ element, camera, controls = null }) {
+    const handlers = { down: [], move: [], up: [], cancel: [], tap: [], delete: [] };
+    const ndc = new THREE.Vector2();
+
+    // The pointer pages are following: { id, type, x, y, travelled, held, claimed, timer, cancelled }
+    let active = null;
+    let handingOver = false;
+
+    // A held finger should not start selecting text or open the callout menu
+    element.style.userSelect = 'none';
+    element.style.webkitUserSelect = 'none';
+    element.style.webkitTouchCallout = 'none';
+
+    function emit(type, event) {
+        handlers[type].forEach(handler => handler(event));
+    }
+
+    function track(event) {
+        active = {
+            id: event.pointerId,
+            type: event.pointerType,
+            x: event.clientX,
+            y: event.clientY,
+            last: event,
+            travelled: false,
+            held: false,
+            claimed: false,
+            cancelled: false,
+            timer: null
+        };
+        if (element.setPointerCapture) element.setPointerCapture(event.pointerId);
+
+        // Fingers and pens have no double click: holding still stands in for it
+        if (event.pointerType !== 'mouse') {
+            const pointer = active;
+            pointer.timer = setTimeout(() => {
+                pointer.held = true;
+                emit('delete', pointer.last);
+            }, LONG_PRESS_DELAY);
+        }
+    }
+
+    function release() {
+        clearTimeout(active.timer);
+        active = null;
+    }
+
+    // The first finger landed on a part; let the orbit controls have it along with the second
+    function handOver(event) {
+        if (!controls || typeof PointerEvent === 'undefined') return;
+        handingOver = true;
+        element.dispatchEvent(new PointerEvent('pointerdown', {
+            pointerId: event.pointerId,
+            pointerType: event.pointerType,
+            clientX: event.clientX,
+            clientY: event.clientY,
+            isPrimary: true,
+            bubbles: true
+        }));
+        handingOver = false;
+    }
+
+    function cancel() {
+        if (active.cancelled) return;
+        clearTimeout(active.timer);
+        active.cancelled = true;
+        emit('cancel', active.last);
+        if (controls) controls.enabled = true;
+    }
+
+    // Capture phase, so pages see a press before the orbit controls decide what to do with it
+    element.addEventListener('pointerdown', (e) => {
+        if (handingOver) return;
+        if (active) {
+            if (e.pointerType === 'touch' && active.type === 'touch' && !active.cancelled) {
+                const claimed = active.claimed;
+                cancel();
+                if (claimed) handOver(active.last);
+            }
+            return;
+        }
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        track(e);
+        emit('down', e);
+        if (!active) return;
+        active.claimed = !controls || !controls.enabled;
+        // A claimed press drags a part or draws a wire; holding still on the way must not delete it
+        if (active.claimed) clearTimeout(active.timer);
+    }, { capture: true });
+
+    element.addEventListener('pointermove', (e) => {
+        if (!active) {
+            // Hovering: mice and pens only, a finger is always pressed
+            if (e.pointerType !== 'touch') emit('move', e);
+            return;
+        }
+        if (e.pointerId !== active.id) return;
+
+        active.last = e;
+        if (!active.travelled && Math.hypot(e.clientX - active.x, e.clientY - active.y) > TAP_SLOP) {
+            active.travelled = true;
+            clearTimeout(active.timer);
+        }
+        if (active.claimed && !active.cancelled) emit('move', e);
+    });
+
+    element.addEventListener('pointerup', (e) => {
+        if (!active || e.pointerId !== active.id) return;
+        const { cancelled, travelled, held } = active;
+        release();
+        if (cancelled) return;
+
+        emit('up', e);
+        if (!travelled && !held) emit('tap', e);
+    });
+
+    element.addEventListener('pointercancel', (e) => {
+        if (!active || e.pointerId !== active.id) return;
+        cancel();
+        release();
+    });
+
+    element.addEventListener('dblclick', (e) => emit('delete', e));
+
+    return {
+        element,
+
+        onDown(handler) { handlers.down.push(handler); },
+        onMove(handler) { handlers.move.push(handler); },
+        onUp(handler) { handlers.up.push(handler); },
+        onCancel(handler) { handlers.cancel.push(handler); },
+        onTap(handler) { handlers.tap.push(handler); },
+        onDelete(handler) { handlers.delete.push(handler); },
+
+        // Follow a pointer pressed somewhere else (e.g. on a toolbox button) as if
+        // it had come down on the canvas: its moves and release arrive here
+        follow(event) {
+            if (active) release();
+            track(event);
+            active.claimed = true;
+            active.travelled = true; // It is a drag, not a tap
+            clearTimeout(active.timer);
+        },
+
+        // Whether the press being followed has gone past TAP_SLOP, so it won't end in a tap
+        travelled() {
+            return active !== null && active.travelled;
+        },
+
+        // Point the raycaster from the camera through the pointer
+        aim(raycaster, event) {
+            const rect = element.getBoundingClientRect();
+            ndc.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+            ndc.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+            raycaster.setFromCamera(ndc, camera);
+        }
+    };
+}
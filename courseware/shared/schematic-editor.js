@@ -0,0 +1,319 @@
+import { terminalKey } from './circuit-solver.js';
+import { svg, drawSchematic, terminalsOf, COLORS } from './schematic.js';
+import { createPointerInput } from './pointer-input.js';
+
+// --- Schematic Editor ---
+// A drawing board for circuit diagrams: students place symbols from a palette,
+// drag them around a grid and drag from one terminal to another to connect
+// them. The drawing is kept in bench units so a page can build it in 3D:
+//
+//   {
+//     components: [{ id: 'bulb1', type: 'bulb', x: 4, y: -2, angle: 90, closed }],
+//     wires: [{ from: 'battery1.pos', to: 'bulb1.1' }]
+//   }
+//
+// x / y are the bench's x / z of the symbol's centre (halfway between its
+// terminals), angle turns the symbol clockwise when seen from above (0, 90,
+// 180 or 270, with 0 running from the first terminal towards +x).
+// Like on the bench, a terminal takes one wire.
+
+const GRID = 20; // SVG units per bench unit
+const SPACING = 5; // Bench units between symbols placed from the palette
+
+const SELECTED_COLOR = '#3498db';
+const TERMINAL_COLOR = '#ff3300';
+const TERMINAL_OCCUPIED_COLOR = '#888888';
+
+export function createSchematicEditor({
+    container,
+    bounds = { x1: -10, y1: -8, x2: 10, y2: 8 },
+    paletteButtons = [],
+    rotateButton = null,
+    deleteButton = null,
+    clearButton = null,
+    buildButton = null,
+    onBuild = () => {}
+}) {
+    const root = svg('svg', {
+        class: 'schematic schematic-editor',
+        viewBox: `${bounds.x1 * GRID} ${bounds.y1 * GRID} ${(bounds.x2 - bounds.x1) * GRID} ${(bounds.y2 - bounds.y1) * GRID}`
+    });
+    root.style.touchAction = 'none'; // Fingers draw and drag here, they don't scroll the page
+    container.appendChild(root);
+
+    let components = [];
+    let wires = [];
+    let nextNumber = 1;
+    let selected = null; // { symbol } or { wire }
+
+    // Pointer State: the same input layer as the 3D bench, so presses, taps and
+    // a second finger behave alike on both
+    const input = createPointerInput({ element: root });
+    let pressed = null; // { symbol, x, y, start } pressed on, until it is dragged or tapped
+    let drawing = null; // { from, line }
+    let anchors = {};
+
+    // --- Drawing Model ---
+
+    function findSymbol(id) {
+        return components.find(c => c.id === id);
+    }
+
+    function isOccupied(key) {
+        return wires.some(w => w.from === key || w.to === key);
+    }
+
+    function clampToBounds(x, y) {
+        return {
+            x: Math.min(Math.max(x, bounds.x1 + 2), bounds.x2 - 2),
+            y: Math.min(Math.max(y, bounds.y1 + 2), bounds.y2 - 2)
+        };
+    }
+
+    // First grid spot around the centre that no other symbol is close to
+    function findFreeSpot() {
+        for (let ring = 0; ring < 6; ring++) {
+            for (let i = -ring; i <= ring; i++) {
+                for (let j = -ring; j <= ring; j++) {
+                    if (Math.max(Math.abs(i), Math.abs(j)) !== ring) continue;
+                    const spot = clampToBounds(i * SPACING, j * SPACING);
+                    const taken = components.some(c => Math.hypot(c.x - spot.x, c.y - spot.y) < SPACING - 1);
+                    if (!taken) return spot;
+                }
+            }
+        }
+        return { x: 0, y: 0 };
+    }
+
+    function addSymbol(type) {
+        const symbol = { id: type + nextNumber++, type, ...findFreeSpot(), angle: 0 };
+        if (type === 'switch') symbol.closed = false;
+        components.push(symbol);
+        select({ symbol });
+    }
+
+    function removeSymbol(symbol) {
+        wires = wires.filter(w => !w.from.startsWith(symbol.id + '.') && !w.to.startsWith(symbol.id + '.'));
+        components = components.filter(c => c !== symbol);
+    }
+
+    function select(selection) {
+        selected = selection;
+        if (rotateButton) rotateButton.disabled = !(selected && selected.symbol);
+        if (deleteButton) deleteButton.disabled = !selected;
+        render();
+    }
+
+    function rotateSelected() {
+        if (!selected || !selected.symbol) return;
+        selected.symbol.angle = (selected.symbol.angle + 90) % 360;
+        render();
+    }
+
+    function deleteSelected() {
+        if (!selected) return;
+        if (selected.symbol) removeSymbol(selected.symbol);
+        else wires = wires.filter(w => w !== selected.wire);
+        select(null);
+    }
+
+    function clear() {
+        components = [];
+        wires = [];
+        nextNumber = 1;
+        select(null);
+    }
+
+    // --- Rendering ---
+
+    function render() {
+        while (root.firstChild) root.removeChild(root.firstChild);
+
+        // Dotted grid, one dot per bench unit
+        const defs = svg('defs', {}, root);
+        const pattern = svg('pattern', { id: 'schematic-grid', width: GRID, height: GRID, patternUnits: 'userSpaceOnUse' }, defs);
+        svg('circle', { cx: 0, cy: 0, r: 1.2, fill: '#cfd8dc' }, pattern);
+        svg('rect', {
+            x: bounds.x1 * GRID, y: bounds.y1 * GRID,
+            width: (bounds.x2 - bounds.x1) * GRID, height: (bounds.y2 - bounds.y1) * GRID,
+            fill: 'url(#schematic-grid)'
+        }, root);
+
+        const symbols = components.map(c => ({ ...c, x: c.x * GRID, y: c.y * GRID }));
+        const drawn = drawSchematic(root, symbols, wires, {
+            wireColor: wire => (selected && selected.wire === wire ? SELECTED_COLOR : COLORS.wire)
+        });
+        anchors = drawn.anchors;
+
+        // Wider invisible strokes make the wires easy to click
+        drawn.wireEls.forEach((el, i) => {
+            if (!el) return;
+            const hit = svg('polyline', {
+                points: el.getAttribute('points'),
+                fill: 'none',
+                stroke: 'transparent',
+                'stroke-width': 12,
+                style: 'cursor: pointer'
+            }, root);
+            hit.dataset.wire = i;
+        });
+
+        // A see-through pad under each symbol to grab it by
+        components.forEach(c => {
+            const g = drawn.symbolEls[c.id];
+            const isSelected = selected && selected.symbol === c;
+            if (isSelected) g.setAttribute('stroke', SELECTED_COLOR);
+            const pad = svg('rect', { x: -26, y: -18, width: 52, height: 36, fill: 'transparent', stroke: 'none', style: 'cursor: grab' });
+            g.insertBefore(pad, g.firstChild);
+            g.dataset.symbolId = c.id;
+        });
+
+        // Terminals to drag wires from
+        components.forEach(c => {
+            terminalsOf(c).forEach(id => {
+                const key = terminalKey(c.id, id);
+                const anchor = anchors[key];
+                const occupied = isOccupied(key);
+                const dot = svg('circle', {
+                    cx: anchor.x, cy: anchor.y, r: 6,
+                    fill: occupied ? TERMINAL_OCCUPIED_COLOR : TERMINAL_COLOR,
+                    'fill-opacity': 0.8,
+                    style: occupied ? 'cursor: not-allowed' : 'cursor: crosshair'
+                }, root);
+                dot.dataset.terminal = key;
+            });
+        });
+
+        if (drawing) root.appendChild(drawing.line);
+    }
+
+    // --- Interaction ---
+
+    function toSvgPoint(event) {
+        const pt = root.createSVGPoint();
+        pt.x = event.clientX;
+        pt.y = event.clientY;
+        return pt.matrixTransform(root.getScreenCTM().inverse());
+    }
+
+    function dataOf(event, name) {
+        const el = event.target.closest ? event.target.closest(`[data-${name}]`) : null;
+        return el ? el.dataset : null;
+    }
+
+    // The board holds on to a pressed pointer, so its release arrives on the
+    // board itself: look up what is under the pointer where it is let go
+    function dataAt(event, name) {
+        const el = document.elementFromPoint(event.clientX, event.clientY);
+        return el ? dataOf({ target: el }, name) : null;
+    }
+
+    input.onDown((e) => {
+        e.preventDefault();
+        pressed = null;
+
+        const terminal = dataOf(e, 'terminal');
+        if (terminal) {
+            if (isOccupied(terminal.terminal)) return;
+            const start = anchors[terminal.terminal];
+            drawing = {
+                from: terminal.terminal,
+                line: svg('line', {
+                    x1: start.x, y1: start.y, x2: start.x, y2: start.y,
+                    stroke: TERMINAL_COLOR, 'stroke-width': 2, 'stroke-dasharray': '6 4',
+                    'pointer-events': 'none'
+                })
+            };
+            render();
+            return;
+        }
+
+        const symbolData = dataOf(e, 'symbol-id');
+        if (symbolData) {
+            const symbol = findSymbol(symbolData.symbolId);
+            pressed = { symbol, x: symbol.x, y: symbol.y, start: toSvgPoint(e) };
+            return;
+        }
+
+        const wireData = dataOf(e, 'wire');
+        if (wireData) {
+            select({ wire: wires[Number(wireData.wire)] });
+            return;
+        }
+
+        select(null);
+    });
+
+    input.onMove((e) => {
+        if (drawing) {
+            const p = toSvgPoint(e);
+            drawing.line.setAttribute('x2', p.x);
+            drawing.line.setAttribute('y2', p.y);
+            return;
+        }
+        // A symbol moves once the press has gone past the tap slop; snap to the grid
+        if (!pressed || !input.travelled()) return;
+
+        const p = toSvgPoint(e);
+        const spot = clampToBounds(
+            Math.round(pressed.x + (p.x - pressed.start.x) / GRID),
+            Math.round(pressed.y + (p.y - pressed.start.y) / GRID)
+        );
+        if (spot.x !== pressed.symbol.x || spot.y !== pressed.symbol.y) {
+            pressed.symbol.x = spot.x;
+            pressed.symbol.y = spot.y;
+            render();
+        }
+    });
+
+    input.onUp((e) => {
+        if (!drawing) return;
+        const terminal = dataAt(e, 'terminal');
+        const to = terminal ? terminal.terminal : null;
+        if (to && to !== drawing.from && !isOccupied(to)) {
+            wires.push({ from: drawing.from, to });
+        }
+        drawing = null;
+        render();
+    });
+
+    // A tap selects a symbol; tapping a switch that is already selected flips it
+    input.onTap(() => {
+        if (!pressed) return;
+        const { symbol } = pressed;
+        pressed = null;
+        if (symbol.type === 'switch' && selected && selected.symbol === symbol) {
+            symbol.closed = !symbol.closed;
+        }
+        select({ symbol });
+    });
+
+    // A second finger came down or the browser took the pointer away: drop the
+    // wire being drawn, leave the symbol where it got to
+    input.onCancel(() => {
+        pressed = null;
+        if (drawing) {
+            drawing = null;
+            render();
+        }
+    });
+
+    paletteButtons.forEach(button => {
+        button.addEventListener('click', () => addSymbol(button.dataset.symbol));
+    });
+    if (rotateButton) rotateButton.addEventListener('click', rotateSelected);
+    if (deleteButton) deleteButton.addEventListener('click', deleteSelected);
+    if (clearButton) clearButton.addEventListener('click', clear);
+    if (buildButton) buildButton.addEventListener('click', () => onBuild(getDrawing()));
+
+    function getDrawing() {
+        return {
+            components: components.map(c => ({ ...c })),
+            wires: wires.map(w => ({ ...w }))
+        };
+    }
+
+    select(null);
+
+    return { getDrawing, clear, element: root };
+}
@@ -0,0 +1,419 @@
+import * as THREE from 'three';
+import { terminalKey, bulbBrightness, ledBrightness, CURRENT_THRESHOLD, SHORT_CIRCUIT_CURRENT } from './circuit-solver.js';
+
+// --- Schematic View ---
+// Draws the bench as a circuit diagram with the standard symbols, straight from
+// the netlist handed to solveCircuit() and the result it returned:
+//
+//   const schematic = createSchematicView({
+//       container: document.getElementById('schematic-view'),
+//       toggleButton: document.getElementById('schematic-btn'),
+//       objects: { battery, bulb, switch: switchObj }
+//   });
+//   schematic.update(netlist, result);
+//
+// Each symbol sits where its 3D model stands on the bench (seen from above) and
+// points the same way as the line between its two terminals, so the diagram
+// reads like the table. Wires are drawn as right-angled lines between terminals.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SCALE = 40; // SVG units per bench unit
+export const SYMBOL_LENGTH = 60; // Terminal to terminal
+const STUB = 14; // Straight lead out of a terminal before a wire turns
+const PADDING = 20;
+
+export const COLORS = {
+    wire: '#2c3e50',
+    live: '#e67e22',
+    hot: '#e74c3c',
+    symbol: '#2c3e50',
+    lit: '#f1c40f'
+};
+
+// Terminal order along each symbol, from its left end to its right end
+export const SYMBOL_TERMINALS = {
+    battery: ['pos', 'neg'],
+    bulb: ['1', '2'],
+    led: ['anode', 'cathode'],
+    motor: ['1', '2'],
+    buzzer: ['1', '2'],
+    resistor: ['1', '2'],
+    switch: ['front', 'rear']
+};
+
+export function svg(tag, attrs = {}, parent = null) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+    if (parent) parent.appendChild(el);
+    return el;
+}
+
+// --- Symbols ---
+// Drawn along the x axis with the terminals at x = -30 and x = +30.
+
+function drawBattery(g) {
+    svg('line', { x1: -30, y1: 0, x2: -4, y2: 0 }, g);
+    svg('line', { x1: 4, y1: 0, x2: 30, y2: 0 }, g);
+    svg('line', { x1: -4, y1: -14, x2: -4, y2: 14 }, g); // Long plate: +
+    svg('line', { x1: 4, y1: -7, x2: 4, y2: 7, 'stroke-width': 5 }, g); // Short plate: -
+    const plus = svg('text', { x: -14, y: -12, 'font-size': 12, 'text-anchor': 'middle', stroke: 'none', fill: COLORS.hot }, g);
+    plus.textContent = '+';
+}
+
+function drawBulb(g, { brightness = 0 }) {
+    svg('line', { x1: -30, y1: 0, x2: -12, y2: 0 }, g);
+    svg('line', { x1: 12, y1: 0, x2: 30, y2: 0 }, g);
+    svg('circle', {
+        cx: 0, cy: 0, r: 12,
+        fill: brightness > 0 ? COLORS.lit : 'white',
+        'fill-opacity': brightness > 0 ? 0.3 + 0.7 * Math.min(brightness, 1) : 1
+    }, g);
+    svg('line', { x1: -8.5, y1: -8.5, x2: 8.5, y2: 8.5 }, g);
+    svg('line', { x1: -8.5, y1: 8.5, x2: 8.5, y2: -8.5 }, g);
+}
+
+// Diode triangle pointing at the cathode bar, two arrows for the light
+function drawLed(g, { brightness = 0 }) {
+    svg('line', { x1: -30, y1: 0, x2: -9, y2: 0 }, g);
+    svg('line', { x1: 9, y1: 0, x2: 30, y2: 0 }, g);
+    svg('polygon', {
+        points: '-9,-10 -9,10 9,0',
+        fill: brightness > 0 ? COLORS.lit : 'white',
+        'fill-opacity': brightness > 0 ? 0.3 + 0.7 * Math.min(brightness, 1) : 1
+    }, g);
+    svg('line', { x1: 9, y1: -10, x2: 9, y2: 10 }, g);
+    [-2, 5].forEach(x => {
+        svg('line', { x1: x, y1: -12, x2: x + 7, y2: -19 }, g);
+        svg('polyline', { points: `${x + 3},-19 ${x + 7},-19 ${x + 7},-15`, fill: 'none' }, g);
+    });
+}
+
+function drawMotor(g, { running = false }) {
+    svg('line', { x1: -30, y1: 0, x2: -12, y2: 0 }, g);
+    svg('line', { x1: 12, y1: 0, x2: 30, y2: 0 }, g);
+    svg('circle', { cx: 0, cy: 0, r: 12, fill: running ? COLORS.lit : 'white', 'fill-opacity': running ? 0.6 : 1 }, g);
+    const label = svg('text', { x: 0, y: 5, 'font-size': 14, 'text-anchor': 'middle', stroke: 'none', fill: COLORS.symbol }, g);
+    label.textContent = 'M';
+}
+
+// Half-round body on two leads
+function drawBuzzer(g, { running = false }) {
+    svg('polyline', { points: '-30,0 -6,0 -6,-6', fill: 'none' }, g);
+    svg('polyline', { points: '30,0 6,0 6,-6', fill: 'none' }, g);
+    svg('path', {
+        d: 'M -14 -6 A 14 14 0 0 1 14 -6 Z',
+        fill: running ? COLORS.lit : 'white',
+        'fill-opacity': running ? 0.6 : 1
+    }, g);
+}
+
+function drawResistor(g) {
+    svg('line', { x1: -30, y1: 0, x2: -14, y2: 0 }, g);
+    svg('line', { x1: 14, y1: 0, x2: 30, y2: 0 }, g);
+    svg('rect', { x: -14, y: -6, width: 28, height: 12, fill: 'white' }, g);
+}
+
+function drawSwitch(g, { closed = false }) {
+    svg('line', { x1: -30, y1: 0, x2: -12, y2: 0 }, g);
+    svg('line', { x1: 12, y1: 0, x2: 30, y2: 0 }, g);
+    svg('circle', { cx: -12, cy: 0, r: 2.5, fill: COLORS.symbol }, g);
+    svg('circle', { cx: 12, cy: 0, r: 2.5, fill: 'white' }, g);
+    if (closed) {
+        svg('line', { x1: -12, y1: 0, x2: 12, y2: 0 }, g);
+    } else {
+        svg('line', { x1: -12, y1: 0, x2: 9, y2: -12 }, g);
+    }
+}
+
+function drawGeneric(g, { id }) {
+    svg('line', { x1: -30, y1: 0, x2: -14, y2: 0 }, g);
+    svg('line', { x1: 14, y1: 0, x2: 30, y2: 0 }, g);
+    svg('rect', { x: -14, y: -7, width: 28, height: 14, fill: 'white' }, g);
+    const label = svg('text', { x: 0, y: 20, 'font-size': 9, 'text-anchor': 'middle', stroke: 'none', fill: COLORS.symbol }, g);
+    label.textContent = id;
+}
+
+const SYMBOLS = {
+    battery: drawBattery,
+    bulb: drawBulb,
+    led: drawLed,
+    motor: drawMotor,
+    buzzer: drawBuzzer,
+    resistor: drawResistor,
+    switch: drawSwitch
+};
+
+// --- Layout ---
+
+// A symbol is { id, type, x, y, angle } in SVG units, angle a multiple of 90
+// degrees clockwise, plus what its drawing needs (closed, brightness, running).
+
+export function terminalsOf(symbol) {
+    return symbol.terminals || SYMBOL_TERMINALS[symbol.type] || ['1', '2'];
+}
+
+// Terminal anchor in SVG units, plus the unit vector pointing out of the symbol
+function anchorOf(symbol, index) {
+    const rad = symbol.angle * Math.PI / 180;
+    const side = index === 0 ? -1 : 1;
+    const dir = { x: Math.round(Math.cos(rad)) * side, y: Math.round(Math.sin(rad)) * side };
+    return {
+        x: symbol.x + dir.x * SYMBOL_LENGTH / 2,
+        y: symbol.y + dir.y * SYMBOL_LENGTH / 2,
+        dir
+    };
+}
+
+// Where a 3D component shows up: centre and heading on the bench's top view
+// (bench units), taken from the line between its two terminals
+function symbolFromObject(comp, object) {
+    const order = SYMBOL_TERMINALS[comp.type] || Object.keys(object.userData.terminals || {}).slice(0, 2);
+    const terminals = object.userData.terminals || {};
+    const [a, b] = order.map(id => {
+        const t = terminals[id];
+        return object.localToWorld(t ? t.position.clone() : new THREE.Vector3());
+    });
+
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const angle = Math.abs(dx) >= Math.abs(dz)
+        ? (dx >= 0 ? 0 : 180)
+        : (dz >= 0 ? 90 : 270);
+
+    return { ...comp, terminals: order, x: (a.x + b.x) / 2, y: (a.z + b.z) / 2, angle };
+}
+
+// Rectangle a symbol occupies, so wires can steer around it
+function boxOf(symbol) {
+    const along = SYMBOL_LENGTH / 2 - 2;
+    const across = 16;
+    const horizontal = symbol.angle % 180 === 0;
+    const hw = horizontal ? along : across;
+    const hh = horizontal ? across : along;
+    return { x1: symbol.x - hw, y1: symbol.y - hh, x2: symbol.x + hw, y2: symbol.y + hh };
+}
+
+function crossesBox(p, q, box) {
+    return Math.max(p.x, q.x) > box.x1 && Math.min(p.x, q.x) < box.x2 &&
+        Math.max(p.y, q.y) > box.y1 && Math.min(p.y, q.y) < box.y2;
+}
+
+// Length two axis-aligned segments share when they lie on the same line
+function overlapLength(p, q, r, s) {
+    if (p.x === q.x && r.x === s.x && p.x === r.x) {
+        return Math.max(0, Math.min(Math.max(p.y, q.y), Math.max(r.y, s.y)) - Math.max(Math.min(p.y, q.y), Math.min(r.y, s.y)));
+    }
+    if (p.y === q.y && r.y === s.y && p.y === r.y) {
+        return Math.max(0, Math.min(Math.max(p.x, q.x), Math.max(r.x, s.x)) - Math.max(Math.min(p.x, q.x), Math.min(r.x, s.x)));
+    }
+    return 0;
+}
+
+// Terminals joined by wires share a net; returns key => net representative
+function groupNets(wires) {
+    const parent = {};
+    const find = key => {
+        while (parent[key] && parent[key] !== key) key = parent[key];
+        return key;
+    };
+    wires.forEach(w => { parent[find(w.from)] = find(w.to); });
+    return find;
+}
+
+function segmentsOf(points) {
+    return points.slice(1).map((q, i) => [points[i], q]);
+}
+
+// Right-angled route: lead straight out of both terminals, then one corner, a
+// step halfway across, or a detour along a track outside all the symbols. The
+// candidate that crosses the fewest symbols and runs along the fewest wires of
+// other nets (electrically different points) wins.
+function routeWire(a, b, net, boxes, bounds, routed) {
+    const a1 = { x: a.x + a.dir.x * STUB, y: a.y + a.dir.y * STUB };
+    const b1 = { x: b.x + b.dir.x * STUB, y: b.y + b.dir.y * STUB };
+    const midX = (a1.x + b1.x) / 2;
+    const midY = (a1.y + b1.y) / 2;
+
+    const candidates = [
+        [a1, { x: b1.x, y: a1.y }, b1],
+        [a1, { x: a1.x, y: b1.y }, b1],
+        [a1, { x: midX, y: a1.y }, { x: midX, y: b1.y }, b1],
+        [a1, { x: a1.x, y: midY }, { x: b1.x, y: midY }, b1]
+    ];
+    for (let lane = 1; lane <= 3; lane++) {
+        const gap = lane * STUB;
+        [bounds.y1 - gap, bounds.y2 + gap].forEach(y => {
+            candidates.push([a1, { x: a1.x, y }, { x: b1.x, y }, b1]);
+        });
+        [bounds.x1 - gap, bounds.x2 + gap].forEach(x => {
+            candidates.push([a1, { x, y: a1.y }, { x, y: b1.y }, b1]);
+        });
+    }
+
+    let best = null;
+    let bestScore = Infinity;
+    candidates.forEach(path => {
+        const segments = segmentsOf(path);
+        let score = 0;
+        segments.forEach(([p, q]) => {
+            score += Math.abs(p.x - q.x) + Math.abs(p.y - q.y);
+            boxes.forEach(box => { if (crossesBox(p, q, box)) score += 1000; });
+            routed.forEach(([r, s, otherNet]) => {
+                if (otherNet !== net) score += overlapLength(p, q, r, s) * 20;
+            });
+        });
+        if (score < bestScore) {
+            bestScore = score;
+            best = path;
+        }
+    });
+
+    return [a, ...best, b];
+}
+
+// --- Drawing ---
+
+export function drawSymbol(parent, symbol) {
+    const g = svg('g', {
+        transform: `translate(${symbol.x} ${symbol.y}) rotate(${symbol.angle})`,
+        fill: 'none',
+        stroke: COLORS.symbol,
+        'stroke-width': 2.5,
+        'stroke-linecap': 'round'
+    }, parent);
+    (SYMBOLS[symbol.type] || drawGeneric)(g, symbol);
+    return g;
+}
+
+// Draws wires, symbols and junction dots into parent.
+// wireColor(wire, index) picks each wire's stroke.
+// Returns the elements (so callers can tag them), the terminal anchors and the
+// extent of everything drawn.
+export function drawSchematic(parent, symbols, wires, { wireColor = () => COLORS.wire } = {}) {
+    const anchors = {};
+    symbols.forEach(symbol => {
+        terminalsOf(symbol).forEach((id, index) => {
+            anchors[terminalKey(symbol.id, id)] = anchorOf(symbol, index);
+        });
+    });
+
+    // Route the wires around the symbols
+    const boxes = symbols.map(boxOf);
+    const bounds = {
+        x1: Math.min(...boxes.map(b => b.x1)),
+        y1: Math.min(...boxes.map(b => b.y1)),
+        x2: Math.max(...boxes.map(b => b.x2)),
+        y2: Math.max(...boxes.map(b => b.y2))
+    };
+    const netOf = groupNets(wires);
+    const routed = [];
+    const routes = wires.map(wire => {
+        const a = anchors[wire.from];
+        const b = anchors[wire.to];
+        if (!a || !b) return null;
+        const net = netOf(wire.from);
+        const points = routeWire(a, b, net, boxes, bounds, routed);
+        segmentsOf(points).forEach(([p, q]) => routed.push([p, q, net]));
+        return points;
+    });
+
+    // Wires first, so the symbols sit on top of them
+    const wireLayer = svg('g', { fill: 'none', 'stroke-width': 2.5, 'stroke-linejoin': 'round' }, parent);
+    const wireCount = {};
+    const wireEls = wires.map((wire, i) => {
+        if (!routes[i]) return null;
+        wireCount[wire.from] = (wireCount[wire.from] || 0) + 1;
+        wireCount[wire.to] = (wireCount[wire.to] || 0) + 1;
+        return svg('polyline', { points: routes[i].map(p => `${p.x},${p.y}`).join(' '), stroke: wireColor(wire, i) }, wireLayer);
+    });
+
+    const symbolLayer = svg('g', {}, parent);
+    const symbolEls = {};
+    symbols.forEach(symbol => {
+        symbolEls[symbol.id] = drawSymbol(symbolLayer, symbol);
+    });
+
+    // Dots where wires meet on a terminal
+    const dotLayer = svg('g', { fill: COLORS.wire }, parent);
+    Object.entries(wireCount).forEach(([key, count]) => {
+        if (count > 1) svg('circle', { cx: anchors[key].x, cy: anchors[key].y, r: 4 }, dotLayer);
+    });
+
+    const allPoints = routes.filter(Boolean).flat()
+        .concat(boxes.flatMap(b => [{ x: b.x1, y: b.y1 }, { x: b.x2, y: b.y2 }]));
+    const extent = allPoints.length === 0 ? null : {
+        x1: Math.min(...allPoints.map(p => p.x)),
+        y1: Math.min(...allPoints.map(p => p.y)),
+        x2: Math.max(...allPoints.map(p => p.x)),
+        y2: Math.max(...allPoints.map(p => p.y))
+    };
+
+    return { anchors, symbolEls, wireEls, extent };
+}
+
+// --- View ---
+
+export function createSchematicView({ container, toggleButton = null, objects = {}, visible = false }) {
+    const root = svg('svg', { class: 'schematic', role: 'img', 'aria-label': '电路图' });
+    container.appendChild(root);
+
+    let lastNetlist = null;
+    let lastResult = null;
+
+    function update(netlist, result = null) {
+        lastNetlist = netlist;
+        lastResult = result;
+        if (container.classList.contains('hidden')) return;
+
+        while (root.firstChild) root.removeChild(root.firstChild);
+
+        // Each symbol sits where its model stands, scaled up to SVG units
+        const symbols = netlist.components
+            .filter(comp => objects[comp.id])
+            .map(comp => {
+                const symbol = symbolFromObject(comp, objects[comp.id]);
+                const solved = result ? result.components[comp.id] : null;
+                return {
+                    ...symbol,
+                    x: symbol.x * SCALE,
+                    y: symbol.y * SCALE,
+                    brightness: !solved ? 0
+                        : comp.type === 'bulb' ? bulbBrightness(solved)
+                        : comp.type === 'led' ? ledBrightness(solved) : 0,
+                    running: !!solved && Math.abs(solved.current) > CURRENT_THRESHOLD
+                };
+            });
+
+        const shorted = result && result.shorts.length > 0;
+        const { extent } = drawSchematic(root, symbols, netlist.wires, {
+            wireColor: (wire, i) => {
+                const current = result ? Math.abs(result.wires[i].current) : 0;
+                if (shorted && current > SHORT_CIRCUIT_CURRENT) return COLORS.hot;
+                if (current > CURRENT_THRESHOLD) return COLORS.live;
+                return COLORS.wire;
+            }
+        });
+
+        if (!extent) {
+            root.setAttribute('viewBox', '0 0 100 40');
+            return;
+        }
+        root.setAttribute('viewBox', `${extent.x1 - PADDING} ${extent.y1 - PADDING} ` +
+            `${extent.x2 - extent.x1 + 2 * PADDING} ${extent.y2 - extent.y1 + 2 * PADDING}`);
+    }
+
+    function setVisible(show) {
+        container.classList.toggle('hidden', !show);
+        if (toggleButton) toggleButton.classList.toggle('active', show);
+        if (show && lastNetlist) update(lastNetlist, lastResult);
+    }
+
+    function toggle() {
+        setVisible(container.classList.contains('hidden'));
+    }
+
+    if (toggleButton) toggleButton.addEventListener('click', toggle);
+    setVisible(visible);
+
+    return { update, setVisible, toggle, element: root };
+}
@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+import { SHORT_CIRCUIT_CURRENT } from './circuit-solver.js';
+
+// --- Short Circuit Warning ---
+// Reacts to solveCircuit(...).shorts: shows the #short-warning panel, makes the
+// wires carrying the short current glow hot and floats a warning icon over
+// every shorted battery. The page provides the panel markup (see lesson2/index.html).
+// Each short is logged in `log` (the most recent LOG_LIMIT, newest last) and
+// the panel tells how many there have been and how large the current was.
+
+const LOG_LIMIT = 20;
+
+const hotWireMat = new THREE.MeshStandardMaterial({
+    color: 0xff5500,
+    emissive: 0xff2200,
+    emissiveIntensity: 1,
+    roughness: 0.4
+});
+
+function createWarningIcon() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128; canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+
+    // Yellow triangle with a "!" in it
+    ctx.fillStyle = '#ffcc00';
+    ctx.strokeStyle = '#e74c3c';
+    ctx.lineWidth = 8;
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(64, 10);
+    ctx.lineTo(120, 112);
+    ctx.lineTo(8, 112);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = '#c0392b';
+    ctx.font = 'bold 72px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('!', 64, 74);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+    sprite.scale.set(1, 1, 1);
+    sprite.name = 'shortWarningIcon';
+    return sprite;
+}
+
+export function createShortCircuitWarning(scene) {
+    const panel = document.getElementById('short-warning');
+    const closeBtn = panel ? panel.querySelector('button') : null;
+
+    let hotWires = []; // { mesh, material } to restore later
+    let icons = []; // { sprite, baseY }
+    let shortedKey = ''; // Shorted batteries and hot wires on show
+    let shortedIds = ''; // Shorted batteries of the last logged short
+    let shortCount = 0;
+    const log = []; // { time, batteries, current }
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => panel.classList.add('hidden'));
+    }
+
+    // Put the wires back and take the icons away
+    function clearScene() {
+        hotWires.forEach(({ mesh, material }) => {
+            mesh.material = material;
+        });
+        hotWires = [];
+
+        icons.forEach(({ sprite }) => {
+            scene.remove(sprite);
+            sprite.material.map.dispose();
+            sprite.material.dispose();
+        });
+        icons = [];
+        shortedKey = '';
+    }
+
+    function clear() {
+        clearScene();
+        shortedIds = '';
+        if (panel) panel.classList.add('hidden');
+    }
+
+    // wireMeshes: meshes in the same order as the netlist wires
+    // batteries: { [componentId]: Object3D } for placing the icons
+    function update(result, { wireMeshes = [], batteries = {} } = {}) {
+        // A second wire bridging the same battery changes the picture too
+        const hot = result.shorts.length
+            ? wireMeshes.filter((mesh, i) => mesh && result.wires[i] && Math.abs(result.wires[i].current) > SHORT_CIRCUIT_CURRENT)
+            : [];
+        const key = result.shorts.length ? result.shorts.join(',') + '|' + hot.map(mesh => mesh.uuid).join(',') : '';
+        if (key === shortedKey) return;
+        if (!result.shorts.length) {
+            clear();
+            return;
+        }
+        clearScene();
+        shortedKey = key;
+
+        // Hot wires
+        hot.forEach(mesh => {
+            hotWires.push({ mesh, material: mesh.material });
+            mesh.material = hotWireMat;
+        });
+
+        // Battery icons (placed in world space above the battery)
+        result.shorts.forEach(id => {
+            const battery = batteries[id];
+            if (!battery) return;
+            const box = new THREE.Box3().setFromObject(battery);
+            const sprite = createWarningIcon();
+            const baseY = box.max.y + 0.8;
+            sprite.position.set((box.min.x + box.max.x) / 2, baseY, (box.min.z + box.max.z) / 2);
+            scene.add(sprite);
+            icons.push({ sprite, baseY });
+        });
+
+        // Only a different set of shorted batteries is a new short; more hot wires
+        // or moved ones are the same short redrawn
+        const maxCurrent = Math.max(...result.shorts.map(id => Math.abs(result.components[id].current)));
+        const ids = result.shorts.join(',');
+        if (ids !== shortedIds) {
+            shortedIds = ids;
+            log.push({ time: new Date(), batteries: [...result.shorts], current: maxCurrent });
+            if (log.length > LOG_LIMIT) log.shift();
+            shortCount++;
+            if (panel) panel.classList.remove('hidden');
+        }
+        if (panel) showLogLine(`这是第 ${shortCount} 次短路：电池里流出了大约 ${maxCurrent.toFixed(1)}A 的电流。`);
+    }
+
+    // The log line sits above the close button; pages need not provide it
+    function showLogLine(text) {
+        let line = panel.querySelector('.short-log');
+        if (!line) {
+            line = document.createElement('p');
+            line.className = 'short-log';
+            panel.insertBefore(line, closeBtn);
+        }
+        line.textContent = text;
+    }
+
+    // Call every frame from the render loop
+    function animate(time) {
+        if (!shortedKey) return;
+        const pulse = 0.5 + 0.5 * Math.sin(time * 8);
+        hotWireMat.emissiveIntensity = 0.6 + pulse;
+
+        icons.forEach(({ sprite, baseY }) => {
+            sprite.position.y = baseY + Math.sin(time * 4) * 0.15;
+            const s = 0.9 + pulse * 0.2;
+            sprite.scale.set(s, s, s);
+        });
+    }
+
+    return { update, animate, clear, log };
+}
@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+import { createSpriteLabel } from './components.js';
+import { terminalKey } from './circuit-solver.js';
+
+// --- Wiring Helpers ---
+// Connection points (red clickable spheres with a pulsing halo) and the arcing
+// tube wires drawn between them. A connection point's core mesh carries
+//   { type: 'point', parent: componentId, id | pole: terminalId }
+// in its userData; wireEndKey() turns that into the solver's terminal key.
+
+const pointMat = new THREE.MeshBasicMaterial({ color: 0xff3300 });
+const haloMat = new THREE.MeshBasicMaterial({
+    color: 0xff3300,
+    transparent: true,
+    opacity: 0.3,
+    side: THREE.DoubleSide
+});
+const wireMat = new THREE.MeshStandardMaterial({
+    color: 0x2c3e50,
+    roughness: 0.5,
+    metalness: 0.1
+});
+
+export const POINT_COLOR = 0xff3300;
+export const POINT_HOVER_COLOR = 0x00ff00;
+export const POINT_OCCUPIED_COLOR = 0x888888;
+
+// Returns the group; the core mesh (the raycast target) is group.children[0]
+export function createConnectionPoint(userData) {
+    const group = new THREE.Group();
+
+    // Core
+    const core = new THREE.Mesh(new THREE.SphereGeometry(0.25, 16, 16), pointMat.clone());
+    core.userData = userData;
+    group.add(core);
+
+    // Halo
+    const haloShell = new THREE.Mesh(new THREE.SphereGeometry(0.4, 16, 16), haloMat.clone());
+    haloShell.name = 'halo';
+    group.add(haloShell);
+
+    return group;
+}
+
+// Mount a connection point (with an optional +/- label) on every terminal.
+// Returns the core meshes so the page can raycast against them.
+export function attachConnectionPoints(group, terminals, parent, labels = {}) {
+    return Object.values(terminals).map(t => {
+        const userData = t.type === 'contact'
+            ? { type: 'point', parent, id: t.id }
+            : { type: 'point', parent, pole: t.id };
+        const cpGroup = createConnectionPoint(userData);
+        cpGroup.position.copy(t.position);
+
+        if (labels[t.id]) {
+            const label = createSpriteLabel(labels[t.id].text, labels[t.id].color, false);
+            label.position.set(-0.6, 0, 0);
+            cpGroup.add(label);
+        }
+        group.add(cpGroup);
+        return cpGroup.children[0];
+    });
+}
+
+// Arc the wire up and sideways (bendFactor +1 / -1) so neighbouring wires don't overlap
+export function updateWireMesh(mesh, startPos, endPos, bendFactor = 1) {
+    const mid = new THREE.Vector3().addVectors(startPos, endPos).multiplyScalar(0.5);
+    const dist = startPos.distanceTo(endPos);
+    mid.y += 1.0 + dist * 0.2;
+    mid.z += dist * 0.3 * bendFactor;
+
+    const curve = new THREE.QuadraticBezierCurve3(startPos, mid, endPos);
+    const geometry = new THREE.TubeGeometry(curve, 20, 0.08, 8, false);
+
+    if (mesh) {
+        mesh.geometry.dispose();
+        mesh.geometry = geometry;
+    } else {
+        mesh = new THREE.Mesh(geometry, wireMat);
+        mesh.castShadow = true;
+    }
+    return mesh;
+}
+
+// Solver terminal key for a connection point's userData
+export function wireEndKey(userData) {
+    return terminalKey(userData.parent, userData.id || userData.pole);
+}
+
+export function isSameEnd(a, b) {
+    return a.parent === b.parent && a.id === b.id && a.pole === b.pole;
+}
+
+// Call every frame: pulse the halos around the connection points
+export function pulseHalos(connectionPoints, time) {
+    const phase = time * 3;
+    const scale = 1 + Math.sin(phase) * 0.2;
+    const opacity = 0.3 + Math.sin(phase) * 0.15;
+
+    connectionPoints.forEach(cp => {
+        const halo = cp.parent.getObjectByName('halo');
+        if (halo) {
+            halo.scale.set(scale, scale, scale);
+            halo.material.opacity = opacity;
+        }
+    });
+}